@@ -3,7 +3,8 @@
  * @description Main JavaScript file for the 3D Solar System Simulation using Three.js.
  * This script handles the complete lifecycle of the simulation, including:
  * - Scene setup (camera, renderer, lighting).
- * - Dynamic loading and creation of celestial bodies (Sun, planets, Saturn's rings).
+ * - Dynamic loading and creation of celestial bodies (Sun, planets, their moons, ring systems).
+ * - Loading other star systems from validated JSON definitions (file, drag-and-drop or `?system=` URL).
  * - Real-time animation of orbital and rotational movements.
  * - Interactive UI controls for global and individual planet speeds.
  * - Responsive design adjustments for various screen sizes.
@@ -45,309 +46,2033 @@ const SCENE_CONSTANTS = {
     AMBIENT_LIGHT_COLOR: 0x333333, // Soft ambient light color. Provides a general illumination to prevent pure black shadows.
     SUN_LIGHT_COLOR: 0xFFFFFF,  // Color of the light emitted by the Sun (white).
     SUN_LIGHT_INTENSITY: 2,     // Intensity of the Sun's point light. Higher values make the scene brighter.
+    SUN_GRANULATION_SCALE: 24,  // Frequency of the granulation noise on the light source's surface (cells per radius, roughly).
+    SUN_GRANULATION_CONTRAST: 0.3, // Brightness difference between the bright granules and the darker lanes between them.
+    SUN_GRANULATION_SPEED: 0.04, // Rate at which the granulation churns, in noise units per real second.
+    SUN_LIMB_DARKENING: 0.6,    // Linear limb darkening coefficient: the edge of the disk is this much dimmer than its centre.
+    SUN_CORONA_SIZE: 5,         // Diameter of the corona glow, in radii of the light source...
+    SUN_CORONA_MIN_VIEW_FRACTION: 0.06, // ...but at least this fraction of the camera distance, so a far or tiny star still glows.
+    SUN_CORONA_OPACITY: 0.8,    // Opacity of the corona glow next to the disk.
+    LENS_FLARE_SIZE_PX: 220,    // Size of the lens flare's central glare in pixels; the ghosts are sized relative to it.
     ORBIT_PATH_COLOR: 0x555555, // Color for the orbital paths of planets (a subtle gray).
     ORBIT_PATH_OPACITY: 0.2,    // Opacity for the orbital paths (semi-transparent).
+    ORBIT_PATH_SEGMENTS: 256,   // Number of points sampled along each elliptical orbit path. Higher is smoother.
+    ORBIT_PATH_REDRAW_ANGLE: 0.01, // How far (radians) a precessing orbit's node or perihelion may turn before its path is redrawn.
+    KEPLER_SOLVER_TOLERANCE: 1e-8, // Convergence threshold (radians) for the Newton-Raphson Kepler equation solver.
+    KEPLER_SOLVER_MAX_ITERATIONS: 15, // Safety cap on solver iterations; highly eccentric orbits need the most.
+    J2000_JULIAN_DATE: 2451545.0, // Julian date of the J2000 epoch (2000-01-01 12:00 TT) that the orbital elements refer to.
+    UNIX_EPOCH_JULIAN_DATE: 2440587.5, // Julian date of the Unix epoch (1970-01-01 00:00 UTC), used for Date conversions.
+    SIMULATION_DAYS_PER_SECOND: 30, // Simulated days that pass per real second at a global speed of 1.00x.
+    MAX_FRAME_DELTA_SECONDS: 0.1, // Longest real time a single frame may advance, so a stalled tab cannot skip years.
+    SPIN_RATE_SCALE: 0.002,     // Fraction of the simulated time that bodies spin through at a rotation speed of 1.00x.
+                                // At the real rate Earth would turn 30 times per second and the spin would strobe.
+    MAX_ORBITS_PER_SECOND: 0.5, // Fastest a body is shown going round its orbit, in orbits per real second. Faster
+                                // ones (Phobos would circle Mars 94 times per second) are slowed to this pace.
+    ASTRONOMICAL_UNIT_KM: 149597870.7, // Length of one astronomical unit in kilometres, for distance readouts.
+    ECLIPSE_SHADOW_ENLARGEMENT: 1.02, // Earth's atmosphere widens its shadow by about 2%, which lunar eclipse predictions include.
     STARFIELD_COUNT: 10000,     // Number of procedural stars to generate (if not using a texture).
     STARFIELD_RADIUS_FACTOR: 1.5, // Factor for starfield radius relative to camera far plane.
+    STARFIELD_MAGNITUDE_LIMIT: 6.5, // Faintest apparent magnitude of the procedural stars (about the naked-eye limit).
+    STARFIELD_GALACTIC_FRACTION: 0.4, // Share of the random procedural stars crowded towards the Milky Way's plane.
+    OBLIQUITY_OF_ECLIPTIC: 23.4393, // Tilt of Earth's equator against the ecliptic (degrees), for star coordinates.
     CAMERA_FOCUS_SPEED: 0.05,   // Speed of camera interpolation during focus transitions. Lower value means slower transition.
     MIN_CAMERA_DISTANCE: 20,    // Minimum zoom-in distance for OrbitControls.
     MAX_CAMERA_DISTANCE: 1000,  // Maximum zoom-out distance for OrbitControls.
-    MAX_POLAR_ANGLE: Math.PI / 2 // Restricts vertical camera orbit to prevent going below the "ground" plane.
+    MAX_POLAR_ANGLE: Math.PI / 2, // Restricts vertical camera orbit to prevent going below the "ground" plane.
+    KEYBOARD_ORBIT_STEP: Math.PI / 36, // Camera rotation per arrow/WASD key press (5 degrees).
+    KEYBOARD_PAN_STEP: 0.05,    // Camera pan per Shift+arrow/WASD key press, as a fraction of the viewing distance.
+    KEYBOARD_SPEED_STEP: 0.25,  // Change of the global speed factor per +/- key press.
+    TAP_MOVE_TOLERANCE_PX: 8,   // A press that moves further than this (in CSS pixels) is a drag for OrbitControls.
+    TAP_MAX_DURATION_MS: 400,   // Longest press still treated as a tap/click.
+    LONG_PRESS_DURATION_MS: 550, // Holding a press this long on a body opens its information panel.
+    TRAIL_DEFAULT_LENGTH: 240,  // Past positions kept per orbit trail; one is recorded every animation frame.
+    TRAIL_MIN_LENGTH: 20,       // Shortest trail selectable with the trail length slider.
+    TRAIL_MAX_LENGTH: 1200,     // Longest trail selectable with the trail length slider.
+    TRAIL_DEFAULT_OPACITY: 0.7, // Opacity of the newest end of a trail; older samples fade out towards zero.
+    TRAIL_MIN_SAMPLE_DISTANCE: 0.01, // A body must move at least this far (scene units) before a new sample is recorded.
+    LABEL_COLLISION_PADDING_PX: 4, // Minimum gap between two always-on name labels; a lower-priority label that would come closer is hidden.
+    NEAR_PLANE_DISTANCE_FACTOR: 0.1, // The near plane is kept at this fraction of the minimum zoom distance (at most CAMERA_NEAR).
+    FOCUS_ARRIVAL_DISTANCE_FACTOR: 0.005, // A focus transition ends within this fraction of the minimum zoom distance of its target.
+    BELT_DENSITY_MAX: 2,        // Highest belt density (multiple of each belt's `count`); particles are generated for it up front.
+    BELT_MIN_DETAIL: 0.125,     // The performance fallback never draws fewer than this fraction of the selected belt particles.
+    BELT_LOW_FPS: 30,           // Belt particles are reduced while the frame rate stays below this...
+    BELT_RECOVERY_FPS: 50,      // ...and restored while it stays above this, so the detail does not flip back and forth.
+    BELT_FPS_PATIENCE_SECONDS: 3, // Seconds the frame rate must stay below/above these limits before the detail changes.
+    QUALITY_LOW_FPS: 30,        // Automatic quality steps down a preset while the frame rate stays below this...
+    QUALITY_RECOVERY_FPS: 55,   // ...and up while it stays above this.
+    QUALITY_DOWNGRADE_PATIENCE_SECONDS: 4, // Seconds the frame rate must stay low before stepping down...
+    QUALITY_UPGRADE_PATIENCE_SECONDS: 15,  // ...and high before stepping up, so a step up that is too much is rare.
+    TEXTURE_STREAM_CONCURRENCY: 2, // Textures loaded at the same time once the first view is ready (see `_streamNextTextures`).
+    NIGHT_LIGHTS_INTENSITY: 1.5, // Brightness of night-light maps on the dark side of a body.
+    NIGHT_LIGHTS_TWILIGHT: 0.15, // Night lights fade in over this range of the cosine of the Sun's angle around the terminator.
+    SPECULAR_MAP_ROUGHNESS: 0.35, // Roughness where a specular map is white (e.g. Earth's oceans); elsewhere it stays 0.8.
+    CLOUD_SHELL_HEIGHT: 0.015,  // Height of a cloud shell above the surface, as a fraction of the body's radius.
+    CLOUD_DEFAULT_OPACITY: 0.8, // Opacity of a cloud shell whose `clouds` entry sets none.
+    RING_SHADOW_BRIGHTNESS: 0.2, // Share of a ring's color left where a body's shadow falls on it.
+    ECLIPSE_PLANET_NAME: 'Earth', // "Next Eclipse" looks for eclipses of the light source by this body's moon...
+    ECLIPSE_MOON_NAME: 'Moon',  // ...named this, and of this moon by the body.
+    ECLIPSE_VIEW_ANGLE: 35,     // Degrees between the Sun direction and the camera when showing an eclipse.
+    COMET_TAIL_LENGTH_AU: 0.2,  // Length of a comet's tail at 1 AU from the Sun; it grows with the inverse square of the distance...
+    COMET_TAIL_MAX_LENGTH_AU: 0.6, // ...up to this length near perihelion.
+    COMET_TAIL_WIDTH_FACTOR: 0.15, // Width of the tail's far end relative to its length.
+    COMET_TAIL_OPACITY: 0.6,    // Opacity of the tail next to the nucleus; it fades out towards the far end.
+    TRAJECTORY_PATH_SUBDIVISIONS: 16 // Points drawn per segment between two trajectory samples of a spacecraft.
 };
 
+// Shadows between bodies (the "shadows" layer) are computed in the shaders rather than with shadow maps,
+// which could not resolve a moon's shadow across a scene hundreds of units wide. For every shaded point the light
+// source is treated as a sphere: each caster (a sphere) covers part of its disk, which gives soft penumbras, and a ring
+// system in the way dims it by the opacity of the band the light passes through. Positions are in view space and are
+// refreshed by `_updateShadows` before every render.
+const MAX_SHADOW_CASTERS = 8;    // Bodies that can shadow one body (its parent, siblings and moons).
+const MAX_SHADOW_RING_BANDS = 4; // Ring bands whose shadow is taken into account.
+const ECLIPSE_SHADOW_GLSL = `
+    #define MAX_SHADOW_CASTERS ${MAX_SHADOW_CASTERS}
+    #define MAX_SHADOW_RING_BANDS ${MAX_SHADOW_RING_BANDS}
+    uniform bool shadowsEnabled;
+    uniform vec3 shadowLightPosition;
+    uniform float shadowLightRadius;
+    uniform vec4 shadowCasters[ MAX_SHADOW_CASTERS ];        // xyz: centre, w: radius.
+    uniform int shadowCasterCount;
+    uniform vec3 shadowRingCenter;
+    uniform vec3 shadowRingNormal;
+    uniform vec4 shadowRingBands[ MAX_SHADOW_RING_BANDS ];   // Inner and outer radius, opacity, 1 if textured.
+    uniform int shadowRingBandCount;
+    uniform sampler2D shadowRingMap;                          // Texture of the textured band (radial strip).
+
+    // The fraction of the light source's disk that a sphere covers, seen from a point.
+    float sphereOcclusion( vec3 point, vec3 toLight, float lightAngle, vec4 caster ) {
+        vec3 toCaster = caster.xyz - point;
+        float casterDistance = length( toCaster );
+        if ( casterDistance <= caster.w || dot( toCaster, toLight ) <= 0.0 ) return 0.0;
+        float casterAngle = asin( caster.w / casterDistance );
+        float separation = acos( clamp( dot( toLight, toCaster / casterDistance ), -1.0, 1.0 ) );
+        float overlap = 1.0 - smoothstep( abs( lightAngle - casterAngle ), lightAngle + casterAngle, separation );
+        return overlap * min( 1.0, ( casterAngle * casterAngle ) / ( lightAngle * lightAngle ) );
+    }
+
+    // The share of the light source's light that reaches a point (1 = fully lit).
+    float eclipseShadow( vec3 point ) {
+        if ( ! shadowsEnabled ) return 1.0;
+        vec3 toLight = shadowLightPosition - point;
+        float lightDistance = length( toLight );
+        toLight /= lightDistance;
+        float lightAngle = asin( clamp( shadowLightRadius / lightDistance, 1e-6, 1.0 ) );
+        float light = 1.0;
+        for ( int i = 0; i < MAX_SHADOW_CASTERS; i ++ ) {
+            if ( i >= shadowCasterCount ) break;
+            light *= 1.0 - sphereOcclusion( point, toLight, lightAngle, shadowCasters[ i ] );
+        }
+        float facing = dot( toLight, shadowRingNormal );
+        if ( shadowRingBandCount > 0 && abs( facing ) > 1e-4 ) {
+            float along = dot( shadowRingCenter - point, shadowRingNormal ) / facing;
+            if ( along > 0.0 ) {
+                float ringRadius = length( point + toLight * along - shadowRingCenter );
+                for ( int i = 0; i < MAX_SHADOW_RING_BANDS; i ++ ) {
+                    if ( i >= shadowRingBandCount ) break;
+                    vec4 band = shadowRingBands[ i ];
+                    if ( ringRadius >= band.x && ringRadius <= band.y ) {
+                        float opacity = band.z;
+                        if ( band.w > 0.5 ) opacity *= texture2D( shadowRingMap, vec2( ( ringRadius - band.x ) / ( band.y - band.x ), 0.5 ) ).a;
+                        light *= 1.0 - opacity;
+                    }
+                }
+            }
+        }
+        return light;
+    }
+`;
+
 // =====================================================================================================================
 // SECTION 3: CELESTIAL BODIES DATA
-// An array of objects, each defining the properties for the Sun and the eight major planets.
-// These values are scaled for visual representation within the simulation and are not
-// scientifically precise astronomical measurements. Textures are assumed to be locally hosted.
+// An array of objects, each defining the properties for the Sun, the eight major planets, some dwarf planets, comets
+// and spacecraft.
+// Radii, distances and speeds are scaled for visual representation within the simulation and are not
+// scientifically precise astronomical measurements. The orbital elements and periods, however, are the real
+// J2000 values, so the shape, tilt, orientation and timing of every orbit match the actual solar system.
+// The true-scale mode (see `_setScaleBlend`) derives real relative sizes and distances from `facts.diameter` and
+// `semiMajorAxis` instead. Textures are assumed to be locally hosted.
 // =====================================================================================================================
 const CELESTIAL_BODIES_DATA = [
     {
         name: 'Sun',
         radius: 10,             // Relative radius of the Sun in the simulation's scale.
         distance: 0,            // Distance from the center (Sun is positioned at the origin).
-        orbitalSpeed: 0,        // The Sun does not orbit around a central point in this simulation.
-        rotationSpeed: 0.005,   // Speed of the Sun's self-rotation on its axis.
+        orbitalPeriod: 0,       // The Sun does not orbit around a central point in this simulation.
+        // Rotation: sidereal rotation period in hours (negative = retrograde, i.e. clockwise seen from the north
+        // pole), and the orientation of the north pole as its angle from the ecliptic north pole (`axialTilt`) and
+        // the ecliptic longitude it leans towards (`poleLongitude`), both in degrees. The north pole is the IAU one,
+        // on the ecliptic-north side of the solar system, so tilts stay below 90 degrees except for Uranus.
+        rotationPeriod: 609.12, // About 25.4 days at the equator.
+        axialTilt: 7.25,
+        poleLongitude: 345.77,
         texture: './assets/textures/2k_sun.jpg', // Local path to the Sun's surface texture.
+        // Optional sharper texture, loaded only while the camera follows the body (see `_updateFocusTextures`).
+        highResTexture: './assets/textures/8k_sun.jpg',
         isLightSource: true,    // Flag indicating this body emits light (used for material type).
-        color: 0xFFA500         // Fallback color (Orange) if texture loading fails.
+        color: 0xFFA500,        // Fallback color (Orange) if texture loading fails.
+        // Real physical facts shown in the information panel. They are independent of the simulation's scale.
+        facts: {
+            diameter: 1392700,      // Equatorial diameter in kilometres.
+            mass: 1.989e30,         // Mass in kilograms.
+            dayLength: 609.1,       // Length of one rotation (one solar day for planets and moons) in hours.
+            meanTemperature: 5500,  // Mean surface (or 1-bar cloud-top) temperature in degrees Celsius.
+            moonCount: 0            // Number of known natural satellites.
+        }
     },
     {
         name: 'Mercury',
         radius: 0.8,            // Relative radius.
-        distance: 20,           // Orbital distance from the Sun.
-        orbitalSpeed: 0.04,     // Faster orbital speed, characteristic of inner planets.
-        rotationSpeed: 0.01,    // Speed of self-rotation.
+        distance: 20,           // Scene-scale semi-major axis of the orbit (average distance from the Sun).
+        orbitalPeriod: 87.969,  // Sidereal orbital period in days; shorter for inner planets.
+        rotationPeriod: 1407.6, // Sidereal rotation period in hours.
+        axialTilt: 7.04,        // Tilt of the north pole from the ecliptic north pole (Mercury's own obliquity is tiny).
+        poleLongitude: 318.24,  // Ecliptic longitude the north pole leans towards.
+        // Keplerian orbital elements (J2000 epoch, ecliptic frame). Angles are in degrees.
+        semiMajorAxis: 0.38709927,   // Semi-major axis in astronomical units (AU); `distance` is its scaled scene equivalent.
+        eccentricity: 0.20563593,    // Orbit eccentricity (0 = circle, closer to 1 = more elongated ellipse).
+        inclination: 7.00497902,     // Inclination of the orbital plane to the ecliptic.
+        longitudeOfAscendingNode: 48.33076593, // Angle from the vernal equinox to where the orbit crosses the ecliptic northwards.
+        argumentOfPerihelion: 29.12703035,     // Angle within the orbital plane from the ascending node to the perihelion.
+        meanAnomalyAtEpoch: 174.79252722,      // Mean anomaly at the J2000 epoch; the position for any date is derived from it.
+        facts: { diameter: 4879, mass: 3.30e23, dayLength: 4222.6, meanTemperature: 167, moonCount: 0 },
         texture: './assets/textures/2k_mercury.jpg',
+        highResTexture: './assets/textures/8k_mercury.jpg',
         color: 0xAAAAAA         // Fallback color (Gray).
     },
     {
         name: 'Venus',
         radius: 1.5,
         distance: 30,
-        orbitalSpeed: 0.03,
-        rotationSpeed: 0.008,
+        orbitalPeriod: 224.701,
+        rotationPeriod: -5832.5, // Retrograde: Venus spins backwards, slower than it orbits.
+        axialTilt: 1.24,
+        poleLongitude: 30.19,
+        semiMajorAxis: 0.72333566,
+        eccentricity: 0.00677672,
+        inclination: 3.39467605,
+        longitudeOfAscendingNode: 76.67984255,
+        argumentOfPerihelion: 54.92262463,
+        meanAnomalyAtEpoch: 50.37663232,
+        facts: { diameter: 12104, mass: 4.87e24, dayLength: 2802.0, meanTemperature: 464, moonCount: 0 },
         texture: './assets/textures/2k_venus_surface.jpg',
+        highResTexture: './assets/textures/8k_venus_surface.jpg',
+        // The thick cloud deck super-rotates: it circles the planet in about four days, against the surface's 243.
+        clouds: { texture: './assets/textures/2k_venus_atmosphere.jpg', rotationPeriod: -96, opacity: 0.9 },
         color: 0xCC9900         // Fallback color (Brownish-Yellow).
     },
     {
         name: 'Earth',
         radius: 1.8,
         distance: 45,
-        orbitalSpeed: 0.025,
-        rotationSpeed: 0.015,
+        orbitalPeriod: 365.256,
+        rotationPeriod: 23.9345,
+        axialTilt: 23.44,
+        poleLongitude: 90,
+        semiMajorAxis: 1.00000261,
+        eccentricity: 0.01671123,
+        inclination: -0.00001531,
+        longitudeOfAscendingNode: 0.0,
+        argumentOfPerihelion: 102.93768193,
+        meanAnomalyAtEpoch: -2.47311027,
+        facts: { diameter: 12756, mass: 5.97e24, dayLength: 24.0, meanTemperature: 15, moonCount: 1 },
         texture: './assets/textures/2k_earth_daymap.jpg',
-        color: 0x0000FF         // Fallback color (Blue).
+        highResTexture: './assets/textures/8k_earth_daymap.jpg',
+        // Optional extra maps (see SURFACE_MAP_DESCRIPTIONS): city lights on the night side, the relief for the
+        // lighting, and the glossy oceans. A map that fails to load is left out.
+        nightTexture: './assets/textures/2k_earth_nightmap.jpg',
+        normalMap: './assets/textures/2k_earth_normal_map.jpg',
+        specularMap: './assets/textures/2k_earth_specular_map.jpg',
+        // A cloud shell just above the surface, turning on the same axis with a period of its own (in hours), so the
+        // weather drifts slowly across the ground.
+        clouds: { texture: './assets/textures/2k_earth_clouds.jpg', rotationPeriod: 26, opacity: 0.8 },
+        color: 0x0000FF,        // Fallback color (Blue).
+        // Natural satellites orbiting this body. Each entry accepts the same orbit and appearance properties
+        // as a planet; its orbit is centred on the parent's moving position.
+        satellites: [
+            {
+                name: 'Moon',
+                radius: 0.5,            // Relative radius in the simulation's scale.
+                distance: 5,            // Scene-scale semi-major axis, measured from the parent body's center.
+                semiMajorAxis: 0.0025696, // True semi-major axis in AU (384,400 km), used by the true-scale mode.
+                orbitalPeriod: 27.5546, // Anomalistic orbital period in days.
+                rotationPeriod: 655.72, // Sidereal rotation period in hours; equal to the orbital period (tidally locked).
+                axialTilt: 1.54,        // Other moons omit the pole orientation: their axis is their orbit's normal.
+                poleLongitude: 264.61,
+                // Orbital elements are relative to the ecliptic (like the planets'), at the J2000 epoch.
+                eccentricity: 0.0549,
+                inclination: 5.145,
+                longitudeOfAscendingNode: 125.045,
+                argumentOfPerihelion: 318.308,
+                meanAnomalyAtEpoch: 134.963,
+                // The Sun's pull turns the Moon's orbit: the nodes regress in 18.6 years and the perigee advances in
+                // 8.85 years (degrees per day). Eclipses happen where the nodes line up with the Sun.
+                longitudeOfAscendingNodeRate: -0.0529538083,
+                argumentOfPerihelionRate: 0.1643578886,
+                facts: { diameter: 3475, mass: 7.35e22, dayLength: 708.7, meanTemperature: -20, moonCount: 0 },
+                texture: './assets/textures/2k_moon.jpg',
+                highResTexture: './assets/textures/8k_moon.jpg',
+                color: 0xBBBBBB         // Fallback color (Light Gray).
+            }
+        ]
     },
     {
         name: 'Mars',
         radius: 1.2,
         distance: 60,
-        orbitalSpeed: 0.02,
-        rotationSpeed: 0.012,
+        orbitalPeriod: 686.980,
+        rotationPeriod: 24.6229,
+        axialTilt: 25.4,
+        poleLongitude: 354.84,
+        semiMajorAxis: 1.52371034,
+        eccentricity: 0.09339410,
+        inclination: 1.84969142,
+        longitudeOfAscendingNode: 49.55953891,
+        argumentOfPerihelion: 286.49683150,
+        meanAnomalyAtEpoch: 19.39019754,
+        facts: { diameter: 6792, mass: 6.42e23, dayLength: 24.7, meanTemperature: -65, moonCount: 2 },
         texture: './assets/textures/2k_mars.jpg',
-        color: 0xFF0000         // Fallback color (Red).
+        highResTexture: './assets/textures/8k_mars.jpg',
+        color: 0xFF0000,        // Fallback color (Red).
+        // Moons orbiting in Mars' equatorial plane. Their starting phases are illustrative, not ephemeris-accurate.
+        satellites: [
+            { name: 'Phobos', radius: 0.15, distance: 2.2, semiMajorAxis: 0.0000627, orbitalPeriod: 0.31891, rotationPeriod: 7.654, eccentricity: 0.0151, inclination: 26.71, longitudeOfAscendingNode: 82.91, facts: { diameter: 22.5, mass: 1.07e16, dayLength: 7.7, meanTemperature: -40, moonCount: 0 }, color: 0x8B7D6B },
+            { name: 'Deimos', radius: 0.12, distance: 3.2, semiMajorAxis: 0.0001568, orbitalPeriod: 1.26244, rotationPeriod: 30.299, eccentricity: 0.0002, inclination: 26.71, longitudeOfAscendingNode: 82.91, facts: { diameter: 12.4, mass: 1.48e15, dayLength: 30.3, meanTemperature: -40, moonCount: 0 }, color: 0xA89F91 }
+        ]
     },
     {
         name: 'Jupiter',
         radius: 6,              // Significantly larger radius.
         distance: 90,
-        orbitalSpeed: 0.01,     // Slower orbital speed, characteristic of outer planets.
-        rotationSpeed: 0.007,
+        orbitalPeriod: 4332.589, // Much longer orbital period, characteristic of outer planets.
+        rotationPeriod: 9.925,
+        axialTilt: 2.22,
+        poleLongitude: 247.82,
+        semiMajorAxis: 5.20288700,
+        eccentricity: 0.04838624,
+        inclination: 1.30439695,
+        longitudeOfAscendingNode: 100.47390909,
+        argumentOfPerihelion: 274.25457074,
+        meanAnomalyAtEpoch: 19.66796068,
+        facts: { diameter: 142984, mass: 1.898e27, dayLength: 9.9, meanTemperature: -110, moonCount: 95 },
         texture: './assets/textures/2k_jupiter.jpg',
-        color: 0xCCAA88         // Fallback color (Light Brown).
+        highResTexture: './assets/textures/8k_jupiter.jpg',
+        color: 0xCCAA88,        // Fallback color (Light Brown).
+        // Ring bands: radii as factors of the planet radius, then a texture (mapped from the inner to the outer edge)
+        // or a color, an opacity and an optional tilt in degrees against the equator. Jupiter's faint rings really
+        // reach 1.8 planet radii; they are drawn closer in so they stay inside Io's illustrative orbit.
+        rings: [
+            { innerRadiusFactor: 1.15, outerRadiusFactor: 1.26, color: 0x6E6152, opacity: 0.08 }, // Halo ring.
+            { innerRadiusFactor: 1.26, outerRadiusFactor: 1.31, color: 0x9C8B78, opacity: 0.25 }  // Main ring.
+        ],
+        // The four Galilean moons, orbiting in Jupiter's equatorial plane (starting phases are illustrative).
+        satellites: [
+            { name: 'Io', radius: 0.45, distance: 8.5, semiMajorAxis: 0.0028189, orbitalPeriod: 1.769138, rotationPeriod: 42.459, eccentricity: 0.0041, inclination: 2.21, longitudeOfAscendingNode: 337.81, facts: { diameter: 3643, mass: 8.93e22, dayLength: 42.5, meanTemperature: -143, moonCount: 0 }, color: 0xE8D34C },
+            { name: 'Europa', radius: 0.4, distance: 10.5, semiMajorAxis: 0.0044856, orbitalPeriod: 3.551181, rotationPeriod: 85.228, eccentricity: 0.009, inclination: 2.21, longitudeOfAscendingNode: 337.81, facts: { diameter: 3122, mass: 4.80e22, dayLength: 85.2, meanTemperature: -160, moonCount: 0 }, color: 0xD8CBB0 },
+            { name: 'Ganymede', radius: 0.65, distance: 13, semiMajorAxis: 0.0071553, orbitalPeriod: 7.154553, rotationPeriod: 171.709, eccentricity: 0.0013, inclination: 2.21, longitudeOfAscendingNode: 337.81, facts: { diameter: 5268, mass: 1.48e23, dayLength: 171.7, meanTemperature: -163, moonCount: 0 }, color: 0x9C8E7E },
+            { name: 'Callisto', radius: 0.6, distance: 16, semiMajorAxis: 0.0125851, orbitalPeriod: 16.689018, rotationPeriod: 400.536, eccentricity: 0.0074, inclination: 2.21, longitudeOfAscendingNode: 337.81, facts: { diameter: 4821, mass: 1.08e23, dayLength: 400.5, meanTemperature: -139, moonCount: 0 }, color: 0x6E6259 }
+        ]
     },
     {
         name: 'Saturn',
         radius: 5,
         distance: 120,
-        orbitalSpeed: 0.009,
-        rotationSpeed: 0.006,
+        orbitalPeriod: 10759.22,
+        rotationPeriod: 10.656,
+        axialTilt: 28.05,       // The rings lie in the equatorial plane and share this tilt.
+        poleLongitude: 79.53,
+        semiMajorAxis: 9.53667594,
+        eccentricity: 0.05386179,
+        inclination: 2.48599187,
+        longitudeOfAscendingNode: 113.66242448,
+        argumentOfPerihelion: 338.93645383,
+        meanAnomalyAtEpoch: 317.35536592,
+        facts: { diameter: 120536, mass: 5.68e26, dayLength: 10.7, meanTemperature: -140, moonCount: 146 },
         texture: './assets/textures/2k_saturn.jpg',
+        highResTexture: './assets/textures/8k_saturn.jpg',
         color: 0xDDAA66,        // Fallback color (Orange-Brown).
-        hasRings: true,         // Custom property to indicate Saturn has rings.
-        ringTexture: './assets/textures/2k_saturn_ring_alpha.png', // Local path to Saturn's ring texture.
-        ringInnerRadiusFactor: 1.2, // Factor for inner ring radius relative to planet radius.
-        ringOuterRadiusFactor: 2.5  // Factor for outer ring radius relative to planet radius.
+        // One band covers the C, B and A rings; the texture holds their brightness and the Cassini Division.
+        rings: [
+            { innerRadiusFactor: 1.2, outerRadiusFactor: 2.5, texture: './assets/textures/2k_saturn_ring_alpha.png', color: 0xBFA77A, opacity: 0.8 }
+        ],
+        // Titan, orbiting just beyond the rings in Saturn's equatorial plane (starting phase is illustrative).
+        satellites: [
+            { name: 'Titan', radius: 0.7, distance: 15, semiMajorAxis: 0.0081677, orbitalPeriod: 15.945, rotationPeriod: 382.69, eccentricity: 0.0288, inclination: 28.05, longitudeOfAscendingNode: 169.53, facts: { diameter: 5150, mass: 1.35e23, dayLength: 382.7, meanTemperature: -179, moonCount: 0 }, color: 0xD9A441 }
+        ]
     },
     {
         name: 'Uranus',
         radius: 3.5,
         distance: 150,
-        orbitalSpeed: 0.007,
-        rotationSpeed: 0.005,
+        orbitalPeriod: 30685.4,
+        rotationPeriod: -17.24, // Retrograde, and with its pole almost in the ecliptic, Uranus lies on its side.
+        axialTilt: 82.28,
+        poleLongitude: 257.65,
+        semiMajorAxis: 19.18916464,
+        eccentricity: 0.04725744,
+        inclination: 0.77263783,
+        longitudeOfAscendingNode: 74.01692503,
+        argumentOfPerihelion: 96.93735127,
+        meanAnomalyAtEpoch: 142.28382821,
+        facts: { diameter: 51118, mass: 8.68e25, dayLength: 17.2, meanTemperature: -195, moonCount: 28 },
         texture: './assets/textures/2k_uranus.jpg',
-        color: 0xADD8E6         // Fallback color (Light Blue).
+        color: 0xADD8E6,        // Fallback color (Light Blue).
+        // Narrow, dark rings (really at 1.6 to 2.0 planet radii), drawn closer in to stay inside Titania's orbit.
+        rings: [
+            { innerRadiusFactor: 1.3, outerRadiusFactor: 1.45, color: 0x7D8A93, opacity: 0.12 }, // Inner ringlets.
+            { innerRadiusFactor: 1.5, outerRadiusFactor: 1.53, color: 0xB8C4CC, opacity: 0.45 }  // Epsilon ring.
+        ],
+        // Uranus' largest moons. They orbit in its steeply tilted equatorial plane (starting phases are illustrative).
+        satellites: [
+            { name: 'Titania', radius: 0.3, distance: 6, semiMajorAxis: 0.0029139, orbitalPeriod: 8.706234, rotationPeriod: 208.94, eccentricity: 0.0011, inclination: 97.72, longitudeOfAscendingNode: 167.65, facts: { diameter: 1578, mass: 3.40e21, dayLength: 208.9, meanTemperature: -203, moonCount: 0 }, color: 0xB8AFA5 },
+            { name: 'Oberon', radius: 0.3, distance: 7.5, semiMajorAxis: 0.0039006, orbitalPeriod: 13.463239, rotationPeriod: 323.118, eccentricity: 0.0014, inclination: 97.72, longitudeOfAscendingNode: 167.65, facts: { diameter: 1523, mass: 3.08e21, dayLength: 323.1, meanTemperature: -198, moonCount: 0 }, color: 0x9E948A }
+        ]
     },
     {
         name: 'Neptune',
         radius: 3.2,
         distance: 180,
-        orbitalSpeed: 0.006,
-        rotationSpeed: 0.004,
+        orbitalPeriod: 60189.0,
+        rotationPeriod: 16.11,
+        axialTilt: 28.03,
+        poleLongitude: 319.24,
+        semiMajorAxis: 30.06992276,
+        eccentricity: 0.00859048,
+        inclination: 1.77004347,
+        longitudeOfAscendingNode: 131.78422574,
+        argumentOfPerihelion: 273.18053653,
+        meanAnomalyAtEpoch: 259.91520804,
+        facts: { diameter: 49528, mass: 1.02e26, dayLength: 16.1, meanTemperature: -200, moonCount: 16 },
         texture: './assets/textures/2k_neptune.jpg',
-        color: 0x00008B         // Fallback color (Dark Blue).
+        color: 0x00008B,        // Fallback color (Dark Blue).
+        // Faint, dusty rings at their real distances (Galle, Le Verrier and Adams ring).
+        rings: [
+            { innerRadiusFactor: 1.69, outerRadiusFactor: 1.74, color: 0x8C8C99, opacity: 0.08 },
+            { innerRadiusFactor: 2.14, outerRadiusFactor: 2.16, color: 0xA6A6B3, opacity: 0.25 },
+            { innerRadiusFactor: 2.53, outerRadiusFactor: 2.55, color: 0xA6A6B3, opacity: 0.3 }
+        ]
+    },
+    // Dwarf planets. `type` sets how a body is labelled and filtered (see BODY_TYPES); bodies without one are
+    // planets, or moons if they are satellites. Their illustrative distances continue the planets' layout.
+    {
+        name: 'Ceres',
+        type: 'dwarfPlanet',
+        radius: 0.35,
+        distance: 70,           // In the middle of the asteroid belt.
+        orbitalPeriod: 1680.5,
+        rotationPeriod: 9.074,
+        semiMajorAxis: 2.7675,
+        eccentricity: 0.0758,
+        inclination: 10.593,
+        longitudeOfAscendingNode: 80.305,
+        argumentOfPerihelion: 73.597,
+        meanAnomalyAtEpoch: 5.8,
+        facts: { diameter: 939, mass: 9.38e20, dayLength: 9.1, meanTemperature: -105, moonCount: 0 },
+        color: 0x9A948C
+    },
+    {
+        name: 'Pluto',
+        type: 'dwarfPlanet',
+        radius: 0.45,
+        distance: 206,          // Its perihelion lies inside Neptune's orbit.
+        orbitalPeriod: 90560,
+        rotationPeriod: -153.29, // Retrograde, like Venus and Uranus.
+        axialTilt: 67.19,
+        poleLongitude: 317.35,
+        semiMajorAxis: 39.482,
+        eccentricity: 0.2488,
+        inclination: 17.14,
+        longitudeOfAscendingNode: 110.30,
+        argumentOfPerihelion: 113.76,
+        meanAnomalyAtEpoch: 14.86,
+        facts: { diameter: 2377, mass: 1.303e22, dayLength: 153.3, meanTemperature: -229, moonCount: 5 },
+        color: 0xC8B59A,
+        // Charon orbits in Pluto's equatorial plane; as seen from the ecliptic north, that orbit runs clockwise.
+        satellites: [
+            { name: 'Charon', radius: 0.22, distance: 2, semiMajorAxis: 0.000131, orbitalPeriod: 6.387221, rotationPeriod: 153.29, eccentricity: 0.0002, inclination: 112.81, longitudeOfAscendingNode: 227.35, facts: { diameter: 1212, mass: 1.586e21, dayLength: 153.3, meanTemperature: -220, moonCount: 0 }, color: 0x8E8A86 }
+        ]
+    },
+    {
+        name: 'Eris',
+        type: 'dwarfPlanet',
+        radius: 0.45,
+        distance: 284,
+        orbitalPeriod: 204201,
+        rotationPeriod: 378.9,
+        semiMajorAxis: 67.86,
+        eccentricity: 0.4361,
+        inclination: 44.04,
+        longitudeOfAscendingNode: 35.95,
+        argumentOfPerihelion: 151.64,
+        meanAnomalyAtEpoch: 194.45,
+        facts: { diameter: 2326, mass: 1.66e22, dayLength: 378.9, meanTemperature: -231, moonCount: 1 },
+        color: 0xE4E0DA
+    },
+    // Comets. Their orbits are too eccentric to draw at a single illustrative scale (Halley's would dip into the
+    // Sun), so comets take no `distance`: each position is computed in AU and its distance from the Sun mapped onto
+    // the planets' layout (see `illustrativeDistanceForAU`). A tail pointing away from the Sun grows near perihelion.
+    {
+        name: "Halley's Comet",
+        type: 'comet',
+        radius: 0.3,
+        orbitalPeriod: 27509,
+        rotationPeriod: 52.8,
+        semiMajorAxis: 17.834,
+        eccentricity: 0.96714,
+        inclination: 162.26,    // Retrograde orbit.
+        longitudeOfAscendingNode: 58.42,
+        argumentOfPerihelion: 111.33,
+        meanAnomalyAtEpoch: 66.40, // Perihelion on 9 February 1986.
+        facts: { diameter: 11, mass: 2.2e14, dayLength: 52.8, moonCount: 0 },
+        color: 0xCFE3F2
+    },
+    {
+        name: 'Churyumov-Gerasimenko',
+        type: 'comet',
+        radius: 0.25,
+        orbitalPeriod: 2353.7,
+        rotationPeriod: 12.4,
+        semiMajorAxis: 3.4628,
+        eccentricity: 0.6410,
+        inclination: 7.04,
+        longitudeOfAscendingNode: 50.14,
+        argumentOfPerihelion: 12.78,
+        meanAnomalyAtEpoch: 207.8, // Perihelion on 13 August 2015, during the Rosetta mission.
+        facts: { diameter: 4, mass: 1.0e13, dayLength: 12.4, moonCount: 0 },
+        color: 0xB5C7D3
+    },
+    // Spacecraft follow recorded trajectory samples instead of an orbit: the heliocentric ecliptic position
+    // (`distance` in AU, `longitude` and `latitude` in degrees) on each `date`. Positions in between are interpolated
+    // and continue beyond the last sample at its speed; before the first sample (the launch) the craft is not shown.
+    // Flyby samples use the position this simulation computes for the planet on that date, so the marker meets it.
+    {
+        name: 'Voyager 1',
+        type: 'spacecraft',
+        radius: 0.5,
+        trajectory: [
+            { date: '1977-09-05', distance: 1.008, longitude: 342.63, latitude: 0 },      // Launch.
+            { date: '1979-03-05', distance: 5.29, longitude: 127.46, latitude: 0.59 },    // Jupiter flyby.
+            { date: '1980-11-12', distance: 9.506, longitude: 182.24, latitude: 2.31 },   // Saturn and Titan flyby.
+            { date: '1990-02-14', distance: 40.1, longitude: 253.0, latitude: 32.0 },     // "Pale Blue Dot" photo.
+            { date: '2004-12-16', distance: 94.0, longitude: 255.5, latitude: 34.6 },     // Termination shock.
+            { date: '2012-08-25', distance: 121.6, longitude: 255.9, latitude: 34.85 },   // Heliopause, into interstellar space.
+            { date: '2025-01-01', distance: 164.9, longitude: 255.95, latitude: 34.87 }
+        ],
+        facts: { mass: 825.5 },
+        color: 0xFFD27F
+    },
+    {
+        name: 'Voyager 2',
+        type: 'spacecraft',
+        radius: 0.5,
+        trajectory: [
+            { date: '1977-08-20', distance: 1.012, longitude: 327.17, latitude: 0 },      // Launch.
+            { date: '1979-07-09', distance: 5.33, longitude: 137.5, latitude: 0.79 },     // Jupiter flyby.
+            { date: '1981-08-26', distance: 9.592, longitude: 191.81, latitude: 2.43 },   // Saturn flyby.
+            { date: '1986-01-24', distance: 19.114, longitude: 258.92, latitude: -0.07 }, // Uranus flyby.
+            { date: '1989-08-25', distance: 30.211, longitude: 281.45, latitude: 0.89 },  // Neptune flyby, turning south.
+            { date: '1995-01-01', distance: 45.3, longitude: 286.5, latitude: -25.0 },
+            { date: '2007-08-30', distance: 83.7, longitude: 288.6, latitude: -33.5 },    // Termination shock.
+            { date: '2018-11-05', distance: 119.0, longitude: 289.0, latitude: -36.5 },   // Heliopause.
+            { date: '2025-01-01', distance: 138.1, longitude: 288.98, latitude: -37.42 }
+        ],
+        facts: { mass: 825.5 },
+        color: 0xFFB86B
+    },
+    {
+        name: 'New Horizons',
+        type: 'spacecraft',
+        radius: 0.5,
+        trajectory: [
+            { date: '2006-01-19', distance: 0.984, longitude: 118.68, latitude: 0 },      // Launch.
+            { date: '2007-02-28', distance: 5.349, longitude: 247.15, latitude: 0.72 },   // Jupiter gravity assist.
+            { date: '2015-07-14', distance: 32.91, longitude: 284.07, latitude: 1.92 },   // Pluto flyby.
+            { date: '2019-01-01', distance: 43.4, longitude: 286.5, latitude: 1.8 },      // Arrokoth flyby.
+            { date: '2025-01-01', distance: 60.6, longitude: 288.69, latitude: 1.65 }
+        ],
+        facts: { mass: 478 },
+        color: 0x9FE0B0
+    }
+];
+
+// Small-body belts of the built-in solar system, drawn as particle fields (see `_createSmallBodyBelts`). Every
+// particle gets its own random orbit within the given ranges (distances in AU, angles in degrees) and moves at its
+// own Keplerian speed. `count` is the number of particles at a belt density of 100%. Loaded systems have no belts.
+const SMALL_BODY_BELTS = [
+    {
+        name: 'Asteroid Belt',
+        innerSemiMajorAxis: 2.1, // Between Mars and Jupiter.
+        outerSemiMajorAxis: 3.3,
+        maxEccentricity: 0.25,
+        maxInclination: 20,
+        count: 4000,
+        color: 0x9C8F80,
+        size: 0.5,               // Particle size in scene units (drawn at least one pixel large).
+        seed: 1801               // Seed of the random orbits, so the belt looks the same on every visit.
+    },
+    {
+        name: 'Kuiper Belt',
+        innerSemiMajorAxis: 30,  // From Neptune's orbit outwards.
+        outerSemiMajorAxis: 50,
+        maxEccentricity: 0.3,
+        maxInclination: 30,
+        count: 6000,
+        color: 0x8FA1B3,
+        size: 0.9,
+        seed: 1992
     }
 ];
 
+// Bright-star catalogue for the procedural starfield: the brightest stars and those outlining a few well-known
+// constellations (Orion, the Big Dipper, Cassiopeia, the Southern Cross), so they appear where they are in the real
+// sky. Right ascension and declination are J2000 values in degrees, `magnitude` is the apparent visual magnitude and
+// `colorIndex` the B-V color index, from which the star's color temperature is derived.
+const BRIGHT_STAR_CATALOGUE = [
+    { name: 'Sirius', rightAscension: 101.287, declination: -16.716, magnitude: -1.46, colorIndex: 0.00 },
+    { name: 'Canopus', rightAscension: 95.988, declination: -52.696, magnitude: -0.74, colorIndex: 0.15 },
+    { name: 'Rigil Kentaurus', rightAscension: 219.902, declination: -60.834, magnitude: -0.27, colorIndex: 0.71 },
+    { name: 'Arcturus', rightAscension: 213.915, declination: 19.182, magnitude: -0.05, colorIndex: 1.23 },
+    { name: 'Vega', rightAscension: 279.234, declination: 38.784, magnitude: 0.03, colorIndex: 0.00 },
+    { name: 'Capella', rightAscension: 79.172, declination: 45.998, magnitude: 0.08, colorIndex: 0.80 },
+    { name: 'Rigel', rightAscension: 78.634, declination: -8.202, magnitude: 0.13, colorIndex: -0.03 },
+    { name: 'Procyon', rightAscension: 114.825, declination: 5.225, magnitude: 0.34, colorIndex: 0.42 },
+    { name: 'Achernar', rightAscension: 24.429, declination: -57.237, magnitude: 0.46, colorIndex: -0.16 },
+    { name: 'Betelgeuse', rightAscension: 88.793, declination: 7.407, magnitude: 0.50, colorIndex: 1.85 },
+    { name: 'Hadar', rightAscension: 210.956, declination: -60.373, magnitude: 0.61, colorIndex: -0.23 },
+    { name: 'Altair', rightAscension: 297.696, declination: 8.868, magnitude: 0.77, colorIndex: 0.22 },
+    { name: 'Acrux', rightAscension: 186.650, declination: -63.099, magnitude: 0.76, colorIndex: -0.24 },
+    { name: 'Aldebaran', rightAscension: 68.980, declination: 16.509, magnitude: 0.86, colorIndex: 1.54 },
+    { name: 'Antares', rightAscension: 247.352, declination: -26.432, magnitude: 0.96, colorIndex: 1.83 },
+    { name: 'Spica', rightAscension: 201.298, declination: -11.161, magnitude: 0.97, colorIndex: -0.23 },
+    { name: 'Pollux', rightAscension: 116.329, declination: 28.026, magnitude: 1.14, colorIndex: 1.00 },
+    { name: 'Fomalhaut', rightAscension: 344.413, declination: -29.622, magnitude: 1.16, colorIndex: 0.09 },
+    { name: 'Deneb', rightAscension: 310.358, declination: 45.280, magnitude: 1.25, colorIndex: 0.09 },
+    { name: 'Mimosa', rightAscension: 191.930, declination: -59.689, magnitude: 1.25, colorIndex: -0.23 },
+    { name: 'Regulus', rightAscension: 152.093, declination: 11.967, magnitude: 1.35, colorIndex: -0.11 },
+    { name: 'Adhara', rightAscension: 104.656, declination: -28.972, magnitude: 1.50, colorIndex: -0.21 },
+    { name: 'Castor', rightAscension: 113.650, declination: 31.888, magnitude: 1.58, colorIndex: 0.03 },
+    { name: 'Shaula', rightAscension: 263.402, declination: -37.104, magnitude: 1.62, colorIndex: -0.22 },
+    { name: 'Gacrux', rightAscension: 187.791, declination: -57.113, magnitude: 1.63, colorIndex: 1.60 },
+    { name: 'Bellatrix', rightAscension: 81.283, declination: 6.350, magnitude: 1.64, colorIndex: -0.22 },
+    { name: 'Elnath', rightAscension: 81.573, declination: 28.608, magnitude: 1.65, colorIndex: -0.13 },
+    { name: 'Alnilam', rightAscension: 84.053, declination: -1.202, magnitude: 1.69, colorIndex: -0.18 },
+    { name: 'Alnitak', rightAscension: 85.190, declination: -1.943, magnitude: 1.77, colorIndex: -0.21 },
+    { name: 'Alioth', rightAscension: 193.507, declination: 55.960, magnitude: 1.77, colorIndex: -0.02 },
+    { name: 'Dubhe', rightAscension: 165.932, declination: 61.751, magnitude: 1.79, colorIndex: 1.07 },
+    { name: 'Alkaid', rightAscension: 206.885, declination: 49.313, magnitude: 1.86, colorIndex: -0.19 },
+    { name: 'Polaris', rightAscension: 37.955, declination: 89.264, magnitude: 1.98, colorIndex: 0.60 },
+    { name: 'Kochab', rightAscension: 222.676, declination: 74.156, magnitude: 2.08, colorIndex: 1.47 },
+    { name: 'Saiph', rightAscension: 86.939, declination: -9.670, magnitude: 2.09, colorIndex: -0.18 },
+    { name: 'Mintaka', rightAscension: 83.002, declination: -0.299, magnitude: 2.23, colorIndex: -0.22 },
+    { name: 'Mizar', rightAscension: 200.981, declination: 54.925, magnitude: 2.23, colorIndex: 0.02 },
+    { name: 'Schedar', rightAscension: 10.127, declination: 56.537, magnitude: 2.24, colorIndex: 1.17 },
+    { name: 'Caph', rightAscension: 2.295, declination: 59.150, magnitude: 2.28, colorIndex: 0.34 },
+    { name: 'Merak', rightAscension: 165.460, declination: 56.383, magnitude: 2.37, colorIndex: -0.02 },
+    { name: 'Phecda', rightAscension: 178.458, declination: 53.695, magnitude: 2.44, colorIndex: 0.04 },
+    { name: 'Gamma Cassiopeiae', rightAscension: 14.177, declination: 60.717, magnitude: 2.47, colorIndex: -0.15 },
+    { name: 'Ruchbah', rightAscension: 21.454, declination: 60.235, magnitude: 2.68, colorIndex: 0.13 },
+    { name: 'Delta Crucis', rightAscension: 183.786, declination: -58.749, magnitude: 2.79, colorIndex: -0.23 },
+    { name: 'Megrez', rightAscension: 183.857, declination: 57.033, magnitude: 3.31, colorIndex: 0.08 },
+    { name: 'Segin', rightAscension: 28.599, declination: 63.670, magnitude: 3.37, colorIndex: -0.15 }
+];
+
 // =====================================================================================================================
-// SECTION 4: SIMULATION STATE VARIABLES
-// These variables manage the current state of the simulation, including animation status,
-// speed factors, and interaction-related data (e.g., raycasting, camera focus targets).
+// SECTION 3A: ORBITAL MECHANICS HELPERS
+// Pure functions implementing two-body Keplerian motion. They convert the orbital elements declared in
+// CELESTIAL_BODIES_DATA into positions in the scene. The ecliptic plane maps onto the scene's XZ plane and
+// ecliptic north points along +Y, so prograde orbits run counter-clockwise when viewed from above.
 // =====================================================================================================================
-const planets = [];             // Array to hold references to planet meshes and their orbit groups.
-let sunMesh;                    // Reference to the Sun's mesh object, directly added to the scene.
 
-let isPaused = false;           // Boolean flag to control animation pause/resume.
-let globalSpeedFactor = 1.0;    // Multiplier for overall simulation speed, controlled by a UI slider.
+/**
+ * @function getOrbitalElements
+ * @description Reads the Keplerian orbital elements from a celestial body data entry and converts all angles
+ * from degrees to radians. Missing elements default to a circular orbit in the ecliptic plane. Orbits that precess
+ * (the Moon's) give `longitudeOfAscendingNodeRate` and `argumentOfPerihelionRate` in degrees per day; their node and
+ * perihelion are advanced from the J2000 epoch to the requested date.
+ * @param {object} bodyData - An entry of CELESTIAL_BODIES_DATA.
+ * @param {number} [julianDate=SCENE_CONSTANTS.J2000_JULIAN_DATE] - The date of the elements, for precessing orbits.
+ * @returns {object} The elements (`eccentricity`, `inclination`, `longitudeOfAscendingNode`,
+ * `argumentOfPerihelion`, `meanAnomalyAtEpoch`) with angles in radians.
+ */
+function getOrbitalElements(bodyData, julianDate = SCENE_CONSTANTS.J2000_JULIAN_DATE) {
+    const degToRad = THREE.MathUtils.degToRad;
+    const days = julianDate - SCENE_CONSTANTS.J2000_JULIAN_DATE;
+    return {
+        eccentricity: THREE.MathUtils.clamp(bodyData.eccentricity || 0, 0, 0.99), // Only closed (elliptical) orbits are supported.
+        inclination: degToRad(bodyData.inclination || 0),
+        longitudeOfAscendingNode: degToRad((bodyData.longitudeOfAscendingNode || 0) + (bodyData.longitudeOfAscendingNodeRate || 0) * days),
+        argumentOfPerihelion: degToRad((bodyData.argumentOfPerihelion || 0) + (bodyData.argumentOfPerihelionRate || 0) * days),
+        meanAnomalyAtEpoch: degToRad(bodyData.meanAnomalyAtEpoch || 0)
+    };
+}
 
-// Raycasting variables for interactive elements (hover, click detection).
-const raycaster = new THREE.Raycaster(); // Used for detecting intersections with 3D objects in the scene.
-const mouse = new THREE.Vector2();       // Stores mouse coordinates in normalized device space (-1 to +1).
-let intersectedObject = null;    // Stores the currently intersected 3D object during mouse hover.
+/**
+ * @function isOrbitPrecessing
+ * @description Checks whether a body's orbit turns over time (see `getOrbitalElements`).
+ * @param {object} bodyData - An entry of CELESTIAL_BODIES_DATA.
+ * @returns {boolean} `true` if its node or perihelion moves.
+ */
+function isOrbitPrecessing(bodyData) {
+    return Boolean(bodyData.longitudeOfAscendingNodeRate || bodyData.argumentOfPerihelionRate);
+}
 
-// Camera focus variables for smooth transitions to specific planets.
-let isCameraFocusing = false;    // Flag to indicate if the camera is currently in a focusing transition.
-let cameraTargetPosition = new THREE.Vector3(); // The target position for the camera during a focus transition.
-let cameraTargetLookAt = new THREE.Vector3();   // The target point for the camera to look at during a focus transition.
+/**
+ * @function solveKeplerEquation
+ * @description Solves Kepler's equation `M = E - e * sin(E)` for the eccentric anomaly `E` using Newton-Raphson iteration.
+ * @param {number} meanAnomaly - The mean anomaly `M` in radians (any value; it is wrapped to [-PI, PI]).
+ * @param {number} eccentricity - The orbit eccentricity `e` (0 <= e < 1).
+ * @returns {number} The eccentric anomaly `E` in radians.
+ */
+function solveKeplerEquation(meanAnomaly, eccentricity) {
+    // Wrap the mean anomaly into [-PI, PI] so the initial guess is always close to the solution.
+    const M = Math.atan2(Math.sin(meanAnomaly), Math.cos(meanAnomaly));
+    // For eccentric orbits starting at PI converges reliably; for near-circular orbits E is close to M.
+    let E = eccentricity < 0.8 ? M : Math.PI * Math.sign(M || 1);
+    for (let i = 0; i < SCENE_CONSTANTS.KEPLER_SOLVER_MAX_ITERATIONS; i++) {
+        const delta = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < SCENE_CONSTANTS.KEPLER_SOLVER_TOLERANCE) break;
+    }
+    return E;
+}
 
-// Debugging and performance monitoring variables.
-let lastFpsUpdateTime = 0;      // Timestamp of the last FPS update.
-let frameCount = 0;             // Counter for frames rendered within an FPS measurement interval.
+/**
+ * @function eccentricAnomalyToPosition
+ * @description Converts an eccentric anomaly into a 3D position. The point is first placed on the ellipse within the
+ * orbital plane (perihelion along +x), then rotated by the argument of perihelion, the inclination and the longitude
+ * of the ascending node into the ecliptic frame, and finally mapped onto the scene axes.
+ * @param {object} elements - Orbital elements in radians, as returned by `getOrbitalElements`.
+ * @param {number} semiMajorAxis - The semi-major axis in scene units.
+ * @param {number} eccentricAnomaly - The eccentric anomaly `E` in radians.
+ * @param {THREE.Vector3} target - The vector that receives the result.
+ * @returns {THREE.Vector3} The `target` vector, set to the position relative to the focus of the orbit.
+ */
+function eccentricAnomalyToPosition(elements, semiMajorAxis, eccentricAnomaly, target) {
+    const e = elements.eccentricity;
+    // Position within the orbital plane, with the focus (the central body) at the origin.
+    const xOrbit = semiMajorAxis * (Math.cos(eccentricAnomaly) - e);
+    const yOrbit = semiMajorAxis * Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly);
+
+    const cosNode = Math.cos(elements.longitudeOfAscendingNode);
+    const sinNode = Math.sin(elements.longitudeOfAscendingNode);
+    const cosPeri = Math.cos(elements.argumentOfPerihelion);
+    const sinPeri = Math.sin(elements.argumentOfPerihelion);
+    const cosIncl = Math.cos(elements.inclination);
+    const sinIncl = Math.sin(elements.inclination);
+
+    // Standard rotation from the orbital plane into heliocentric ecliptic coordinates.
+    const xEcliptic = (cosNode * cosPeri - sinNode * sinPeri * cosIncl) * xOrbit + (-cosNode * sinPeri - sinNode * cosPeri * cosIncl) * yOrbit;
+    const yEcliptic = (sinNode * cosPeri + cosNode * sinPeri * cosIncl) * xOrbit + (-sinNode * sinPeri + cosNode * cosPeri * cosIncl) * yOrbit;
+    const zEcliptic = (sinPeri * sinIncl) * xOrbit + (cosPeri * sinIncl) * yOrbit;
+
+    // Ecliptic X stays X, ecliptic north (Z) becomes the scene's up axis (Y), and ecliptic Y becomes -Z.
+    return target.set(xEcliptic, zEcliptic, -yEcliptic);
+}
 
-// =====================================================================================================================
-// SECTION 5: UI ELEMENT REFERENCES
-// References to HTML elements for user interaction, feedback, and debugging displays.
-// These are populated during the UI setup phase.
-// =====================================================================================================================
-let toggleAnimationBtn;         // Button to pause/resume the simulation.
-let globalSpeedSlider;          // Slider for controlling the global simulation speed.
-let globalSpeedValueSpan;       // Span to display the current global speed value.
-const planetSpeedSliders = {};  // Object to store individual planet speed sliders, keyed by planet name.
-const planetSpeedValueSpans = {}; // Object to store individual planet speed value displays, keyed by planet name.
-let loadingOverlay;             // The fullscreen loading screen element.
-let loadingProgressBar;         // The visual progress bar within the loading screen.
-let loadingProgressText;        // Text displaying the loading percentage.
-let planetLabelElement;         // HTML element to display planet names on hover.
-let resetCameraButton;          // Button to reset the camera to its initial view.
-let messageBoxElement;          // Custom message box container.
-let messageBoxTextElement;      // Text content area for the custom message box.
-let messageBoxCloseButton;      // Close button for the custom message box.
+/**
+ * @function computeOrbitalPosition
+ * @description Computes the position of a body on its Keplerian orbit for a given mean anomaly.
+ * @param {object} elements - Orbital elements in radians, as returned by `getOrbitalElements`.
+ * @param {number} semiMajorAxis - The semi-major axis in scene units.
+ * @param {number} meanAnomaly - The current mean anomaly in radians.
+ * @param {THREE.Vector3} target - The vector that receives the result.
+ * @returns {THREE.Vector3} The `target` vector, set to the position relative to the focus of the orbit.
+ */
+function computeOrbitalPosition(elements, semiMajorAxis, meanAnomaly, target) {
+    const eccentricAnomaly = solveKeplerEquation(meanAnomaly, elements.eccentricity);
+    return eccentricAnomalyToPosition(elements, semiMajorAxis, eccentricAnomaly, target);
+}
 
-// Debugging UI elements
-let fpsDisplay;                 // Span to display current frames per second (FPS).
-let objectCountDisplay;         // Span to display the number of rendered objects.
-let cameraPosXDisplay;          // Span to display camera's X position.
-let cameraPosYDisplay;          // Span to display camera's Y position.
-let cameraPosZDisplay;          // Span to display camera's Z position.
-let mouseNDCXDisplay;           // Span to display normalized device coordinates (NDC) X for mouse.
-let mouseNDCYDisplay;           // Span to display normalized device coordinates (NDC) Y for mouse.
-let animationStatusDisplay;     // Span to display animation paused/resumed status.
-let focusStatusDisplay;         // Span to display camera focusing status.
+/**
+ * @function computeOrbitalRadius
+ * @description Computes the distance between a body and the focus of its orbit (`r = a * (1 - e * cos E)`).
+ * @param {object} elements - Orbital elements in radians, as returned by `getOrbitalElements`.
+ * @param {number} semiMajorAxis - The semi-major axis, in any unit; the result uses the same unit.
+ * @param {number} meanAnomaly - The current mean anomaly in radians.
+ * @returns {number} The current orbital radius.
+ */
+function computeOrbitalRadius(elements, semiMajorAxis, meanAnomaly) {
+    const eccentricAnomaly = solveKeplerEquation(meanAnomaly, elements.eccentricity);
+    return semiMajorAxis * (1 - elements.eccentricity * Math.cos(eccentricAnomaly));
+}
 
-// =====================================================================================================================
-// SECTION 6: SOLARSYSTEMSIMULATION CLASS
-// This class encapsulates all the logic for setting up, running, and managing the 3D solar system simulation.
-// It follows an object-oriented approach to organize the codebase.
-// =====================================================================================================================
-class SolarSystemSimulation {
-    /**
-     * @constructor
-     * @description Initializes the entire solar system simulation. This is the primary entry point
-     * for setting up the Three.js scene, loading assets, configuring UI, and starting the animation loop.
-     */
-    constructor() {
-        console.log('SolarSystemSimulation: Initializing the application...');
-        try {
-            // Step 1: Initialize the loading manager to track asset loading progress.
-            this._initLoadingManager();
-            // Step 2: Set up the fundamental Three.js scene, camera, and renderer.
-            this._initScene();
-            // Step 3: Configure and add lighting to the scene to illuminate celestial bodies.
-            this._setupLights();
-            // Step 4: Load textures for planets and background, then create their 3D meshes.
-            this._loadTexturesAndCreateBodies();
-            // Step 5: Get references to and initialize all HTML UI elements.
-            this._setupUI();
-            // Step 6: Attach event listeners to UI elements and the window for user interaction.
-            this._addEventListeners();
-            // Step 7: Handle initial window sizing for responsiveness.
-            this._handleResize();
+/**
+ * @function blendScale
+ * @description Interpolates between an illustrative and a true-scale value on a logarithmic scale, so that every
+ * step of the scale slider changes sizes and distances by the same factor. (A linear blend would leave the large
+ * illustrative value dominant until the very end of the slider.)
+ * @param {number} illustrativeValue - The value in the illustrative layout (blend 0).
+ * @param {number|null} trueValue - The value at true scale (blend 1), or `null` if it is unknown.
+ * @param {number} blend - 0 for the illustrative layout, 1 for true scale.
+ * @returns {number} The blended value; the illustrative value if the true value is unknown.
+ */
+function blendScale(illustrativeValue, trueValue, blend) {
+    if (!(trueValue > 0) || !(illustrativeValue > 0)) return illustrativeValue;
+    return illustrativeValue * Math.pow(trueValue / illustrativeValue, blend);
+}
 
-            console.log('SolarSystemSimulation: Initialization sequence complete. Awaiting asset loading to start animation.');
-        } catch (error) {
-            console.error('SolarSystemSimulation: Critical error during initialization:', error);
-            this._showMessageBox('Critical Error', `Failed to initialize the solar system simulation: ${error.message}. Please check the console for more details and ensure your browser supports WebGL.`, 'error');
-        }
+/**
+ * @function computeSpinAxisOrientation
+ * @description Computes the rotation that turns the scene's up axis onto a body's north pole, i.e. the tilt of
+ * its spin axis. The pole is given by `axialTilt` (its angle from the ecliptic north pole) and `poleLongitude` (the
+ * ecliptic longitude it leans towards), both in degrees. A body without an `axialTilt` spins about the normal of
+ * its orbit, which is close to the truth for tidally locked moons; the light source then spins about the up axis.
+ * @param {object} bodyData - An entry of CELESTIAL_BODIES_DATA.
+ * @param {THREE.Quaternion} target - The quaternion that receives the result.
+ * @returns {THREE.Quaternion} The `target` quaternion.
+ */
+function computeSpinAxisOrientation(bodyData, target) {
+    let tilt;
+    let longitude;
+    if (bodyData.axialTilt !== undefined) {
+        tilt = THREE.MathUtils.degToRad(bodyData.axialTilt);
+        longitude = THREE.MathUtils.degToRad(bodyData.poleLongitude || 0);
+    } else {
+        // The orbit normal is inclined by the inclination, leaning 90 degrees behind the ascending node.
+        const elements = getOrbitalElements(bodyData);
+        tilt = elements.inclination;
+        longitude = elements.longitudeOfAscendingNode - Math.PI / 2;
     }
+    // The pole in ecliptic coordinates, mapped onto the scene axes like orbital positions (ecliptic north is +Y).
+    const pole = new THREE.Vector3(Math.sin(tilt) * Math.cos(longitude), Math.cos(tilt), -Math.sin(tilt) * Math.sin(longitude));
+    return target.setFromUnitVectors(new THREE.Vector3(0, 1, 0), pole);
+}
 
-    /**
-     * @private
-     * @method _initLoadingManager
-     * @description Sets up the Three.js LoadingManager to track asset loading progress.
-     * This manager is crucial for displaying a loading screen to the user, providing feedback
-     * and preventing a blank screen while large textures are being fetched.
-     */
-    _initLoadingManager() {
-        console.log('LoadingManager: Initializing Three.js LoadingManager...');
-        try {
-            loadingManager = new THREE.LoadingManager();
-
-            // Get references to all loading UI elements from the DOM.
-            loadingOverlay = document.getElementById('loading-overlay');
-            loadingProgressBar = document.getElementById('loading-progress-bar');
-            loadingProgressText = document.getElementById('loading-progress-text');
+/**
+ * @function getRotationRate
+ * @description Returns a body's spin rate from its signed sidereal `rotationPeriod` in hours. Definitions that
+ * only give the older `rotationSpeed` (radians per real second at a global speed of 1.00x) keep spinning as before.
+ * @param {object} bodyData - An entry of CELESTIAL_BODIES_DATA.
+ * @returns {number} The spin rate in radians per simulated day; negative for retrograde rotation, 0 if unknown.
+ */
+function getRotationRate(bodyData) {
+    if (bodyData.rotationPeriod) return (Math.PI * 2 * 24) / bodyData.rotationPeriod;
+    if (bodyData.rotationSpeed) {
+        return bodyData.rotationSpeed / (SCENE_CONSTANTS.SIMULATION_DAYS_PER_SECOND * SCENE_CONSTANTS.SPIN_RATE_SCALE);
+    }
+    return 0;
+}
 
-            // Validate that all required loading UI elements are present in the DOM.
-            if (!loadingOverlay || !loadingProgressBar || !loadingProgressText) {
-                console.warn('LoadingManager: One or more loading UI elements are missing. Loading overlay will not function as expected.');
-                // If UI elements are missing, configure the manager to log progress to console only.
-                loadingManager.onStart = (url, itemsLoaded, itemsTotal) => console.log(`Loading started (UI elements missing). Total items: ${itemsTotal}`);
-                loadingManager.onProgress = (url, itemsLoaded, itemsTotal) => console.log(`Loaded ${itemsLoaded}/${itemsTotal}: ${url}`);
-                loadingManager.onLoad = () => {
-                    console.log('All assets loaded (UI elements missing). Starting animation.');
-                    this.animate(); // Start animation directly if no overlay is possible.
-                };
-                loadingManager.onError = (url) => {
-                    console.error('Error loading asset (UI elements missing):', url);
-                    this._showMessageBox('Loading Error', `Failed to load some assets. Check console for details: ${url}`, 'warning');
-                    this.animate(); // Still attempt to start animation with available assets.
-                };
-                this.textureLoader = new THREE.TextureLoader(loadingManager); // Assign manager to loader.
-                return; // Exit the method as UI interaction is not possible.
-            }
+/**
+ * @function illustrativeDistanceForAU
+ * @description Maps a real distance from the light source onto the illustrative layout, whose orbit sizes are not
+ * proportional to the real ones. The distance is interpolated linearly between the orbits of the planets it lies
+ * between, and extrapolated along the outermost (or innermost) pair of orbits beyond them.
+ * @param {Array<object>} bodies - The top-level bodies of the system; planets with `semiMajorAxis` and `distance`
+ * are used as reference points.
+ * @param {number} semiMajorAxis - The real distance in AU.
+ * @returns {number} The distance in illustrative scene units.
+ */
+function illustrativeDistanceForAU(bodies, semiMajorAxis) {
+    const references = bodies
+        .filter(body => getBodyType(body, false) === 'planet' && body.semiMajorAxis > 0 && body.distance > 0)
+        .map(body => ({ au: body.semiMajorAxis, distance: body.distance }))
+        .sort((a, b) => a.au - b.au);
+    if (references.length === 0) return semiMajorAxis;
+    if (references.length === 1) return semiMajorAxis * references[0].distance / references[0].au;
+    let index = references.findIndex(reference => reference.au >= semiMajorAxis);
+    if (index === -1) index = references.length - 1; // Beyond the outermost orbit.
+    index = Math.max(index, 1);                      // Inside the innermost orbit.
+    const inner = references[index - 1];
+    const outer = references[index];
+    return inner.distance + (semiMajorAxis - inner.au) * (outer.distance - inner.distance) / (outer.au - inner.au);
+}
 
-            // Callback function executed when the loading process starts.
-            loadingManager.onStart = (url, itemsLoaded, itemsTotal) => {
-                console.log(`LoadingManager: Loading process started. Expecting ${itemsTotal} assets.`);
-                loadingOverlay.style.display = 'flex'; // Show the loading overlay by setting its display property.
-                loadingOverlay.style.opacity = '1';    // Ensure it's fully opaque.
-                loadingProgressText.textContent = 'Loading... 0%'; // Initialize progress text.
-                loadingProgressBar.style.width = '0%'; // Initialize progress bar width.
-            };
+/**
+ * @function sceneDistanceForAU
+ * @description Maps a real distance from the light source onto the scene at the given scale blend, blending its
+ * illustrative distance (see `illustrativeDistanceForAU`) towards true scale like every orbit.
+ * @param {Array<object>} bodies - The top-level bodies of the system.
+ * @param {number} distanceAU - The real distance in AU.
+ * @param {number|null} unitsPerAU - Scene units per AU at true scale, or `null` to stay illustrative.
+ * @param {number} blend - 0 for the illustrative layout, 1 for true scale.
+ * @returns {number} The distance in scene units.
+ */
+function sceneDistanceForAU(bodies, distanceAU, unitsPerAU, blend) {
+    return blendScale(illustrativeDistanceForAU(bodies, distanceAU), unitsPerAU ? distanceAU * unitsPerAU : null, blend);
+}
 
-            // Callback function executed periodically during the loading progress.
-            // It updates the visual progress bar and text.
-            loadingManager.onProgress = (url, itemsLoaded, itemsTotal) => {
-                const progress = (itemsLoaded / itemsTotal) * 100; // Calculate percentage.
-                loadingProgressText.textContent = `Loading... ${Math.round(progress)}%`; // Update text.
-                loadingProgressBar.style.width = `${progress}%`; // Update bar width.
-                console.log(`LoadingManager: Progress: ${Math.round(progress)}% - Loaded: ${url}`);
-            };
+/**
+ * @function computeTrajectoryPosition
+ * @description Interpolates a spacecraft's position between its trajectory samples. Distance, longitude (the short
+ * way round) and latitude are interpolated linearly, which follows the curved cruise between two flybys far better
+ * than a straight line through space. After the last sample the motion of the last segment continues, so the craft
+ * keeps drifting outwards.
+ * @param {Array<object>} samples - The samples, ordered by date, as returned by `getTrajectorySamples`.
+ * @param {number} julianDate - The Julian date to evaluate.
+ * @param {THREE.Vector3} target - The vector that receives the result.
+ * @returns {THREE.Vector3|null} The `target` vector, set to the heliocentric position in AU on the scene axes, or
+ * `null` before the first sample (i.e. before launch).
+ */
+function computeTrajectoryPosition(samples, julianDate, target) {
+    if (samples.length === 0 || julianDate < samples[0].julianDate) return null;
+    let from = samples[0];
+    let to = samples[0];
+    let t = 0;
+    if (samples.length > 1) {
+        let index = samples.findIndex(sample => sample.julianDate > julianDate);
+        if (index === -1) index = samples.length - 1; // After the last sample: extrapolate.
+        from = samples[index - 1];
+        to = samples[index];
+        t = (julianDate - from.julianDate) / (to.julianDate - from.julianDate);
+    }
+    const longitudeChange = Math.atan2(Math.sin(to.longitude - from.longitude), Math.cos(to.longitude - from.longitude));
+    const distance = Math.max(0, from.distance + (to.distance - from.distance) * t);
+    const longitude = from.longitude + longitudeChange * t;
+    const latitude = THREE.MathUtils.clamp(from.latitude + (to.latitude - from.latitude) * t, -Math.PI / 2, Math.PI / 2);
+    // Ecliptic spherical coordinates, mapped onto the scene axes like orbital positions.
+    return target.set(
+        distance * Math.cos(latitude) * Math.cos(longitude),
+        distance * Math.sin(latitude),
+        -distance * Math.cos(latitude) * Math.sin(longitude)
+    );
+}
 
-            // Callback function executed when all assets have been successfully loaded.
-            loadingManager.onLoad = () => {
-                console.log('LoadingManager: All assets loaded successfully! Starting simulation.');
-                loadingOverlay.style.opacity = '0'; // Start fading out the loading overlay.
-                // After the fade-out transition, hide the overlay completely.
-                setTimeout(() => {
-                    loadingOverlay.style.display = 'none';
-                    loadingOverlay.style.pointerEvents = 'none'; // Disable pointer events after hidden.
-                }, SCENE_CONSTANTS.LOADING_FADE_DURATION || 1000); // Default to 1s if not defined.
-                this.animate(); // Crucially, start the main animation loop after loading is complete.
-            };
+/**
+ * @function createSeededRandom
+ * @description Creates a small deterministic pseudo-random number generator (mulberry32), so generated content
+ * such as belt particles comes out the same every time.
+ * @param {number} seed - Any integer.
+ * @returns {function(): number} A function returning numbers in [0, 1).
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
-            // Callback function executed if an error occurs during asset loading.
-            loadingManager.onError = (url) => {
-                console.error(`LoadingManager: Error loading asset: ${url}. Attempting to proceed with available assets.`);
-                loadingProgressText.textContent = `Error loading some assets. Check console.`;
-                this._showMessageBox('Loading Error', `Failed to load asset: ${url}. Simulation might be incomplete.`, 'warning');
-                // Even on error, attempt to fade out the overlay and proceed to animation.
-                loadingOverlay.style.opacity = '0';
-                setTimeout(() => {
-                    loadingOverlay.style.display = 'none';
-                    loadingOverlay.style.pointerEvents = 'none';
-                }, SCENE_CONSTANTS.LOADING_FADE_DURATION || 2000); // Longer fade on error.
-                this.animate(); // Still try to start animation with what's loaded.
-            };
+/**
+ * @function equatorialToSceneDirection
+ * @description Converts equatorial sky coordinates (as used by star catalogues) into a unit direction in the scene.
+ * The direction is first rotated from Earth's equator into the ecliptic by the obliquity, then mapped onto the
+ * scene axes like orbital positions.
+ * @param {number} rightAscension - The right ascension in degrees.
+ * @param {number} declination - The declination in degrees.
+ * @param {THREE.Vector3} target - The vector that receives the result.
+ * @returns {THREE.Vector3} The `target` vector, set to the unit direction.
+ */
+function equatorialToSceneDirection(rightAscension, declination, target) {
+    const ra = THREE.MathUtils.degToRad(rightAscension);
+    const dec = THREE.MathUtils.degToRad(declination);
+    const obliquity = THREE.MathUtils.degToRad(SCENE_CONSTANTS.OBLIQUITY_OF_ECLIPTIC);
+    const xEquatorial = Math.cos(dec) * Math.cos(ra);
+    const yEquatorial = Math.cos(dec) * Math.sin(ra);
+    const zEquatorial = Math.sin(dec);
+    const yEcliptic = yEquatorial * Math.cos(obliquity) + zEquatorial * Math.sin(obliquity);
+    const zEcliptic = -yEquatorial * Math.sin(obliquity) + zEquatorial * Math.cos(obliquity);
+    return target.set(xEquatorial, zEcliptic, -yEcliptic);
+}
 
-            // Assign the configured LoadingManager to the TextureLoader.
-            this.textureLoader = new THREE.TextureLoader(loadingManager);
-            console.log('LoadingManager: Initialized successfully and linked to TextureLoader.');
-        } catch (error) {
-            console.error('Error during _initLoadingManager:', error);
-            this._showMessageBox('Setup Error', `Failed to set up loading manager: ${error.message}.`, 'error');
-            // Fallback: If loading manager setup fails, create a basic texture loader without it.
-            this.textureLoader = new THREE.TextureLoader();
-        }
-    }
+/**
+ * @function temperatureFromColorIndex
+ * @description Estimates a star's surface temperature from its B-V color index (Ballesteros' formula).
+ * @param {number} colorIndex - The B-V color index.
+ * @returns {number} The temperature in kelvin.
+ */
+function temperatureFromColorIndex(colorIndex) {
+    return 4600 * (1 / (0.92 * colorIndex + 1.7) + 1 / (0.92 * colorIndex + 0.62));
+}
 
-    /**
-     * @private
-     * @method _initScene
-     * @description Initializes the fundamental components of the Three.js scene: the scene itself,
-     * the camera, and the WebGL renderer. It also sets up OrbitControls for interactive camera navigation.
-     */
-    _initScene() {
-        console.log('Scene: Initializing Three.js scene, camera, and renderer...');
-        try {
-            // Create a new Three.js Scene instance. This is the root of the 3D graph.
-            scene = new THREE.Scene();
-            // Set a default background color. This will be replaced by the starfield texture later.
-            scene.background = new THREE.Color(SCENE_CONSTANTS.BACKGROUND_COLOR);
-            console.log('Scene: New THREE.Scene created with default background.');
+/**
+ * @function colorFromTemperature
+ * @description Approximates the color of a black body of the given temperature, from the red of cool stars over
+ * the white of Sun-like stars to the blue of hot ones (after Tanner Helland's fit of blackbody colors).
+ * @param {number} kelvin - The temperature in kelvin (1000 to 40000).
+ * @param {THREE.Color} target - The color that receives the result.
+ * @returns {THREE.Color} The `target` color.
+ */
+function colorFromTemperature(kelvin, target) {
+    const t = THREE.MathUtils.clamp(kelvin, 1000, 40000) / 100;
+    const red = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+    const green = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    const blue = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+    const toUnit = value => THREE.MathUtils.clamp(value, 0, 255) / 255;
+    return target.setRGB(toUnit(red), toUnit(green), toUnit(blue));
+}
 
-            // Create a PerspectiveCamera. This camera type is used for realistic 3D views.
+/**
+ * @function julianDateFromDate
+ * @description Converts a JavaScript Date into a Julian date (days since noon UTC on 1 January 4713 BC).
+ * @param {Date} date - The date to convert.
+ * @returns {number} The Julian date.
+ */
+function julianDateFromDate(date) {
+    return date.getTime() / 86400000 + SCENE_CONSTANTS.UNIX_EPOCH_JULIAN_DATE;
+}
+
+/**
+ * @function dateFromJulianDate
+ * @description Converts a Julian date back into a JavaScript Date.
+ * @param {number} julianDate - The Julian date to convert.
+ * @returns {Date} The corresponding date.
+ */
+function dateFromJulianDate(julianDate) {
+    return new Date((julianDate - SCENE_CONSTANTS.UNIX_EPOCH_JULIAN_DATE) * 86400000);
+}
+
+/**
+ * @function meanAnomalyAtJulianDate
+ * @description Propagates a body's mean anomaly from the J2000 epoch to the given date using its mean motion.
+ * This is the ephemeris used to lay out the solar system for any calendar date.
+ * @param {object} elements - Orbital elements in radians, as returned by `getOrbitalElements`.
+ * @param {number} meanMotion - The mean motion in radians per day (2 * PI / orbital period).
+ * @param {number} julianDate - The Julian date to evaluate.
+ * @returns {number} The mean anomaly in radians, wrapped to [0, 2 * PI).
+ */
+function meanAnomalyAtJulianDate(elements, meanMotion, julianDate) {
+    const twoPi = Math.PI * 2;
+    const meanAnomaly = elements.meanAnomalyAtEpoch + meanMotion * (julianDate - SCENE_CONSTANTS.J2000_JULIAN_DATE);
+    return ((meanAnomaly % twoPi) + twoPi) % twoPi;
+}
+
+/**
+ * @function findNextEclipse
+ * @description Searches the ephemeris for the next eclipse of a planet and its moon after a date: a solar eclipse
+ * when the moon's shadow falls on the planet, a lunar eclipse when the planet's shadow falls on the moon. The check
+ * uses the real sizes (`facts.diameter`) and distances (`semiMajorAxis`) of the three bodies rather than the scene's
+ * illustrative ones, so for the Earth and the Moon it finds the real eclipses, to within a few hours (the mean
+ * elements leave out the Moon's smaller perturbations). Time is stepped through in quarter days; every close approach
+ * of the moon to the line through the star and the planet is then refined to the moment of greatest eclipse.
+ * @param {object} lightSourceData - The data entry of the light source (at the origin).
+ * @param {object} planetData - The data entry of the planet, orbiting the light source.
+ * @param {object} moonData - The data entry of the moon, orbiting the planet.
+ * @param {number} startJulianDate - The search starts just after this date.
+ * @param {number} [maxDays=1200] - How far ahead to search, in days.
+ * @returns {{kind: string, type: string, julianDate: number}|null} The `kind` ('solar' or 'lunar'), the `type`
+ * ('total', 'annular' or 'partial' for solar, 'total', 'partial' or 'penumbral' for lunar eclipses) and the date of
+ * greatest eclipse, or `null` if there is none within `maxDays` or the bodies lack the needed data.
+ */
+function findNextEclipse(lightSourceData, planetData, moonData, startJulianDate, maxDays = 1200) {
+    const radiusKm = data => (data && data.facts && data.facts.diameter > 0 ? data.facts.diameter / 2 : 0);
+    const starRadius = radiusKm(lightSourceData);
+    const planetRadius = radiusKm(planetData);
+    const moonRadius = radiusKm(moonData);
+    if (!starRadius || !planetRadius || !moonRadius || !(planetData.semiMajorAxis > 0) || !(moonData.semiMajorAxis > 0)
+        || !(planetData.orbitalPeriod > 0) || !(moonData.orbitalPeriod > 0)) {
+        return null;
+    }
+    const kmPerAU = SCENE_CONSTANTS.ASTRONOMICAL_UNIT_KM;
+    const planetElements = getOrbitalElements(planetData);
+    const planetMotion = (Math.PI * 2) / planetData.orbitalPeriod;
+    const moonMotion = (Math.PI * 2) / moonData.orbitalPeriod;
+    const toStar = new THREE.Vector3();
+    const toMoon = new THREE.Vector3();
+
+    // The angles (radians) seen from the planet's centre that decide whether, and how, an eclipse happens.
+    const geometry = (julianDate) => {
+        computeOrbitalPosition(planetElements, planetData.semiMajorAxis * kmPerAU, meanAnomalyAtJulianDate(planetElements, planetMotion, julianDate), toStar).negate();
+        const moonElements = getOrbitalElements(moonData, julianDate);
+        computeOrbitalPosition(moonElements, moonData.semiMajorAxis * kmPerAU, meanAnomalyAtJulianDate(moonElements, moonMotion, julianDate), toMoon);
+        const starDistance = toStar.length();
+        const moonDistance = toMoon.length();
+        return {
+            solarSeparation: toStar.angleTo(toMoon),           // Between the star and the moon.
+            lunarSeparation: Math.PI - toStar.angleTo(toMoon), // Between the planet's shadow and the moon.
+            star: Math.asin(starRadius / starDistance),         // Apparent radii...
+            moon: Math.asin(moonRadius / moonDistance),
+            moonParallax: Math.asin(planetRadius / moonDistance), // ...and the planet's radius seen from each of them.
+            starParallax: Math.asin(planetRadius / starDistance)
+        };
+    };
+    const classify = {
+        solar: (g) => {
+            if (g.solarSeparation > g.moonParallax - g.starParallax + g.star + g.moon) return null;
+            // The shadow's axis only meets the planet close to the line through the centres.
+            if (g.solarSeparation > g.moonParallax - g.starParallax) return 'partial';
+            return g.moon >= g.star ? 'total' : 'annular';
+        },
+        lunar: (g) => {
+            const enlargement = SCENE_CONSTANTS.ECLIPSE_SHADOW_ENLARGEMENT;
+            const umbra = enlargement * (g.moonParallax + g.starParallax - g.star);
+            const penumbra = enlargement * (g.moonParallax + g.starParallax + g.star);
+            if (g.lunarSeparation > penumbra + g.moon) return null;
+            if (g.lunarSeparation > umbra + g.moon) return 'penumbral';
+            return g.lunarSeparation > umbra - g.moon ? 'partial' : 'total';
+        }
+    };
+    const separation = { solar: g => g.solarSeparation, lunar: g => g.lunarSeparation };
+
+    // Narrows a bracketed minimum of the separation down to about a minute (golden-section search).
+    const refineMinimum = (kind, start, end) => {
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let a = start;
+        let b = end;
+        while (b - a > 1 / 1440) {
+            const c = b - ratio * (b - a);
+            const d = a + ratio * (b - a);
+            if (separation[kind](geometry(c)) < separation[kind](geometry(d))) b = d;
+            else a = c;
+        }
+        return (a + b) / 2;
+    };
+
+    const step = 0.25;
+    const previous = { solar: [], lunar: [] }; // The separations at the last two steps.
+    for (let day = 0; day <= maxDays; day += step) {
+        const julianDate = startJulianDate + day;
+        const g = geometry(julianDate);
+        for (const kind of ['solar', 'lunar']) {
+            const history = previous[kind];
+            history.push(separation[kind](g));
+            if (history.length > 3) history.shift();
+            // A minimum lies between the last three steps when the middle one is the smallest.
+            if (history.length === 3 && history[1] <= history[0] && history[1] <= history[2]) {
+                const greatest = refineMinimum(kind, julianDate - 2 * step, julianDate);
+                const type = greatest > startJulianDate ? classify[kind](geometry(greatest)) : null;
+                if (type) return { kind, type, julianDate: greatest };
+            }
+        }
+    }
+    return null;
+}
+
+// =====================================================================================================================
+// SECTION 3B: SYSTEM DEFINITION LOADING
+// Besides the built-in solar system, the simulation can show any star system described in a JSON file, e.g. an
+// exoplanet system such as TRAPPIST-1 (see `systems/trappist-1.json`). A system definition is either an array of
+// bodies or an object `{ "name": "...", "bodies": [...] }`; every body uses the same properties as the entries of
+// CELESTIAL_BODIES_DATA. Since JSON has no hexadecimal literals, colors may also be given as CSS strings ("#FF6030").
+// =====================================================================================================================
+const DEFAULT_SYSTEM_NAME = 'Solar System'; // Display name of the built-in CELESTIAL_BODIES_DATA system.
+const MAX_REPORTED_SYSTEM_ERRORS = 8;        // Validation errors listed in the message box before truncating.
+
+// Body types, set by a body's `type` property (see `getBodyType`). `name` is shown in the hover label and the info
+// panel, `labelClass` styles the name labels (see style.css) and `labelPriority` ranks them when they overlap.
+// Comets and spacecraft are `placedByRealDistance`: they have no illustrative orbit (see `_placeBody`). The light
+// source is always the 'star'; the other types can be hidden with the "Body Types" filter.
+const BODY_TYPES = {
+    star: { name: 'Star', labelClass: '', labelPriority: 2, placedByRealDistance: false },
+    planet: { name: 'Planet', labelClass: '', labelPriority: 1, placedByRealDistance: false },
+    dwarfPlanet: { name: 'Dwarf planet', labelClass: 'dwarf-planet-label', labelPriority: 0.5, placedByRealDistance: false },
+    moon: { name: 'Moon', labelClass: 'satellite-label', labelPriority: 0, placedByRealDistance: false },
+    comet: { name: 'Comet', labelClass: 'comet-label', labelPriority: 0.5, placedByRealDistance: true },
+    spacecraft: { name: 'Spacecraft', labelClass: 'spacecraft-label', labelPriority: 0.5, placedByRealDistance: true }
+};
+
+/**
+ * @function validateSystemDefinition
+ * @description Checks a parsed system definition against the body schema used by CELESTIAL_BODIES_DATA and
+ * collects a readable description of every problem found (e.g. "bodies[2] (Mars).eccentricity must be a number
+ * in [0, 1)"). Nothing is thrown for invalid input, so all errors can be reported at once.
+ * @param {*} definition - The parsed JSON value.
+ * @returns {{name: string, bodies: Array<object>, errors: Array<string>}} The system's name and bodies, plus the
+ * list of validation errors (empty if the definition is valid).
+ */
+function validateSystemDefinition(definition) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+    let name = DEFAULT_SYSTEM_NAME;
+    let bodies = definition;
+    if (isObject(definition)) {
+        if (definition.name !== undefined) {
+            if (typeof definition.name === 'string' && definition.name.trim()) name = definition.name.trim();
+            else errors.push('name must be a non-empty string.');
+        } else {
+            name = 'Custom System';
+        }
+        bodies = definition.bodies;
+    }
+    if (!Array.isArray(bodies) || bodies.length === 0) {
+        errors.push('The definition must be an array of bodies or an object with a non-empty "bodies" array.');
+        return { name, bodies: [], errors };
+    }
+
+    const seenNames = new Set();
+    let lightSourceCount = 0;
+
+    const checkNumber = (body, path, key, { required = false, min = -Infinity, max = Infinity, exclusiveMin = false, exclusiveMax = false } = {}) => {
+        const value = body[key];
+        if (value === undefined) {
+            if (required) errors.push(`${path}.${key} is required.`);
+            return;
+        }
+        const tooLow = exclusiveMin ? value <= min : value < min;
+        const tooHigh = exclusiveMax ? value >= max : value > max;
+        if (!isFiniteNumber(value) || tooLow || tooHigh) {
+            const range = min === -Infinity && max === Infinity ? 'a number'
+                : max === Infinity ? `a number ${exclusiveMin ? '>' : '>='} ${min}`
+                : `a number in ${exclusiveMin ? '(' : '['}${min}, ${max}${exclusiveMax ? ')' : ']'}`;
+            errors.push(`${path}.${key} must be ${range} (got ${JSON.stringify(value)}).`);
+        }
+    };
+    const checkString = (body, path, key) => {
+        if (body[key] !== undefined && (typeof body[key] !== 'string' || !body[key])) {
+            errors.push(`${path}.${key} must be a non-empty string (got ${JSON.stringify(body[key])}).`);
+        }
+    };
+    const checkColor = (body, path, key) => {
+        const value = body[key];
+        if (value !== undefined && !isFiniteNumber(value) && !(typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value))) {
+            errors.push(`${path}.${key} must be a number or a "#RRGGBB" string (got ${JSON.stringify(value)}).`);
+        }
+    };
+
+    const validateBody = (body, path, isSatellite) => {
+        if (!isObject(body)) {
+            errors.push(`${path} must be an object.`);
+            return;
+        }
+        const label = typeof body.name === 'string' && body.name.trim() ? `${path} (${body.name})` : path;
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            errors.push(`${path}.name is required and must be a non-empty string.`);
+        } else if (seenNames.has(body.name)) {
+            errors.push(`${label}: the name "${body.name}" is used more than once; body names must be unique.`);
+        } else {
+            seenNames.add(body.name);
+        }
+
+        if (body.type !== undefined && !Object.prototype.hasOwnProperty.call(BODY_TYPES, body.type)) {
+            errors.push(`${label}.type must be one of ${Object.keys(BODY_TYPES).map(type => `"${type}"`).join(', ')} (got ${JSON.stringify(body.type)}).`);
+        } else if (body.type === 'star' && body.isLightSource !== true) {
+            errors.push(`${label}: only the light source can be of type "star".`);
+        } else if (body.type !== undefined && body.type !== 'star' && body.isLightSource === true) {
+            errors.push(`${label}: the light source must be of type "star".`);
+        } else if (isSatellite && body.type !== undefined && BODY_TYPES[body.type].placedByRealDistance) {
+            errors.push(`${label}: a ${BODY_TYPES[body.type].name.toLowerCase()} cannot be a satellite.`);
+        }
+        const type = getBodyType(body, isSatellite);
+        const placedByRealDistance = BODY_TYPES[type].placedByRealDistance;
+
+        if (body.isLightSource !== undefined && typeof body.isLightSource !== 'boolean') {
+            errors.push(`${label}.isLightSource must be true or false.`);
+        }
+        if (body.isLightSource === true) {
+            lightSourceCount++;
+            if (isSatellite) errors.push(`${label}: a satellite cannot be the light source.`);
+        }
+
+        checkNumber(body, label, 'radius', { required: true, min: 0, exclusiveMin: true });
+        checkNumber(body, label, 'distance', { required: !body.isLightSource && !placedByRealDistance, min: 0 });
+        checkNumber(body, label, 'rotationSpeed');
+        checkNumber(body, label, 'rotationPeriod');
+        if (body.rotationPeriod === 0) errors.push(`${label}.rotationPeriod must not be 0 (use a negative period for retrograde rotation).`);
+        checkNumber(body, label, 'axialTilt', { min: 0, max: 180 });
+        checkNumber(body, label, 'poleLongitude');
+        if (body.isLightSource) {
+            checkNumber(body, label, 'orbitalPeriod', { min: 0 });
+        } else {
+            checkNumber(body, label, 'orbitalPeriod', { required: type !== 'spacecraft', min: 0, exclusiveMin: true });
+        }
+        // A comet's position is computed in AU, so it needs its real orbit size.
+        checkNumber(body, label, 'semiMajorAxis', { required: type === 'comet', min: 0, exclusiveMin: true });
+        checkNumber(body, label, 'eccentricity', { min: 0, max: 1, exclusiveMax: true });
+        ['inclination', 'longitudeOfAscendingNode', 'argumentOfPerihelion', 'meanAnomalyAtEpoch',
+            'longitudeOfAscendingNodeRate', 'argumentOfPerihelionRate'].forEach(key => checkNumber(body, label, key));
+
+        checkString(body, label, 'texture');
+        checkString(body, label, 'highResTexture');
+        checkColor(body, label, 'color');
+        Object.keys(SURFACE_MAP_DESCRIPTIONS).forEach(key => checkString(body, label, key));
+        if (body.clouds !== undefined) {
+            const cloudsLabel = `${label}.clouds`;
+            if (!isObject(body.clouds)) {
+                errors.push(`${cloudsLabel} must be an object.`);
+            } else {
+                if (typeof body.clouds.texture !== 'string' || !body.clouds.texture) {
+                    errors.push(`${cloudsLabel}.texture is required and must be a non-empty string.`);
+                }
+                checkNumber(body.clouds, cloudsLabel, 'opacity', { min: 0, max: 1 });
+                checkNumber(body.clouds, cloudsLabel, 'rotationPeriod');
+                if (body.clouds.rotationPeriod === 0) errors.push(`${cloudsLabel}.rotationPeriod must not be 0 (use a negative period for retrograde rotation).`);
+            }
+        }
+
+        if (type === 'spacecraft') {
+            if (!Array.isArray(body.trajectory) || body.trajectory.length === 0) {
+                errors.push(`${label}.trajectory is required for spacecraft and must be a non-empty array.`);
+            } else {
+                let previousTime = -Infinity;
+                body.trajectory.forEach((sample, index) => {
+                    const sampleLabel = `${label}.trajectory[${index}]`;
+                    if (!isObject(sample)) {
+                        errors.push(`${sampleLabel} must be an object.`);
+                        return;
+                    }
+                    const time = typeof sample.date === 'string' ? Date.parse(sample.date) : NaN;
+                    if (Number.isNaN(time)) {
+                        errors.push(`${sampleLabel}.date must be a date such as "1977-09-05" (got ${JSON.stringify(sample.date)}).`);
+                    } else if (time <= previousTime) {
+                        errors.push(`${sampleLabel}.date must be later than the date of the sample before it.`);
+                    } else {
+                        previousTime = time;
+                    }
+                    checkNumber(sample, sampleLabel, 'distance', { required: true, min: 0 });
+                    checkNumber(sample, sampleLabel, 'longitude', { required: true });
+                    checkNumber(sample, sampleLabel, 'latitude', { required: true, min: -90, max: 90 });
+                });
+            }
+        }
+
+        if (body.hasRings !== undefined && typeof body.hasRings !== 'boolean') errors.push(`${label}.hasRings must be true or false.`);
+        checkString(body, label, 'ringTexture');
+        checkNumber(body, label, 'ringInnerRadiusFactor', { min: 0, exclusiveMin: true });
+        checkNumber(body, label, 'ringOuterRadiusFactor', { min: 0, exclusiveMin: true });
+        if (body.rings !== undefined) {
+            if (!Array.isArray(body.rings)) {
+                errors.push(`${label}.rings must be an array.`);
+            } else {
+                body.rings.forEach((band, index) => {
+                    const bandLabel = `${label}.rings[${index}]`;
+                    if (!isObject(band)) {
+                        errors.push(`${bandLabel} must be an object.`);
+                        return;
+                    }
+                    checkNumber(band, bandLabel, 'innerRadiusFactor', { required: true, min: 0, exclusiveMin: true });
+                    checkNumber(band, bandLabel, 'outerRadiusFactor', { required: true, min: 0, exclusiveMin: true });
+                    if (isFiniteNumber(band.innerRadiusFactor) && isFiniteNumber(band.outerRadiusFactor) && band.outerRadiusFactor <= band.innerRadiusFactor) {
+                        errors.push(`${bandLabel}.outerRadiusFactor must be larger than innerRadiusFactor.`);
+                    }
+                    checkString(band, bandLabel, 'texture');
+                    checkColor(band, bandLabel, 'color');
+                    checkNumber(band, bandLabel, 'opacity', { min: 0, max: 1 });
+                    checkNumber(band, bandLabel, 'tilt', { min: -90, max: 90 });
+                });
+            }
+        }
+
+        if (body.facts !== undefined) {
+            if (!isObject(body.facts)) {
+                errors.push(`${label}.facts must be an object.`);
+            } else {
+                ['diameter', 'mass', 'dayLength', 'moonCount'].forEach(key => checkNumber(body.facts, `${label}.facts`, key, { min: 0 }));
+                checkNumber(body.facts, `${label}.facts`, 'meanTemperature', { min: -273.15 });
+            }
+        }
+
+        if (body.satellites !== undefined) {
+            if (!Array.isArray(body.satellites)) {
+                errors.push(`${label}.satellites must be an array.`);
+            } else {
+                body.satellites.forEach((satellite, index) => validateBody(satellite, `${label}.satellites[${index}]`, true));
+            }
+        }
+    };
+
+    bodies.forEach((body, index) => validateBody(body, `bodies[${index}]`, false));
+    if (lightSourceCount !== 1) {
+        errors.push(`Exactly one body must have "isLightSource": true (found ${lightSourceCount}).`);
+    }
+    return { name, bodies, errors };
+}
+
+/**
+ * @function getBodyType
+ * @description Returns the type of a body: its `type` property if that names one of BODY_TYPES, otherwise 'star'
+ * for the light source, 'moon' for satellites and 'planet' for everything else.
+ * @param {object} bodyData - An entry of CELESTIAL_BODIES_DATA.
+ * @param {boolean} isSatellite - Whether the body orbits another body rather than the light source.
+ * @returns {string} A key of BODY_TYPES.
+ */
+function getBodyType(bodyData, isSatellite) {
+    if (bodyData.isLightSource) return 'star';
+    if (Object.prototype.hasOwnProperty.call(BODY_TYPES, bodyData.type)) return bodyData.type;
+    return isSatellite ? 'moon' : 'planet';
+}
+
+/**
+ * @function getTrajectorySamples
+ * @description Converts the `trajectory` of a spacecraft into the form `computeTrajectoryPosition` interpolates:
+ * dates become Julian dates and angles radians.
+ * @param {object} bodyData - An entry of CELESTIAL_BODIES_DATA with a validated `trajectory`.
+ * @returns {Array<{julianDate: number, distance: number, longitude: number, latitude: number}>} The samples, in
+ * the order given (oldest first).
+ */
+function getTrajectorySamples(bodyData) {
+    return (bodyData.trajectory || []).map(sample => ({
+        julianDate: julianDateFromDate(new Date(sample.date)),
+        distance: sample.distance,
+        longitude: THREE.MathUtils.degToRad(sample.longitude),
+        latitude: THREE.MathUtils.degToRad(sample.latitude)
+    }));
+}
+
+/**
+ * @function getRingBands
+ * @description Returns the ring bands of a body. Bands are listed in its `rings` array; the older single-ring
+ * properties (`hasRings`, `ringTexture`, `ringInnerRadiusFactor`, `ringOuterRadiusFactor`) describe one band.
+ * @param {object} bodyData - An entry of CELESTIAL_BODIES_DATA.
+ * @returns {Array<object>} The bands (`innerRadiusFactor`, `outerRadiusFactor` and optionally `texture`, `color`,
+ * `opacity`, `tilt`), innermost first; empty for bodies without rings.
+ */
+function getRingBands(bodyData) {
+    if (Array.isArray(bodyData.rings)) {
+        return bodyData.rings.slice().sort((a, b) => a.innerRadiusFactor - b.innerRadiusFactor);
+    }
+    if (!bodyData.hasRings) return [];
+    return [{
+        innerRadiusFactor: bodyData.ringInnerRadiusFactor || 1.2,
+        outerRadiusFactor: bodyData.ringOuterRadiusFactor || 2.5,
+        texture: bodyData.ringTexture,
+        opacity: 0.8
+    }];
+}
+
+// The optional surface maps a body can have besides its `texture`, keyed by their data property.
+const SURFACE_MAP_DESCRIPTIONS = {
+    nightTexture: 'night lights',   // Emissive lights, shown on the night side only.
+    normalMap: 'normal map',        // Surface relief for the lighting.
+    specularMap: 'specular map'     // Bright where the surface is glossy (e.g. oceans).
+};
+
+/**
+ * @function getSurfaceMapPaths
+ * @description Lists the extra textures of a body: its SURFACE_MAP_DESCRIPTIONS maps and its cloud layer.
+ * @param {object} bodyData - An entry of CELESTIAL_BODIES_DATA.
+ * @returns {Array<{key: string, path: string, description: string}>} One entry per texture the body has; `key` is
+ * the data property (`clouds` for the cloud layer) under which the loaded texture is kept in `loadedMaps`.
+ */
+function getSurfaceMapPaths(bodyData) {
+    const maps = Object.keys(SURFACE_MAP_DESCRIPTIONS)
+        .filter(key => bodyData[key])
+        .map(key => ({ key, path: bodyData[key], description: SURFACE_MAP_DESCRIPTIONS[key] }));
+    if (bodyData.clouds && bodyData.clouds.texture) {
+        maps.push({ key: 'clouds', path: bodyData.clouds.texture, description: 'cloud layer' });
+    }
+    return maps;
+}
+
+/**
+ * @function resolveSystemAssetPaths
+ * @description Makes the texture paths of a loaded system definition relative to the URL it was loaded from,
+ * so a system file can reference textures stored next to it. Absolute URLs are left unchanged.
+ * @param {Array<object>} bodies - The validated bodies (modified in place, including satellites).
+ * @param {string} baseUrl - The absolute URL of the system definition file.
+ */
+function resolveSystemAssetPaths(bodies, baseUrl) {
+    bodies.forEach(body => {
+        if (body.texture) body.texture = new URL(body.texture, baseUrl).href;
+        if (body.highResTexture) body.highResTexture = new URL(body.highResTexture, baseUrl).href;
+        if (body.ringTexture) body.ringTexture = new URL(body.ringTexture, baseUrl).href;
+        Object.keys(SURFACE_MAP_DESCRIPTIONS).forEach(key => { if (body[key]) body[key] = new URL(body[key], baseUrl).href; });
+        if (body.clouds && body.clouds.texture) body.clouds.texture = new URL(body.clouds.texture, baseUrl).href;
+        if (Array.isArray(body.rings)) {
+            body.rings.forEach(band => { if (band.texture) band.texture = new URL(band.texture, baseUrl).href; });
+        }
+        if (Array.isArray(body.satellites)) resolveSystemAssetPaths(body.satellites, baseUrl);
+    });
+}
+
+// =====================================================================================================================
+// SECTION 3C: SHAREABLE VIEW LINKS
+// The current view (camera, followed body, speeds, pause state, scale and simulation time) can be written into the URL hash,
+// e.g. `#cam=0,150,400&target=0,0,0&follow=Earth&speed=2&speed.Moon=0.5&paused=1&jd=2460600.5`, and restored from it.
+// Only values that differ from the defaults are written, so links stay short. A body whose own speed has carried it
+// ahead of (or behind) its position on the date keeps that lead as an angle along its orbit, e.g. `phase.Mars=41.5`.
+// =====================================================================================================================
+const VIEW_STATE_BODY_SPEED_PREFIX = 'speed.'; // Hash key prefix for individual body speed factors.
+const VIEW_STATE_BODY_PHASE_PREFIX = 'phase.'; // Hash key prefix for bodies' mean anomaly offsets from the ephemeris.
+
+/**
+ * @function serializeViewState
+ * @description Encodes a view state into a URL hash fragment.
+ * @param {object} state - The view state, as produced by `SolarSystemSimulation#_captureViewState`.
+ * @returns {string} The hash fragment, without the leading '#'.
+ */
+function serializeViewState(state) {
+    const params = new URLSearchParams();
+    // Scaled towards true scale, a close-up camera can be a few thousandths of a unit from its target.
+    const decimals = state.scaleBlend ? 6 : 2;
+    const formatVector = vector => vector.map(component => Number(component.toFixed(decimals))).join(',');
+    params.set('cam', formatVector(state.cameraPosition));
+    params.set('target', formatVector(state.target));
+    if (state.followedBody) params.set('follow', state.followedBody);
+    if (state.infoBody && state.infoBody !== state.followedBody) params.set('info', state.infoBody);
+    if (state.globalSpeedFactor !== 1) params.set('speed', String(Number(state.globalSpeedFactor.toFixed(2))));
+    if (state.spinSpeedFactor !== 1) params.set('spin', String(Number(state.spinSpeedFactor.toFixed(2))));
+    Object.entries(state.bodySpeedFactors).forEach(([name, factor]) => {
+        if (factor !== 1) params.set(`${VIEW_STATE_BODY_SPEED_PREFIX}${name}`, String(Number(factor.toFixed(2))));
+    });
+    Object.entries(state.bodyPhaseOffsets || {}).forEach(([name, degrees]) => {
+        const rounded = Number(degrees.toFixed(3));
+        if (rounded !== 0) params.set(`${VIEW_STATE_BODY_PHASE_PREFIX}${name}`, String(rounded));
+    });
+    if (state.paused) params.set('paused', '1');
+    if (state.scaleBlend) params.set('scale', String(Number(state.scaleBlend.toFixed(2))));
+    params.set('jd', state.julianDate.toFixed(5));
+    return params.toString().replace(/%2C/g, ','); // Commas are valid in a fragment and keep vectors readable.
+}
+
+/**
+ * @function parseViewState
+ * @description Decodes a URL hash fragment written by `serializeViewState`. Malformed or out-of-range values are
+ * dropped (with a console warning) so that a damaged link still restores whatever it can.
+ * @param {string} hash - The hash, with or without the leading '#'.
+ * @returns {object|null} The parts of the view state found in the hash, or `null` if it holds no view state.
+ */
+function parseViewState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = { bodySpeedFactors: {}, bodyPhaseOffsets: {} };
+    let found = false;
+
+    const parseNumber = (key, min, max) => {
+        if (!params.has(key)) return undefined;
+        const value = Number(params.get(key));
+        if (!Number.isFinite(value) || value < min || value > max) {
+            console.warn(`View Link: Ignoring invalid '${key}' value '${params.get(key)}'.`);
+            return undefined;
+        }
+        found = true;
+        return value;
+    };
+    const parseVector = key => {
+        if (!params.has(key)) return undefined;
+        const components = params.get(key).split(',').map(Number);
+        if (components.length !== 3 || !components.every(Number.isFinite)) {
+            console.warn(`View Link: Ignoring invalid '${key}' value '${params.get(key)}'.`);
+            return undefined;
+        }
+        found = true;
+        return components;
+    };
+
+    state.cameraPosition = parseVector('cam');
+    state.target = parseVector('target');
+    state.globalSpeedFactor = parseNumber('speed', 0, 20);
+    state.spinSpeedFactor = parseNumber('spin', 0, 10);
+    state.julianDate = parseNumber('jd', 0, Infinity);
+    state.scaleBlend = parseNumber('scale', 0, 1);
+    if (params.has('follow')) { state.followedBody = params.get('follow'); found = true; }
+    if (params.has('info')) { state.infoBody = params.get('info'); found = true; }
+    if (params.has('paused')) { state.paused = params.get('paused') === '1'; found = true; }
+    params.forEach((value, key) => {
+        if (key.startsWith(VIEW_STATE_BODY_SPEED_PREFIX)) {
+            const factor = parseNumber(key, 0, 2);
+            if (factor !== undefined) state.bodySpeedFactors[key.slice(VIEW_STATE_BODY_SPEED_PREFIX.length)] = factor;
+        } else if (key.startsWith(VIEW_STATE_BODY_PHASE_PREFIX)) {
+            const degrees = parseNumber(key, -180, 180);
+            if (degrees !== undefined) state.bodyPhaseOffsets[key.slice(VIEW_STATE_BODY_PHASE_PREFIX.length)] = degrees;
+        }
+    });
+    return found ? state : null;
+}
+
+// =====================================================================================================================
+// SECTION 3D: LAYER VISIBILITY SETTINGS
+// Optional scene layers (orbit paths, name labels, starfield, rings, trails, belts, lens flare, shadows, debug panel) can be
+// shown or hidden from the "Layers" section, which also chooses the starfield style and filters the bodies by type.
+// The choices are stored in localStorage so they survive reloads.
+// =====================================================================================================================
+const LAYER_STORAGE_KEY = 'solarSystemSimulation.layers'; // localStorage key of the saved layer visibility.
+const DEFAULT_LAYER_VISIBILITY = {
+    orbits: true,       // Orbit path guides.
+    labels: false,      // Always-on name labels for every body.
+    starfield: true,    // Starfield background (texture or procedural stars).
+    rings: true,        // Ring systems (e.g. Saturn's and Uranus' rings).
+    trails: false,      // Orbit trails of recent positions.
+    belts: true,        // Asteroid and Kuiper belt particles.
+    lensFlare: true,    // Lens flare while the light source is on screen (if supported).
+    shadows: false,     // Eclipse and ring shadows between bodies (see ECLIPSE_SHADOW_GLSL).
+    debug: true         // "System Status (Debug)" panel.
+};
+
+/**
+ * @function loadLayerVisibility
+ * @description Reads the saved layer visibility from localStorage. Unknown keys and non-boolean values are ignored,
+ * and layers missing from the saved settings keep their default, so settings saved by older versions still load.
+ * Storage can be unavailable (e.g. disabled cookies), in which case the defaults are used.
+ * @returns {object} The visibility of every layer, keyed like DEFAULT_LAYER_VISIBILITY.
+ */
+function loadLayerVisibility() {
+    const visibility = { ...DEFAULT_LAYER_VISIBILITY };
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(LAYER_STORAGE_KEY) || 'null');
+        if (saved && typeof saved === 'object') {
+            Object.keys(visibility).forEach(layer => {
+                if (typeof saved[layer] === 'boolean') visibility[layer] = saved[layer];
+            });
+        }
+    } catch (error) {
+        console.warn('Layers: Could not read the saved layer settings; using the defaults.', error);
+    }
+    return visibility;
+}
+
+const STARFIELD_MODE_STORAGE_KEY = 'solarSystemSimulation.starfieldMode'; // localStorage key of the starfield style.
+const STARFIELD_MODES = ['texture', 'procedural']; // The 8k Milky Way photo, or generated stars (far less memory).
+
+/**
+ * @function loadStarfieldMode
+ * @description Reads the saved starfield style from localStorage.
+ * @returns {string} One of STARFIELD_MODES; 'texture' unless another valid style was saved.
+ */
+function loadStarfieldMode() {
+    try {
+        const saved = window.localStorage.getItem(STARFIELD_MODE_STORAGE_KEY);
+        if (STARFIELD_MODES.includes(saved)) return saved;
+    } catch (error) {
+        console.warn('Starfield: Could not read the saved starfield style; using the texture.', error);
+    }
+    return 'texture';
+}
+
+/**
+ * @function saveStarfieldMode
+ * @description Stores the starfield style in localStorage. Failures are only logged.
+ * @param {string} mode - One of STARFIELD_MODES.
+ */
+function saveStarfieldMode(mode) {
+    try {
+        window.localStorage.setItem(STARFIELD_MODE_STORAGE_KEY, mode);
+    } catch (error) {
+        console.warn('Starfield: Could not save the starfield style.', error);
+    }
+}
+
+/**
+ * @function saveLayerVisibility
+ * @description Stores the layer visibility in localStorage. Failures (full or disabled storage) are only logged.
+ * @param {object} visibility - The visibility of every layer, keyed like DEFAULT_LAYER_VISIBILITY.
+ */
+function saveLayerVisibility(visibility) {
+    try {
+        window.localStorage.setItem(LAYER_STORAGE_KEY, JSON.stringify(visibility));
+    } catch (error) {
+        console.warn('Layers: Could not save the layer settings.', error);
+    }
+}
+
+const BODY_TYPE_STORAGE_KEY = 'solarSystemSimulation.bodyTypes'; // localStorage key of the "Body Types" filter.
+
+/**
+ * @function loadBodyTypeVisibility
+ * @description Reads the saved "Body Types" filter from localStorage, like `loadLayerVisibility`. Every type except
+ * the 'star' (which cannot be hidden) is shown by default.
+ * @returns {object} Whether each filterable type of BODY_TYPES is shown, keyed by type.
+ */
+function loadBodyTypeVisibility() {
+    const visibility = {};
+    Object.keys(BODY_TYPES).filter(type => type !== 'star').forEach(type => { visibility[type] = true; });
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(BODY_TYPE_STORAGE_KEY) || 'null');
+        if (saved && typeof saved === 'object') {
+            Object.keys(visibility).forEach(type => {
+                if (typeof saved[type] === 'boolean') visibility[type] = saved[type];
+            });
+        }
+    } catch (error) {
+        console.warn('Body Types: Could not read the saved body type filter; showing every type.', error);
+    }
+    return visibility;
+}
+
+/**
+ * @function saveBodyTypeVisibility
+ * @description Stores the "Body Types" filter in localStorage. Failures are only logged.
+ * @param {object} visibility - Whether each filterable body type is shown, keyed by type.
+ */
+function saveBodyTypeVisibility(visibility) {
+    try {
+        window.localStorage.setItem(BODY_TYPE_STORAGE_KEY, JSON.stringify(visibility));
+    } catch (error) {
+        console.warn('Body Types: Could not save the body type filter.', error);
+    }
+}
+
+// =====================================================================================================================
+// SECTION 3E: GRAPHICS QUALITY
+// Presets trading detail for speed, chosen in the "Graphics Quality" section. In 'auto' mode the preset is stepped
+// down while the measured frame rate stays low and back up once it stays high (see `_adaptQuality`). The choice is
+// stored in localStorage; anti-aliasing can only be set when the renderer is created, so it follows the preset
+// active at page load.
+// =====================================================================================================================
+const QUALITY_STORAGE_KEY = 'solarSystemSimulation.quality'; // localStorage key of the graphics quality setting.
+const QUALITY_PRESETS = {
+    // maxPixelRatio caps window.devicePixelRatio; maxTextureSize (pixels) caps the longer side of every texture;
+    // starfieldDensity is the share of the random procedural stars drawn; the flags allow the optional effects
+    // (highResTextures: the followed body's `highResTexture`).
+    low: { label: 'Low', maxPixelRatio: 0.75, sphereSegments: 24, maxTextureSize: 1024, starfieldDensity: 0.25, antialias: false, lensFlare: false, shadows: false, highResTextures: false },
+    medium: { label: 'Medium', maxPixelRatio: 1, sphereSegments: 40, maxTextureSize: 2048, starfieldDensity: 0.5, antialias: true, lensFlare: true, shadows: false, highResTextures: false },
+    high: { label: 'High', maxPixelRatio: 2, sphereSegments: 64, maxTextureSize: Infinity, starfieldDensity: 1, antialias: true, lensFlare: true, shadows: true, highResTextures: true },
+    ultra: { label: 'Ultra', maxPixelRatio: Infinity, sphereSegments: 96, maxTextureSize: Infinity, starfieldDensity: 1, antialias: true, lensFlare: true, shadows: true, highResTextures: true }
+};
+const QUALITY_LEVELS = Object.keys(QUALITY_PRESETS); // From the lowest to the highest preset.
+const QUALITY_AUTO_START = 'high'; // The preset 'auto' mode starts from.
+const fullTextureImages = new WeakMap(); // The full-size images of textures scaled down by `limitTextureSize`.
+
+/**
+ * @function describePresetsAllowing
+ * @description Names the presets that allow an optional effect, for messages such as "needs the High or Ultra
+ * graphics quality".
+ * @param {string} flag - The preset flag of the effect (e.g. 'shadows').
+ * @returns {string} The preset labels, e.g. "Medium, High or Ultra".
+ */
+function describePresetsAllowing(flag) {
+    const labels = QUALITY_LEVELS.filter(level => QUALITY_PRESETS[level][flag]).map(level => QUALITY_PRESETS[level].label);
+    return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}` : labels.join('');
+}
+
+/**
+ * @function loadQualitySetting
+ * @description Reads the saved graphics quality setting from localStorage.
+ * @returns {string} 'auto' or a key of QUALITY_PRESETS; 'auto' unless a valid preset was saved.
+ */
+function loadQualitySetting() {
+    try {
+        const saved = window.localStorage.getItem(QUALITY_STORAGE_KEY);
+        if (saved === 'auto' || QUALITY_LEVELS.includes(saved)) return saved;
+    } catch (error) {
+        console.warn('Quality: Could not read the saved graphics quality; using automatic quality.', error);
+    }
+    return 'auto';
+}
+
+/**
+ * @function saveQualitySetting
+ * @description Stores the graphics quality setting in localStorage. Failures are only logged.
+ * @param {string} setting - 'auto' or a key of QUALITY_PRESETS.
+ */
+function saveQualitySetting(setting) {
+    try {
+        window.localStorage.setItem(QUALITY_STORAGE_KEY, setting);
+    } catch (error) {
+        console.warn('Quality: Could not save the graphics quality.', error);
+    }
+}
+
+/**
+ * @function limitTextureSize
+ * @description Scales a loaded texture's image down so its longer side is at most `maxSize` pixels, or restores
+ * the full image when the limit allows it. The full image is kept in `fullTextureImages`, so the limit
+ * can be raised again later without reloading. Textures not backed by an image or canvas (e.g. data textures) are
+ * left alone.
+ * @param {THREE.Texture} texture - The texture.
+ * @param {number} maxSize - The largest allowed width or height in pixels (`Infinity` for no limit).
+ */
+function limitTextureSize(texture, maxSize) {
+    const fullImage = fullTextureImages.get(texture) || texture.image;
+    const isImage = fullImage instanceof HTMLImageElement || fullImage instanceof HTMLCanvasElement
+        || (typeof ImageBitmap !== 'undefined' && fullImage instanceof ImageBitmap);
+    if (!isImage || !fullImage.width || !fullImage.height) return;
+    const scale = Math.min(1, maxSize / Math.max(fullImage.width, fullImage.height));
+    const width = Math.max(1, Math.round(fullImage.width * scale));
+    const height = Math.max(1, Math.round(fullImage.height * scale));
+    if (texture.image.width === width && texture.image.height === height) return;
+    fullTextureImages.set(texture, fullImage);
+    if (scale === 1) {
+        texture.image = fullImage;
+    } else {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(fullImage, 0, 0, width, height);
+        texture.image = canvas;
+    }
+    texture.needsUpdate = true;
+}
+
+// =====================================================================================================================
+// SECTION 4: SIMULATION STATE VARIABLES
+// These variables manage the current state of the simulation, including animation status,
+// speed factors, and interaction-related data (e.g., raycasting, camera focus targets).
+// =====================================================================================================================
+const planets = [];             // Array to hold references to planet and moon meshes and their orbit groups.
+let sunMesh;                    // Reference to the Sun's mesh object, directly added to the scene.
+let activeSystemBodies = CELESTIAL_BODIES_DATA; // Body definitions of the system currently shown in the scene.
+let activeSystemName = DEFAULT_SYSTEM_NAME;    // Display name of the system currently shown in the scene.
+let pendingBodyViewState = null; // View state from a link whose body-related parts wait for the bodies to be created.
+let systemBuildId = 0;          // Incremented for every system build; lets late texture loads of a replaced system be ignored.
+
+let isPaused = false;           // Boolean flag to control animation pause/resume.
+let isContextLost = false;      // True while the WebGL context is lost (see `_handleContextLost`).
+let pausedByContextLoss = false; // True if the context loss paused a running simulation, so its restore resumes it.
+let globalSpeedFactor = 1.0;    // Multiplier for overall simulation speed, controlled by a UI slider.
+let spinSpeedFactor = 1.0;      // Multiplier for the self-rotation of all bodies, independent of their orbital speeds.
+let sunSpin = null;             // Spin state of the light source (see `_createSpinState`).
+let simulationJulianDate = julianDateFromDate(new Date()); // Absolute simulation time as a Julian date; starts at "now".
+let scaleBlend = 0;             // 0 = illustrative layout, 1 = true relative scale, in between = logarithmic blend.
+
+// Raycasting variables for interactive elements (hover, click detection).
+const raycaster = new THREE.Raycaster(); // Used for detecting intersections with 3D objects in the scene.
+const mouse = new THREE.Vector2();       // Stores mouse coordinates in normalized device space (-1 to +1).
+let activePointerGesture = null; // The press being tracked to tell taps, long-presses and drags apart, or `null`.
+const activePointerIds = new Set(); // Pointers currently pressed on the canvas (more than one means pinch/pan).
+let pinnedLabelBody = null;      // Body whose label was pinned by a tap (touch screens cannot hover), or `null`.
+let isMouseHovering = false;     // True while a mouse pointer is over the canvas, i.e. hover labels apply.
+let intersectedObject = null;    // Stores the currently intersected 3D object during mouse hover.
+
+// Camera focus variables for smooth transitions to specific planets.
+let isCameraFocusing = false;    // Flag to indicate if the camera is currently in a focusing transition.
+let cameraTargetPosition = new THREE.Vector3(); // The target position for the camera during a focus transition.
+let cameraTargetLookAt = new THREE.Vector3();   // The target point for the camera to look at during a focus transition.
+let followedBody = null;         // The `planets` entry the camera is locked onto in follow mode, or `null`.
+let lightSourceBody = null;      // `planets`-style entry describing the central star (see `_getLightSourceBody`).
+let infoPanelBody = null;        // The `planets` entry whose facts are shown in the info panel, or `null`.
+const lastFollowedPosition = new THREE.Vector3(); // World position of the followed body in the previous frame.
+const SPIN_AXIS = new THREE.Vector3(0, 1, 0);     // Axis every body mesh spins about before its tilt is applied.
+const spinRotation = new THREE.Quaternion();      // Scratch quaternion for the per-frame spin of each body.
+const beltViewportSize = new THREE.Vector2();     // Scratch vector receiving the renderer size for the belt point sizes.
+const layerVisibility = loadLayerVisibility(); // Which optional layers are shown; see SECTION 3D.
+const bodyTypeVisibility = loadBodyTypeVisibility(); // Which body types pass the "Body Types" filter; see SECTION 3D.
+const COMET_TAIL_AXIS = new THREE.Vector3(0, 1, 0); // Axis the comet tail geometry extends along from the nucleus.
+let starfieldTexture = null;     // The loaded starfield background, kept so the starfield layer can be toggled.
+let starfieldMode = loadStarfieldMode(); // Chosen starfield style, one of STARFIELD_MODES.
+let starfieldTextureFailed = false; // True once the starfield texture failed to load; procedural stars stand in.
+let proceduralStarfield = null;  // The procedural star points, created on first use (see `_createProceduralStarfield`).
+let trailLength = SCENE_CONSTANTS.TRAIL_DEFAULT_LENGTH;   // Number of past positions kept per trail.
+let trailOpacity = SCENE_CONSTANTS.TRAIL_DEFAULT_OPACITY; // Opacity of the newest end of every trail.
+const smallBodyBelts = [];      // The particle fields of SMALL_BODY_BELTS currently in the scene (see `_createSmallBodyBelts`).
+let beltDensity = 1;            // Selected belt density, as a multiple of each belt's `count`.
+let beltDetailFactor = 1;       // Fraction of the selected belt particles drawn; lowered by the performance fallback.
+let lowFpsSeconds = 0;          // Consecutive FPS measurements below SCENE_CONSTANTS.BELT_LOW_FPS.
+let highFpsSeconds = 0;         // Consecutive FPS measurements above SCENE_CONSTANTS.BELT_RECOVERY_FPS.
+let currentFps = 0;             // Frame rate of the last measurement interval (see `_measureFrameRate`).
+let sunEffects = null;          // Surface shader, corona and lens flare of the light source (see `_createSunEffects`).
+let qualitySetting = loadQualitySetting(); // Chosen graphics quality: 'auto' or a key of QUALITY_PRESETS.
+let qualityLevel = qualitySetting === 'auto' ? QUALITY_AUTO_START : qualitySetting; // The preset in effect.
+let qualityLowFpsSeconds = 0;   // Consecutive FPS measurements below SCENE_CONSTANTS.QUALITY_LOW_FPS in 'auto' mode.
+let qualityHighFpsSeconds = 0;  // Consecutive FPS measurements above SCENE_CONSTANTS.QUALITY_RECOVERY_FPS in 'auto' mode.
+const textureStreamQueue = [];  // Textures waiting to be streamed in (see `_loadTextureJob` for the entries).
+let textureStreamReady = false; // True once the minimum set of the current system is in and the rest may stream.
+let activeTextureStreams = 0;   // Streamed textures currently loading.
+let streamedTextureCount = 0;   // Streamed textures loaded (or failed) since the page was opened.
+let focusTextureBody = null;    // The body whose `highResTexture` is loaded or loading (see `_updateFocusTextures`).
+
+// Debugging and performance monitoring variables.
+let lastFpsUpdateTime = 0;      // Timestamp of the last FPS update.
+let frameCount = 0;             // Counter for frames rendered within an FPS measurement interval.
+
+// =====================================================================================================================
+// SECTION 5: UI ELEMENT REFERENCES
+// References to HTML elements for user interaction, feedback, and debugging displays.
+// These are populated during the UI setup phase.
+// =====================================================================================================================
+let toggleAnimationBtn;         // Button to pause/resume the simulation.
+let globalSpeedSlider;          // Slider for controlling the global simulation speed.
+let globalSpeedValueSpan;       // Span to display the current global speed value.
+let spinSpeedSlider;            // Slider for controlling the self-rotation speed of all bodies.
+let spinSpeedValueSpan;         // Span to display the current rotation speed value.
+let simulationDateDisplay;      // Span showing the current simulation date and time (UTC).
+let simulationDateInput;        // Date/time picker used to jump the simulation to a specific moment.
+let jumpToNowButton;            // Button that jumps the simulation clock to the current real-world time.
+let nextEclipseButton;          // Button that jumps to the next solar or lunar eclipse (see `_jumpToNextEclipse`).
+let eclipseInfoDisplay;         // Paragraph describing the eclipse jumped to.
+let planetSpeedControlsContainer; // Container that receives the generated individual speed sliders.
+let activeSystemNameDisplay;    // Span showing the name of the star system currently shown.
+let systemFileInput;            // Hidden file picker for loading a system definition JSON file.
+let loadSystemButton;           // Button that opens the system file picker.
+let restoreSolarSystemButton;   // Button that switches back to the built-in solar system.
+const layerToggles = {};        // "Layers" section checkboxes, keyed by layer name (their `data-layer` attribute).
+const bodyTypeToggles = {};     // "Body Types" filter checkboxes, keyed by type (their `data-body-type` attribute).
+let bodyLabelsContainer;        // Overlay holding the always-on name labels of all bodies.
+let debugSection;               // The "System Status (Debug)" section, hidden with the debug layer.
+let starfieldModeSelect;        // Drop-down choosing between the starfield texture and procedural stars.
+let qualitySelect;              // Drop-down choosing a graphics quality preset or automatic quality.
+let trueScaleToggle;            // Checkbox that switches between the illustrative layout and true scale.
+let scaleBlendSlider;           // Slider blending between the illustrative layout and true scale.
+let scaleBlendValueSpan;        // Span describing the current scale blend.
+let trailLengthSlider;          // Slider for the number of past positions kept per trail.
+let trailLengthValueSpan;       // Span displaying the current trail length.
+let trailOpacitySlider;         // Slider for the opacity of the trails.
+let trailOpacityValueSpan;      // Span displaying the current trail opacity.
+let beltDensitySlider;          // Slider for the number of belt particles.
+let beltDensityValueSpan;       // Span displaying the current belt density.
+const planetSpeedSliders = {};  // Object to store individual planet speed sliders, keyed by planet name.
+const planetSpeedValueSpans = {}; // Object to store individual planet speed value displays, keyed by planet name.
+const planetTrailToggles = {};  // Object to store the generated per-body "Show trail" checkboxes, keyed by planet name.
+let loadingOverlay;             // The fullscreen loading screen element.
+let loadingProgressBar;         // The visual progress bar within the loading screen.
+let loadingProgressText;        // Text displaying the loading percentage.
+let planetLabelElement;         // HTML element to display planet names on hover.
+let resetCameraButton;          // Button to reset the camera to its initial view.
+let copyViewLinkButton;         // Button that copies a link to the current view.
+let shortcutHelpElement;        // Overlay listing the keyboard shortcuts.
+let shortcutHelpCloseButton;    // Button that closes the keyboard shortcut overlay.
+let showShortcutsButton;        // Button in the controls panel that opens the keyboard shortcut overlay.
+let followIndicatorElement;     // On-screen badge showing which body the camera is following.
+let followIndicatorNameElement; // Span inside the badge holding the followed body's name.
+let stopFollowButton;           // Button inside the badge that ends follow mode.
+let bodyInfoPanel;              // Panel showing the facts of the selected body.
+let bodyInfoTitle;              // Heading inside the info panel holding the selected body's name.
+let bodyInfoFactsList;          // Definition list inside the info panel, filled from the body's data.
+let bodyInfoCloseButton;        // Button that closes the info panel.
+let bodyInfoDistanceValue = null; // The info panel entry holding the live distance from the Sun, if shown.
+let bodyInfoOrbitPaceValue = null; // The info panel entry telling whether the body's orbit is shown slowed down.
+let messageBoxElement;          // Custom message box container.
+let messageBoxTextElement;      // Text content area for the custom message box.
+let messageBoxCloseButton;      // Close button for the custom message box.
+
+// Debugging UI elements
+let fpsDisplay;                 // Span to display current frames per second (FPS).
+let qualityDisplay;             // Span showing the graphics quality preset in effect.
+let objectCountDisplay;         // Span to display the number of rendered objects.
+let cameraPosXDisplay;          // Span to display camera's X position.
+let cameraPosYDisplay;          // Span to display camera's Y position.
+let cameraPosZDisplay;          // Span to display camera's Z position.
+let mouseNDCXDisplay;           // Span to display normalized device coordinates (NDC) X for mouse.
+let mouseNDCYDisplay;           // Span to display normalized device coordinates (NDC) Y for mouse.
+let animationStatusDisplay;     // Span to display animation paused/resumed status.
+let focusStatusDisplay;         // Span to display camera focusing status.
+let julianDateDisplay;          // Span to display the simulation clock as a Julian date.
+let beltParticleCountDisplay;   // Span to display the number of belt particles drawn.
+let textureStreamDisplay;       // Span showing the progress of texture streaming.
+
+// =====================================================================================================================
+// SECTION 6: SOLARSYSTEMSIMULATION CLASS
+// This class encapsulates all the logic for setting up, running, and managing the 3D solar system simulation.
+// It follows an object-oriented approach to organize the codebase.
+// =====================================================================================================================
+class SolarSystemSimulation {
+    /**
+     * @constructor
+     * @description Initializes the entire solar system simulation. This is the primary entry point
+     * for setting up the Three.js scene, loading assets, configuring UI, and starting the animation loop.
+     */
+    constructor() {
+        console.log('SolarSystemSimulation: Initializing the application...');
+        try {
+            // Step 1: Initialize the loading manager to track asset loading progress.
+            this._initLoadingManager();
+            // Step 2: Set up the fundamental Three.js scene, camera, and renderer.
+            this._initScene();
+            // Step 3: Configure and add lighting to the scene to illuminate celestial bodies.
+            this._setupLights();
+            // Step 4: Load textures for planets and background, then create their 3D meshes.
+            this._loadTexturesAndCreateBodies();
+            // Step 5: Get references to and initialize all HTML UI elements.
+            this._setupUI();
+            // Step 6: Attach event listeners to UI elements and the window for user interaction.
+            this._addEventListeners();
+            // Step 7: Handle initial window sizing for responsiveness.
+            this._handleResize();
+
+            console.log('SolarSystemSimulation: Initialization sequence complete. Awaiting asset loading to start animation.');
+        } catch (error) {
+            console.error('SolarSystemSimulation: Critical error during initialization:', error);
+            this._showMessageBox('Critical Error', `Failed to initialize the solar system simulation: ${error.message}. Please check the console for more details and ensure your browser supports WebGL.`, 'error');
+        }
+    }
+
+    /**
+     * @private
+     * @method _initLoadingManager
+     * @description Sets up the Three.js LoadingManager to track asset loading progress.
+     * This manager is crucial for displaying a loading screen to the user, providing feedback
+     * and preventing a blank screen while large textures are being fetched.
+     */
+    _initLoadingManager() {
+        console.log('LoadingManager: Initializing Three.js LoadingManager...');
+        try {
+            loadingManager = new THREE.LoadingManager();
+
+            // Get references to all loading UI elements from the DOM.
+            loadingOverlay = document.getElementById('loading-overlay');
+            loadingProgressBar = document.getElementById('loading-progress-bar');
+            loadingProgressText = document.getElementById('loading-progress-text');
+
+            // Validate that all required loading UI elements are present in the DOM.
+            if (!loadingOverlay || !loadingProgressBar || !loadingProgressText) {
+                console.warn('LoadingManager: One or more loading UI elements are missing. Loading overlay will not function as expected.');
+                // If UI elements are missing, configure the manager to log progress to console only.
+                loadingManager.onStart = (url, itemsLoaded, itemsTotal) => console.log(`Loading started (UI elements missing). Total items: ${itemsTotal}`);
+                loadingManager.onProgress = (url, itemsLoaded, itemsTotal) => console.log(`Loaded ${itemsLoaded}/${itemsTotal}: ${url}`);
+                loadingManager.onLoad = () => {
+                    console.log('All assets loaded (UI elements missing). Starting animation.');
+                    this._startAnimationLoop(); // Start animation directly if no overlay is possible.
+                };
+                loadingManager.onError = (url) => {
+                    console.error('Error loading asset (UI elements missing):', url);
+                    this._showMessageBox('Loading Error', `Failed to load some assets. Check console for details: ${url}`, 'warning');
+                    this._startAnimationLoop(); // Still attempt to start animation with available assets.
+                };
+                this.textureLoader = new THREE.TextureLoader(loadingManager); // Assign manager to loader.
+                this.streamingTextureLoader = new THREE.TextureLoader();
+                return; // Exit the method as UI interaction is not possible.
+            }
+
+            // Callback function executed when the loading process starts.
+            loadingManager.onStart = (url, itemsLoaded, itemsTotal) => {
+                console.log(`LoadingManager: Loading process started. Expecting ${itemsTotal} assets.`);
+                loadingOverlay.style.display = 'flex'; // Show the loading overlay by setting its display property.
+                loadingOverlay.style.opacity = '1';    // Ensure it's fully opaque.
+                loadingOverlay.style.pointerEvents = ''; // Undo the previous hide when another system is loaded.
+                loadingProgressText.textContent = 'Loading... 0%'; // Initialize progress text.
+                loadingProgressBar.style.width = '0%'; // Initialize progress bar width.
+            };
+
+            // Callback function executed periodically during the loading progress.
+            // It updates the visual progress bar and text.
+            loadingManager.onProgress = (url, itemsLoaded, itemsTotal) => {
+                const progress = (itemsLoaded / itemsTotal) * 100; // Calculate percentage.
+                loadingProgressText.textContent = `Loading... ${Math.round(progress)}%`; // Update text.
+                loadingProgressBar.style.width = `${progress}%`; // Update bar width.
+                console.log(`LoadingManager: Progress: ${Math.round(progress)}% - Loaded: ${url}`);
+            };
+
+            // Callback function executed when all assets have been successfully loaded.
+            loadingManager.onLoad = () => {
+                console.log('LoadingManager: All assets loaded successfully! Starting simulation.');
+                this._finishLoading();
+            };
+
+            // Callback function executed if an error occurs during asset loading.
+            loadingManager.onError = (url) => {
+                console.error(`LoadingManager: Error loading asset: ${url}. Attempting to proceed with available assets.`);
+                loadingProgressText.textContent = `Error loading some assets. Check console.`;
+                this._showMessageBox('Loading Error', `Failed to load asset: ${url}. Simulation might be incomplete.`, 'warning');
+                // Even on error, attempt to fade out the overlay and proceed to animation.
+                loadingOverlay.style.opacity = '0';
+                setTimeout(() => {
+                    loadingOverlay.style.display = 'none';
+                    loadingOverlay.style.pointerEvents = 'none';
+                }, SCENE_CONSTANTS.LOADING_FADE_DURATION || 2000); // Longer fade on error.
+                this._startAnimationLoop(); // Still try to start animation with what's loaded.
+            };
+
+            // Assign the configured LoadingManager to the TextureLoader.
+            this.textureLoader = new THREE.TextureLoader(loadingManager);
+            // Textures streamed in after the first view (see `_streamNextTextures`) do not bring the overlay back.
+            this.streamingTextureLoader = new THREE.TextureLoader();
+            console.log('LoadingManager: Initialized successfully and linked to TextureLoader.');
+        } catch (error) {
+            console.error('Error during _initLoadingManager:', error);
+            this._showMessageBox('Setup Error', `Failed to set up loading manager: ${error.message}.`, 'error');
+            // Fallback: If loading manager setup fails, create a basic texture loader without it.
+            this.textureLoader = new THREE.TextureLoader();
+            this.streamingTextureLoader = this.textureLoader;
+        }
+    }
+
+    /**
+     * @private
+     * @method _finishLoading
+     * @description Fades out the loading overlay and starts the animation loop (if not running yet). Called once the
+     * minimum set of textures of a system is in (see `_createSystemBodies`).
+     */
+    _finishLoading() {
+        if (loadingOverlay) {
+            loadingOverlay.style.opacity = '0'; // Start fading out the loading overlay.
+            // After the fade-out transition, hide the overlay completely.
+            setTimeout(() => {
+                loadingOverlay.style.display = 'none';
+                loadingOverlay.style.pointerEvents = 'none'; // Disable pointer events after hidden.
+            }, SCENE_CONSTANTS.LOADING_FADE_DURATION || 1000); // Default to 1s if not defined.
+        }
+        this._startAnimationLoop(); // Crucially, start the main animation loop after loading is complete.
+    }
+
+    /**
+     * @private
+     * @method _initScene
+     * @description Initializes the fundamental components of the Three.js scene: the scene itself,
+     * the camera, and the WebGL renderer. It also sets up OrbitControls for interactive camera navigation.
+     */
+    _initScene() {
+        console.log('Scene: Initializing Three.js scene, camera, and renderer...');
+        try {
+            // Create a new Three.js Scene instance. This is the root of the 3D graph.
+            scene = new THREE.Scene();
+            // Set a default background color. This will be replaced by the starfield texture later.
+            scene.background = new THREE.Color(SCENE_CONSTANTS.BACKGROUND_COLOR);
+            console.log('Scene: New THREE.Scene created with default background.');
+
+            // Create a PerspectiveCamera. This camera type is used for realistic 3D views.
             // Parameters: FOV (Field of View), Aspect Ratio, Near Clipping Plane, Far Clipping Plane.
             camera = new THREE.PerspectiveCamera(
                 SCENE_CONSTANTS.CAMERA_FOV,
@@ -361,807 +2086,4217 @@ class SolarSystemSimulation {
                 SCENE_CONSTANTS.CAMERA_INITIAL_POSITION.y,
                 SCENE_CONSTANTS.CAMERA_INITIAL_POSITION.z
             );
-            // Make the camera look towards the origin (0,0,0), where the Sun will be placed.
-            camera.lookAt(new THREE.Vector3(0, 0, 0));
-            console.log('Camera: THREE.PerspectiveCamera initialized and positioned.');
+            // Make the camera look towards the origin (0,0,0), where the Sun will be placed.
+            camera.lookAt(new THREE.Vector3(0, 0, 0));
+            console.log('Camera: THREE.PerspectiveCamera initialized and positioned.');
+
+            // Create a WebGLRenderer. This renderer uses the WebGL API to draw the scene onto a canvas.
+            renderer = new THREE.WebGLRenderer({
+                // Enable anti-aliasing for smoother edges, unless the graphics quality at page load turns it off.
+                antialias: SCENE_CONSTANTS.RENDERER_ANTIALIAS && QUALITY_PRESETS[qualityLevel].antialias,
+                alpha: false // Disable alpha for background, as we'll use a texture.
+            });
+            // Set the size of the renderer to match the full window dimensions.
+            renderer.setSize(window.innerWidth, window.innerHeight);
+            // Adjust the renderer's pixel ratio for high-DPI (Retina) displays, as far as the graphics quality allows.
+            renderer.setPixelRatio(this._getQualityPixelRatio());
+            console.log('Renderer: THREE.WebGLRenderer initialized and sized.');
+
+            // Get the HTML container element where the canvas will be appended.
+            const container = document.getElementById('solar-system-container');
+            if (container) {
+                // Append the renderer's DOM element (the <canvas> tag) to the specified container.
+                container.appendChild(renderer.domElement);
+                console.log('Renderer: Canvas appended to #solar-system-container.');
+            } else {
+                // Fallback: If the container element is not found, log an error and append to the body.
+                console.error("Error: Could not find 'solar-system-container' element. Appending canvas directly to body.");
+                document.body.appendChild(renderer.domElement);
+                this._showMessageBox('DOM Error', 'Could not find the main simulation container. The canvas has been appended directly to the body. Please ensure the HTML structure is correct.', 'error');
+            }
+
+            // Initialize OrbitControls. These controls enable interactive camera movement.
+            // They require the camera and the DOM element (canvas) to attach listeners.
+            orbitControls = new THREE.OrbitControls(camera, renderer.domElement);
+            orbitControls.enableDamping = true;     // Enables damping for smoother camera movement after user input.
+            orbitControls.dampingFactor = 0.05;     // Damping factor. Higher values mean more damping (slower deceleration).
+            orbitControls.screenSpacePanning = false; // Prevents panning in screen space, useful for 3D scenes.
+            orbitControls.minDistance = SCENE_CONSTANTS.MIN_CAMERA_DISTANCE; // Minimum distance the camera can zoom in.
+            orbitControls.maxDistance = SCENE_CONSTANTS.MAX_CAMERA_DISTANCE; // Maximum distance the camera can zoom out.
+            orbitControls.maxPolarAngle = SCENE_CONSTANTS.MAX_POLAR_ANGLE; // Restricts vertical orbit to prevent camera from going below the "ground" plane.
+            console.log('OrbitControls: Initialized with damping and distance limits.');
+
+            // Initialize the Three.js Clock. This is used to calculate `deltaTime` between frames,
+            // making animations frame-rate independent and consistent across different devices.
+            clock = new THREE.Clock();
+            console.log('Clock: THREE.Clock initialized for delta time calculations.');
+
+            // Eclipse shadows are computed in view space, so they are brought up to date for every render.
+            scene.onBeforeRender = () => this._updateShadows();
+        } catch (error) {
+            console.error('Error during _initScene:', error);
+            this._showMessageBox('Scene Setup Error', `Failed to initialize 3D scene components: ${error.message}.`, 'error');
+        }
+    }
+
+    /**
+     * @private
+     * @method _setupLights
+     * @description Configures and adds lighting to the Three.js scene.
+     * This typically includes an AmbientLight for general illumination and a PointLight to simulate the Sun's light.
+     */
+    _setupLights() {
+        console.log('Lights: Setting up scene lighting...');
+        try {
+            // Add an AmbientLight. This light illuminates all objects in the scene equally from all directions.
+            // It helps to prevent parts of objects from being completely black in shadowed areas, providing soft base illumination.
+            const ambientLight = new THREE.AmbientLight(SCENE_CONSTANTS.AMBIENT_LIGHT_COLOR);
+            scene.add(ambientLight);
+            console.log('Lights: AmbientLight added to the scene.');
+
+            // Add a PointLight. This light emits light from a single point in all directions,
+            // similar to a light bulb. It will simulate the Sun's illumination, casting shadows (if enabled on renderer).
+            const sunLight = new THREE.PointLight(
+                SCENE_CONSTANTS.SUN_LIGHT_COLOR,
+                SCENE_CONSTANTS.SUN_LIGHT_INTENSITY,
+                0 // Distance: 0 means the light has an infinite range, illuminating the entire scene.
+            );
+            // Position the Sun's light source at the origin (0,0,0), matching the Sun mesh's position.
+            sunLight.position.set(0, 0, 0);
+            scene.add(sunLight);
+            console.log('Lights: PointLight (simulating Sun) added to the scene at origin.');
+
+            // Optional: Add a helper to visualize the point light source in the scene.
+            // This is useful for debugging light placement during development but can be commented out for production.
+            // const pointLightHelper = new THREE.PointLightHelper(sunLight, 10); // Helper with size 10.
+            // scene.add(pointLightHelper);
+            // console.log('Lights: PointLightHelper added for debugging purposes.');
+
+            // Enable shadows on the renderer (requires `renderer.shadowMap.enabled = true;` in _initScene)
+            // and on the light source (`sunLight.castShadow = true;`) and objects (`mesh.castShadow = true; mesh.receiveShadow = true;`).
+            // For simplicity, shadows are not fully implemented in this version to keep focus on core features.
+        } catch (error) {
+            console.error('Error during _setupLights:', error);
+            this._showMessageBox('Lighting Error', `Failed to set up scene lights: ${error.message}.`, 'error');
+        }
+    }
+
+    /**
+     * @private
+     * @method _loadTexturesAndCreateBodies
+     * @description Starts loading the background and creates the initial star system. By default this is the solar
+     * system from CELESTIAL_BODIES_DATA; a `?system=<url>` query parameter loads a system definition file instead.
+     */
+    _loadTexturesAndCreateBodies() {
+        console.log('Textures: Starting texture loading and celestial body creation process...');
+        this._loadStarfieldBackground();
+
+        const systemUrl = new URLSearchParams(window.location.search).get('system');
+        if (systemUrl) {
+            this._loadSystemFromUrl(systemUrl);
+        } else {
+            this._createSystemBodies(CELESTIAL_BODIES_DATA);
+        }
+    }
+
+    /**
+     * @private
+     * @method _loadStarfieldBackground
+     * @description Queues the background stars texture, which is applied to the scene's background once it has
+     * streamed in; the plain background color is shown until then. Nothing is loaded while procedural stars are chosen,
+     * which spares low-memory devices the 8k texture. If the texture fails to load, the procedural stars stay.
+     */
+    _loadStarfieldBackground() {
+        this._applyStarfield();
+        if (starfieldMode !== 'texture' || starfieldTexture || starfieldTextureFailed) return;
+
+        // Define the path for the background stars texture.
+        const starfieldTexturePath = './assets/textures/8k_stars_milky_way.jpg';
+        if (textureStreamQueue.some(job => job.path === starfieldTexturePath)) return; // Already waiting.
+
+        // The sky is not tied to a system, so it stays queued when another system is loaded.
+        textureStreamQueue.push({
+            path: starfieldTexturePath, buildId: null, body: null, priority: 3, description: 'Stars background texture',
+            onLoad: (texture) => {
+                // The user may have switched to procedural stars while the texture was loading.
+                if (starfieldMode !== 'texture') {
+                    texture.dispose();
+                    return;
+                }
+                starfieldTexture = texture;
+                this._applyStarfield();
+            },
+            onError: () => {
+                // The procedural stars stand in for the texture.
+                starfieldTextureFailed = true;
+                this._applyStarfield();
+                this._showMessageBox('Texture Load Error', `Failed to load starfield background: ${starfieldTexturePath}. Showing procedural stars instead.`, 'warning');
+            }
+        });
+        this._streamNextTextures();
+    }
+
+    /**
+     * @private
+     * @method _setStarfieldMode
+     * @description Switches between the starfield texture and procedural stars and remembers the choice. Choosing
+     * procedural stars releases the texture, so the memory it takes is freed; choosing the texture loads it again.
+     * @param {string} mode - One of STARFIELD_MODES.
+     */
+    _setStarfieldMode(mode) {
+        if (!STARFIELD_MODES.includes(mode)) {
+            console.warn(`Starfield: Unknown starfield style '${mode}'.`);
+            return;
+        }
+        starfieldMode = mode;
+        saveStarfieldMode(mode);
+        if (starfieldModeSelect) starfieldModeSelect.value = mode;
+        if (mode === 'procedural' && starfieldTexture) {
+            starfieldTexture.dispose();
+            starfieldTexture = null;
+        }
+        this._loadStarfieldBackground();
+        console.log(`Starfield: Style set to '${mode}'.`);
+    }
+
+    /**
+     * @private
+     * @method _applyStarfield
+     * @description Shows the background that matches the starfield layer and style: the texture, the procedural
+     * stars (also when the texture failed to load), or the solid background color while hidden or still loading.
+     */
+    _applyStarfield() {
+        const showTexture = layerVisibility.starfield && starfieldMode === 'texture' && starfieldTexture !== null;
+        const showProcedural = layerVisibility.starfield && (starfieldMode === 'procedural' || starfieldTextureFailed);
+        scene.background = showTexture ? starfieldTexture : new THREE.Color(SCENE_CONSTANTS.BACKGROUND_COLOR);
+        if (showProcedural && !proceduralStarfield) {
+            try {
+                proceduralStarfield = this._createProceduralStarfield();
+                scene.add(proceduralStarfield);
+                this._applyStarfieldDensity();
+            } catch (error) {
+                console.error('Error creating the procedural starfield:', error);
+                proceduralStarfield = null;
+            }
+        }
+        if (proceduralStarfield) proceduralStarfield.visible = showProcedural;
+        if (isPaused && renderer) renderer.render(scene, camera);
+    }
+
+    /**
+     * @private
+     * @method _createProceduralStarfield
+     * @description Builds the procedural starfield: STARFIELD_COUNT stars as a single points cloud on a sphere of
+     * radius CAMERA_FAR * STARFIELD_RADIUS_FACTOR. The stars of BRIGHT_STAR_CATALOGUE are placed at their real
+     * positions, so constellations can be recognised; the rest are fainter random stars, partly crowded towards the
+     * plane of the Milky Way. Brightness follows each star's magnitude and its color its temperature. The vertex
+     * shader ignores the camera position and pins the stars to the far plane, so they behave like infinitely
+     * distant points that are never clipped and always lie behind every body.
+     * @returns {THREE.Points} The starfield.
+     */
+    _createProceduralStarfield() {
+        const count = Math.max(SCENE_CONSTANTS.STARFIELD_COUNT, BRIGHT_STAR_CATALOGUE.length);
+        const radius = SCENE_CONSTANTS.CAMERA_FAR * SCENE_CONSTANTS.STARFIELD_RADIUS_FACTOR;
+        const positions = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+        const appearances = new Float32Array(count * 2); // Point size in pixels and opacity.
+        const random = createSeededRandom(2000);
+        const direction = new THREE.Vector3();
+        const color = new THREE.Color();
+
+        const setStar = (index, magnitude, temperature) => {
+            direction.multiplyScalar(radius).toArray(positions, index * 3);
+            colorFromTemperature(temperature, color).toArray(colors, index * 3);
+            // Each magnitude step is a factor of about 2.5 in brightness: bright stars are larger and opaque, and
+            // the faintest are one-pixel points that are barely visible.
+            appearances[index * 2] = THREE.MathUtils.clamp(4.5 - 0.55 * (magnitude + 1.5), 1, 4.5);
+            appearances[index * 2 + 1] = THREE.MathUtils.clamp(Math.pow(10, -0.4 * (magnitude - 2)), 0.12, 1);
+        };
+
+        // The bright stars at their catalogue positions.
+        BRIGHT_STAR_CATALOGUE.forEach((star, index) => {
+            equatorialToSceneDirection(star.rightAscension, star.declination, direction);
+            setStar(index, star.magnitude, temperatureFromColorIndex(star.colorIndex));
+        });
+
+        // The Milky Way's plane, as two scene directions towards the galactic centre and the galactic north pole.
+        const galacticNorth = equatorialToSceneDirection(192.859, 27.128, new THREE.Vector3());
+        const galacticCentre = equatorialToSceneDirection(266.405, -28.936, new THREE.Vector3());
+        galacticCentre.addScaledVector(galacticNorth, -galacticCentre.dot(galacticNorth)).normalize();
+        const galacticSide = new THREE.Vector3().crossVectors(galacticNorth, galacticCentre);
+
+        // Random stars fainter than the catalogue. There are about three times as many stars per magnitude step
+        // (N ~ 10^(0.5 m)), so magnitudes are drawn from that distribution.
+        const brightestRandom = Math.max(...BRIGHT_STAR_CATALOGUE.map(star => star.magnitude));
+        const faintest = SCENE_CONSTANTS.STARFIELD_MAGNITUDE_LIMIT;
+        const minCount = Math.pow(10, 0.5 * brightestRandom);
+        const maxCount = Math.pow(10, 0.5 * faintest);
+        // Rough spectral mix of naked-eye stars: temperature (kelvin) and share.
+        const spectralTypes = [[3400, 0.12], [4500, 0.33], [5800, 0.15], [6800, 0.15], [9500, 0.15], [18000, 0.1]];
+        for (let i = BRIGHT_STAR_CATALOGUE.length; i < count; i++) {
+            if (random() < SCENE_CONSTANTS.STARFIELD_GALACTIC_FRACTION) {
+                const longitude = random() * Math.PI * 2;
+                // The sum of three uniform numbers approximates a bell curve around the galactic plane.
+                const latitude = THREE.MathUtils.degToRad((random() + random() + random() - 1.5) * 16);
+                direction.copy(galacticNorth).multiplyScalar(Math.sin(latitude))
+                    .addScaledVector(galacticCentre, Math.cos(latitude) * Math.cos(longitude))
+                    .addScaledVector(galacticSide, Math.cos(latitude) * Math.sin(longitude));
+            } else {
+                // A uniformly distributed direction on the sphere.
+                const z = random() * 2 - 1;
+                const angle = random() * Math.PI * 2;
+                const ring = Math.sqrt(1 - z * z);
+                direction.set(ring * Math.cos(angle), z, ring * Math.sin(angle));
+            }
+            const magnitude = Math.log10(minCount + random() * (maxCount - minCount)) / 0.5;
+            let pick = random();
+            const type = spectralTypes.find(([, share]) => (pick -= share) < 0) || spectralTypes[spectralTypes.length - 1];
+            setStar(i, magnitude, type[0] * (0.9 + random() * 0.2));
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('starColor', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('starAppearance', new THREE.BufferAttribute(appearances, 2));
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                pixelRatio: { value: renderer ? renderer.getPixelRatio() : 1 }
+            },
+            vertexShader: `
+                attribute vec3 starColor;
+                attribute vec2 starAppearance;
+                uniform float pixelRatio;
+                varying vec3 vColor;
+                varying float vAlpha;
+                void main() {
+                    // A w of 0 drops the camera translation: the stars keep their directions wherever the camera is.
+                    vec3 viewDirection = (modelViewMatrix * vec4(position, 0.0)).xyz;
+                    gl_Position = projectionMatrix * vec4(viewDirection, 1.0);
+                    gl_Position.z = gl_Position.w; // On the far plane, behind everything else.
+                    gl_PointSize = starAppearance.x * pixelRatio;
+                    vColor = starColor;
+                    vAlpha = starAppearance.y;
+                }
+            `,
+            fragmentShader: `
+                varying vec3 vColor;
+                varying float vAlpha;
+                void main() {
+                    float distanceFromCentre = length(gl_PointCoord - vec2(0.5));
+                    if (distanceFromCentre > 0.5) discard;
+                    gl_FragColor = vec4(vColor, vAlpha * (1.0 - smoothstep(0.2, 0.5, distanceFromCentre)));
+                }
+            `,
+            transparent: true,
+            depthWrite: false
+        });
+        const starfield = new THREE.Points(geometry, material);
+        starfield.name = 'ProceduralStarfield';
+        starfield.frustumCulled = false; // The shader moves the stars with the camera.
+        starfield.renderOrder = -1;      // Draw the sky before everything else.
+        console.log(`Starfield: ${count} procedural stars created (${BRIGHT_STAR_CATALOGUE.length} from the bright-star catalogue).`);
+        return starfield;
+    }
+
+    /**
+     * @private
+     * @method _createSystemBodies
+     * @description Creates the 3D meshes of all bodies of a star system and the matching UI controls right away, in
+     * their fallback colors, and then loads their textures. Only the minimum set (the main textures and rings of the
+     * light source and the planets, which make up the overview) is tracked by the loading overlay; once it is in,
+     * the overlay is gone and the remaining textures (moons, small bodies, surface maps, clouds and the starfield)
+     * stream in a few at a time (see `_streamNextTextures`). Every texture is applied to its body as it arrives.
+     * @param {Array<object>} bodies - The body definitions, in the format of CELESTIAL_BODIES_DATA.
+     */
+    _createSystemBodies(bodies) {
+        activeSystemBodies = bodies;
+        const buildId = ++systemBuildId; // Identifies this build, so a newer one can supersede it.
+        textureStreamReady = false;
+        // Streamed textures of a replaced system are no longer wanted; the starfield's still are.
+        for (let i = textureStreamQueue.length - 1; i >= 0; i--) {
+            if (textureStreamQueue[i].buildId !== null) textureStreamQueue.splice(i, 1);
+        }
+
+        // Collect every body that needs textures: the top-level bodies plus all of their satellites.
+        const allBodyData = [];
+        bodies.forEach(bodyData => {
+            allBodyData.push(bodyData);
+            (bodyData.satellites || []).forEach(satelliteData => allBodyData.push(satelliteData));
+        });
+        allBodyData.forEach(bodyData => {
+            bodyData.loadedTexture = null;
+            bodyData.loadedMaps = {};
+        });
+
+        // Create the bodies in their fallback colors; their textures are applied as they arrive.
+        bodies.forEach(bodyData => {
+            try {
+                this._createBodyFromData(bodyData);
+            } catch (bodyCreationError) {
+                console.error(`Error creating celestial body ${bodyData.name}:`, bodyCreationError);
+                this._showMessageBox('Mesh Creation Error', `Failed to create 3D model for ${bodyData.name}: ${bodyCreationError.message}.`, 'error');
+            }
+        });
+        console.log('Celestial body mesh creation process completed for all defined bodies.');
+        this._createSmallBodyBelts();
+        // Bodies are created at the illustrative scale; resize them for the current scale blend.
+        this._applyScaleBlend();
+        // Now that every body exists, apply any body-related state from a view link, then generate and wire up
+        // each body's individual speed slider (which reads the restored speed factors).
+        this._applyPendingBodyViewState();
+        this._buildPlanetSpeedControls();
+        this._buildBodyLabels();
+        // While paused no frames are rendered, so draw the new system once.
+        if (isPaused && renderer) renderer.render(scene, camera);
+
+        // Describe the texture loads of every body, with the body they belong to.
+        const minimumSet = [];
+        const lightSource = this._getLightSourceBody();
+        allBodyData.forEach(bodyData => {
+            const body = bodyData.isLightSource ? lightSource : planets.find(planet => planet.data === bodyData);
+            if (!body) return;
+            const inMinimumSet = body === lightSource || (!body.parent && body.type === 'planet');
+            const queue = (job) => {
+                if (inMinimumSet && job.priority <= 1) minimumSet.push(job);
+                else textureStreamQueue.push(job);
+            };
+            if (bodyData.texture) {
+                queue({
+                    path: bodyData.texture, buildId, body, priority: 0, description: `Main texture for ${bodyData.name}`,
+                    onLoad: (texture) => {
+                        bodyData.loadedTexture = texture;
+                        if (!body.highResTexture) this._setBodyTexture(body, texture); // A sharp texture may be in already.
+                    },
+                    onError: () => this._showMessageBox('Texture Load Error', `Failed to load texture for ${bodyData.name}: ${bodyData.texture}. Using fallback color.`, 'warning')
+                });
+            }
+            // Ring bands sharing a texture load it only once.
+            new Set(getRingBands(bodyData).map(band => band.texture).filter(Boolean)).forEach(path => {
+                queue({
+                    path, buildId, body, priority: 1, description: `Ring texture for ${bodyData.name}`,
+                    onLoad: (texture) => this._setRingTexture(body, path, texture),
+                    onError: () => this._showMessageBox('Texture Load Error', `Failed to load ring texture for ${bodyData.name}: ${path}. The rings will use their fallback color.`, 'warning')
+                });
+            });
+            // Night lights, normal and specular maps and a cloud layer (see `getSurfaceMapPaths`) are optional: one that
+            // fails to load is left out, and the body keeps its plain look for it.
+            getSurfaceMapPaths(bodyData).forEach(({ key, path, description }) => {
+                bodyData.loadedMaps[key] = null;
+                queue({
+                    path, buildId, body, priority: 2, description: `${description.charAt(0).toUpperCase()}${description.slice(1)} for ${bodyData.name}`,
+                    onLoad: (texture) => {
+                        bodyData.loadedMaps[key] = texture;
+                        this._setSurfaceMap(body, key, texture);
+                    },
+                    onError: () => this._showMessageBox('Texture Load Error', `Failed to load the ${description} for ${bodyData.name}: ${path}. It is left out.`, 'warning')
+                });
+            });
+        });
+
+        // The minimum set loads all at once through the loading manager, which shows its progress on the overlay.
+        console.log(`Textures: Loading ${minimumSet.length} textures for the first view; ${textureStreamQueue.length} more will stream in afterwards.`);
+        if (minimumSet.length === 0) this._finishLoading();
+        Promise.all(minimumSet.map(job => this._loadTextureJob(job, this.textureLoader))).then(() => {
+            if (buildId !== systemBuildId) return; // Another system replaced this one meanwhile.
+            console.log('Textures: Minimum set ready; streaming the remaining textures.');
+            textureStreamReady = true;
+            this._updateFocusTextures();
+            this._streamNextTextures();
+        });
+    }
+
+    /**
+     * @private
+     * @method _loadTextureJob
+     * @description Loads one texture of the texture queue and hands it to the job, limited to the size the graphics
+     * quality allows. Textures of a system replaced in the meantime are dropped. Failures are logged and passed to
+     * the job's `onError`, if any.
+     * @param {object} job - The job: `path`, `buildId` (`null` if not tied to a system), `body` (or `null`),
+     * `priority`, `description`, `onLoad(texture)` and optionally `onError(error)`, or `optional: true` for textures
+     * whose absence is only logged as a warning.
+     * @param {THREE.TextureLoader} loader - The loader to use; only the overlay's loader reports progress.
+     * @returns {Promise<void>} Resolves once the texture has been applied or has failed.
+     */
+    _loadTextureJob(job, loader) {
+        const isCurrent = () => job.buildId === null || job.buildId === systemBuildId;
+        return new Promise((resolve) => {
+            loader.load(
+                job.path,
+                (texture) => {
+                    if (!isCurrent()) {
+                        texture.dispose();
+                    } else {
+                        limitTextureSize(texture, QUALITY_PRESETS[qualityLevel].maxTextureSize);
+                        job.onLoad(texture);
+                        console.log(`Textures: ${job.description} loaded successfully.`);
+                    }
+                    resolve();
+                },
+                undefined, // onProgress (handled by LoadingManager).
+                (error) => {
+                    if (isCurrent() && job.optional) {
+                        console.warn(`Textures: ${job.description} not available (${job.path}); keeping the current one.`);
+                    } else if (isCurrent()) {
+                        console.error(`Error loading ${job.description.charAt(0).toLowerCase()}${job.description.slice(1)} from ${job.path}:`, error);
+                        if (job.onError) job.onError(error);
+                    }
+                    resolve(); // Resolve anyway, so the other loads carry on.
+                }
+            );
+        });
+    }
+
+    /**
+     * @private
+     * @method _streamNextTextures
+     * @description Starts loading queued textures until TEXTURE_STREAM_CONCURRENCY are in flight, once the minimum
+     * set of the current system is in. The body the camera follows goes first, then the queue by priority (main
+     * textures, rings, surface maps, the starfield), in order within a priority.
+     */
+    _streamNextTextures() {
+        if (!textureStreamReady) return;
+        while (activeTextureStreams < SCENE_CONSTANTS.TEXTURE_STREAM_CONCURRENCY && textureStreamQueue.length > 0) {
+            const rank = (job) => job.priority - (followedBody && job.body === followedBody ? 10 : 0);
+            let next = 0;
+            textureStreamQueue.forEach((job, index) => {
+                if (rank(job) < rank(textureStreamQueue[next])) next = index;
+            });
+            const [job] = textureStreamQueue.splice(next, 1);
+            activeTextureStreams++;
+            this._loadTextureJob(job, this.streamingTextureLoader).then(() => {
+                activeTextureStreams--;
+                streamedTextureCount++;
+                if (isPaused && renderer) renderer.render(scene, camera);
+                this._streamNextTextures();
+            });
+        }
+    }
+
+    /**
+     * @private
+     * @method _setBodyTexture
+     * @description Shows a surface texture on a body, or its fallback color for `null`.
+     * @param {object} body - A `planets` entry or the light source body.
+     * @param {THREE.Texture|null} texture - The texture.
+     */
+    _setBodyTexture(body, texture) {
+        const material = body.mesh.material;
+        if (material.uniforms && material.uniforms.surfaceMap) {
+            // The Sun's surface shader (see `_createSunSurfaceMaterial`).
+            material.uniforms.surfaceMap.value = texture;
+            material.uniforms.hasSurfaceMap.value = texture !== null;
+            return;
+        }
+        material.map = texture;
+        material.color.set(texture ? 0xFFFFFF : body.data.color);
+        material.needsUpdate = true;
+    }
+
+    /**
+     * @private
+     * @method _setRingTexture
+     * @description Shows a loaded texture on the ring bands of a body that use it, and lets the bands cast their
+     * textured shadow (see `_updateRingShadowBands`).
+     * @param {object} planet - The ringed body's `planets` entry.
+     * @param {string} path - The texture path, as given in the bands.
+     * @param {THREE.Texture} texture - The loaded texture.
+     */
+    _setRingTexture(planet, path, texture) {
+        if (!planet.ringSystem) return;
+        getRingBands(planet.data).forEach((band, index) => {
+            if (band.texture !== path) return;
+            const material = planet.ringSystem.children[index].material;
+            material.map = texture;
+            material.color.set(0xFFFFFF);
+            material.alphaTest = 0.01; // Skips fully transparent texels of textured bands.
+            material.needsUpdate = true;
+        });
+        this._updateRingShadowBands(planet);
+    }
+
+    /**
+     * @private
+     * @method _setSurfaceMap
+     * @description Adds a loaded extra map to a body (see `getSurfaceMapPaths`): night lights, a normal or specular map
+     * on its material, or its cloud layer.
+     * @param {object} planet - The body's `planets` entry.
+     * @param {string} key - The map's data property (`nightTexture`, `normalMap`, `specularMap` or `clouds`).
+     * @param {THREE.Texture} texture - The loaded map.
+     */
+    _setSurfaceMap(planet, key, texture) {
+        if (key === 'clouds') {
+            if (!planet.clouds) this._addCloudShell(planet, texture);
+            return;
+        }
+        const material = planet.mesh.material;
+        if (!material.isMeshStandardMaterial) return;
+        if (key === 'nightTexture') {
+            material.emissiveMap = texture;
+            material.emissive.set(0xFFFFFF);
+            material.emissiveIntensity = SCENE_CONSTANTS.NIGHT_LIGHTS_INTENSITY;
+        } else if (key === 'normalMap') {
+            material.normalMap = texture;
+        } else if (key === 'specularMap') {
+            material.roughnessMap = texture;
+        }
+        material.needsUpdate = true;
+    }
+
+    /**
+     * @private
+     * @method _updateFocusTextures
+     * @description Gives the followed body its `highResTexture` while the graphics quality allows it, and puts the
+     * previous one back on its standard texture, releasing the sharp one so at most one is held at a time. The
+     * sharp texture is queued ahead of everything else; if it cannot be loaded, the standard one stays.
+     */
+    _updateFocusTextures() {
+        const wanted = followedBody && followedBody.data.highResTexture && QUALITY_PRESETS[qualityLevel].highResTextures
+            ? followedBody : null;
+        if (focusTextureBody && focusTextureBody !== wanted) {
+            const previous = focusTextureBody;
+            focusTextureBody = null;
+            for (let i = textureStreamQueue.length - 1; i >= 0; i--) {
+                if (textureStreamQueue[i].path === previous.data.highResTexture) textureStreamQueue.splice(i, 1);
+            }
+            if (previous.highResTexture) {
+                this._setBodyTexture(previous, previous.data.loadedTexture || null);
+                previous.highResTexture.dispose();
+                previous.highResTexture = null;
+            }
+        }
+        if (!wanted || focusTextureBody === wanted) return;
+        focusTextureBody = wanted;
+        textureStreamQueue.push({
+            path: wanted.data.highResTexture, buildId: systemBuildId, body: wanted, priority: -1, description: `Sharp texture for ${wanted.name}`,
+            optional: true,
+            onLoad: (texture) => {
+                if (focusTextureBody !== wanted) {
+                    texture.dispose(); // The camera moved on while it was loading.
+                    return;
+                }
+                wanted.highResTexture = texture;
+                this._setBodyTexture(wanted, texture);
+            }
+        });
+        this._streamNextTextures();
+    }
+
+    /**
+     * @private
+     * @method _loadSystemFromUrl
+     * @description Fetches a system definition JSON file and shows it. Texture paths in the file are resolved relative
+     * to its URL. If nothing is shown yet (initial `?system=` load) and loading fails, the solar system is shown instead.
+     * @param {string} url - The URL of the system definition, absolute or relative to the page.
+     */
+    _loadSystemFromUrl(url) {
+        let absoluteUrl;
+        try {
+            absoluteUrl = new URL(url, window.location.href).href;
+        } catch (error) {
+            this._showMessageBox('System Load Error', `"${url}" is not a valid URL for a system definition.`, 'error');
+            if (planets.length === 0) this._createSystemBodies(CELESTIAL_BODIES_DATA);
+            return;
+        }
+
+        console.log(`System: Loading system definition from ${absoluteUrl}...`);
+        fetch(absoluteUrl)
+            .then(response => {
+                if (!response.ok) throw new Error(`the server responded with HTTP ${response.status}`);
+                return response.text();
+            })
+            .then(text => {
+                const applied = this._applySystemDefinition(text, absoluteUrl, absoluteUrl);
+                if (!applied && planets.length === 0) this._createSystemBodies(CELESTIAL_BODIES_DATA);
+            })
+            .catch(error => {
+                console.error(`System: Failed to load system definition from ${absoluteUrl}:`, error);
+                this._showMessageBox('System Load Error', `Failed to load the system definition from ${absoluteUrl}: ${error.message}. Showing the ${DEFAULT_SYSTEM_NAME.toLowerCase()} instead.`, 'error');
+                if (planets.length === 0) this._createSystemBodies(CELESTIAL_BODIES_DATA);
+            });
+    }
+
+    /**
+     * @private
+     * @method _loadSystemFromFile
+     * @description Reads a system definition from a local file (chosen with the file picker or dropped onto the page)
+     * and shows it. The current system stays in place if the file is invalid.
+     * @param {File} file - The JSON file to read.
+     */
+    _loadSystemFromFile(file) {
+        if (!file) return;
+        console.log(`System: Reading system definition from file ${file.name}...`);
+        file.text()
+            .then(text => this._applySystemDefinition(text, file.name))
+            .catch(error => {
+                console.error(`System: Failed to read ${file.name}:`, error);
+                this._showMessageBox('System Load Error', `Failed to read ${file.name}: ${error.message}.`, 'error');
+            });
+    }
+
+    /**
+     * @private
+     * @method _applySystemDefinition
+     * @description Parses and validates a system definition and, if it is valid, replaces the current system with it
+     * without reloading the page. Every problem found is reported through the message box.
+     * @param {string} jsonText - The raw JSON text of the definition.
+     * @param {string} sourceName - The file name or URL the definition came from, used in messages.
+     * @param {string|null} [baseUrl=null] - URL that relative texture paths are resolved against, if any.
+     * @returns {boolean} `true` if the new system is being built, `false` if the definition was rejected.
+     */
+    _applySystemDefinition(jsonText, sourceName, baseUrl = null) {
+        let definition;
+        try {
+            definition = JSON.parse(jsonText);
+        } catch (error) {
+            this._showMessageBox('Invalid System Definition', `${sourceName} is not valid JSON: ${error.message}.`, 'error');
+            return false;
+        }
+
+        const { name, bodies, errors } = validateSystemDefinition(definition);
+        if (errors.length > 0) {
+            console.error(`System: ${sourceName} failed validation:`, errors);
+            const shownErrors = errors.slice(0, MAX_REPORTED_SYSTEM_ERRORS).map(error => `• ${error}`);
+            if (errors.length > MAX_REPORTED_SYSTEM_ERRORS) shownErrors.push(`…and ${errors.length - MAX_REPORTED_SYSTEM_ERRORS} more.`);
+            this._showMessageBox('Invalid System Definition', `${sourceName} is not a valid system definition:\n${shownErrors.join('\n')}`, 'error');
+            return false;
+        }
+
+        if (baseUrl) resolveSystemAssetPaths(bodies, baseUrl);
+        this._clearSystem();
+        activeSystemName = name;
+        this._createSystemBodies(bodies);
+        this._updateActiveSystemDisplay();
+        this._resetCamera(); // Other systems can have a very different size, so start from the overview.
+        console.log(`System: Now showing ${name} (${bodies.length} top-level bodies) from ${sourceName}.`);
+        return true;
+    }
+
+    /**
+     * @private
+     * @method _restoreDefaultSystem
+     * @description Replaces the current system with the built-in solar system.
+     */
+    _restoreDefaultSystem() {
+        if (activeSystemBodies === CELESTIAL_BODIES_DATA) return;
+        this._clearSystem();
+        activeSystemName = DEFAULT_SYSTEM_NAME;
+        this._createSystemBodies(CELESTIAL_BODIES_DATA);
+        this._updateActiveSystemDisplay();
+        this._resetCamera();
+        console.log(`System: Restored the ${DEFAULT_SYSTEM_NAME.toLowerCase()}.`);
+    }
+
+    /**
+     * @private
+     * @method _clearSystem
+     * @description Tears down the current system: removes every body, orbit path and ring from the scene, frees their
+     * GPU resources and resets all state that refers to them (camera follow, info panel, hover label, sliders).
+     */
+    _clearSystem() {
+        this._stopFollowing();
+        this._hideBodyInfo();
+        isCameraFocusing = false;
+        intersectedObject = null;
+        pinnedLabelBody = null;
+        if (planetLabelElement) planetLabelElement.style.display = 'none';
+
+        // Dispose geometries, materials and textures so repeated loading does not leak GPU memory.
+        const disposeObject = (object) => object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                [].concat(child.material).forEach(material => {
+                    ['map', 'alphaMap', 'normalMap', 'roughnessMap', 'emissiveMap'].forEach(slot => {
+                        if (material[slot]) material[slot].dispose();
+                    });
+                    material.dispose();
+                });
+            }
+        });
+
+        // Satellites live inside their parent's orbit group, so removing the top-level bodies removes them too.
+        planets.filter(planet => !planet.parent).forEach(planet => {
+            scene.remove(planet.orbitGroup);
+            disposeObject(planet.orbitGroup);
+            if (planet.orbitPath) {
+                scene.remove(planet.orbitPath);
+                disposeObject(planet.orbitPath);
+            }
+        });
+        // Trails are scene children of their own, also for satellites.
+        planets.forEach(planet => {
+            if (!planet.trail) return;
+            scene.remove(planet.trail.line);
+            disposeObject(planet.trail.line);
+        });
+        planets.length = 0;
+        this._clearSmallBodyBelts();
+
+        if (sunMesh) {
+            scene.remove(sunMesh);
+            this._disposeSunEffects();
+            disposeObject(sunMesh);
+            sunMesh = null;
+            sunSpin = null;
+        }
+        if (planetSpeedControlsContainer) planetSpeedControlsContainer.textContent = '';
+        Object.keys(planetTrailToggles).forEach(name => delete planetTrailToggles[name]);
+        if (bodyLabelsContainer) bodyLabelsContainer.textContent = '';
+        console.log('System: Previous system removed from the scene.');
+    }
+
+    /**
+     * @private
+     * @method _updateActiveSystemDisplay
+     * @description Shows the name of the current system in the "Star System" section.
+     */
+    _updateActiveSystemDisplay() {
+        if (activeSystemNameDisplay) activeSystemNameDisplay.textContent = activeSystemName;
+        if (restoreSolarSystemButton) restoreSolarSystemButton.disabled = activeSystemBodies === CELESTIAL_BODIES_DATA;
+        // Eclipses are only searched for between the planet and moon named in SCENE_CONSTANTS.
+        const eclipsePlanetData = activeSystemBodies.find(bodyData => bodyData.name === SCENE_CONSTANTS.ECLIPSE_PLANET_NAME);
+        if (nextEclipseButton) {
+            nextEclipseButton.disabled = !eclipsePlanetData
+                || !(eclipsePlanetData.satellites || []).some(moonData => moonData.name === SCENE_CONSTANTS.ECLIPSE_MOON_NAME);
+        }
+        if (eclipseInfoDisplay) eclipseInfoDisplay.textContent = '';
+    }
+
+    /**
+     * @private
+     * @method _createBodyFromData
+     * @description Creates the 3D representation of a single entry of CELESTIAL_BODIES_DATA and adds it to the scene.
+     * The light source (the Sun) is placed directly at the origin; every other body gets an orbit group that is
+     * moved along its Keplerian orbit in the animation loop, and is registered in the `planets` array.
+     * Satellites listed in the body's `satellites` array are created recursively. Their orbit group and orbit path are
+     * attached to the parent's orbit group, so their orbits are centred on the parent's moving position. Comets and
+     * spacecraft are placed by their real distance from the Sun (see `_placeBody`); comets also get a tail.
+     * Bodies start out in their fallback colors; `_createSystemBodies` applies their textures as they load.
+     * @param {object} bodyData - The celestial body data entry.
+     * @param {object|null} [parent=null] - The `planets` entry this body orbits, or `null` for bodies orbiting the Sun.
+     */
+    _createBodyFromData(bodyData, parent = null) {
+        if (bodyData.isLightSource) {
+            // For the Sun, create its mesh and add it directly to the scene's origin.
+            sunMesh = this._createCelestialBody(bodyData.radius, null, bodyData.color, true);
+            sunMesh.name = bodyData.name;
+            sunSpin = this._createSpinState(bodyData);
+            sunMesh.quaternion.copy(sunSpin.axisOrientation);
+            scene.add(sunMesh);
+            this._createSunEffects(bodyData);
+            // Store a reference to the sun mesh on its data object.
+            bodyData.mesh = sunMesh;
+            console.log(`Body Created: ${bodyData.name} mesh added to scene.`);
+            return;
+        }
+
+        // For planets, create the planet mesh, its orbital group and its elliptical orbit path.
+        const planetObject = this._createPlanetOrbit(bodyData, null);
+        const elements = getOrbitalElements(bodyData);
+        // Store relevant planet data (mesh, orbit group, elements, speeds, current mean anomaly) in the 'planets' array.
+        const planet = {
+            name: bodyData.name,
+            data: bodyData,              // Back-reference to the source data entry.
+            mesh: planetObject.mesh,
+            orbitGroup: planetObject.orbitGroup,
+            orbitPath: planetObject.orbitPath,
+            type: getBodyType(bodyData, parent !== null), // A key of BODY_TYPES.
+            elements: elements,          // Orbital elements in radians.
+            semiMajorAxis: bodyData.distance || 0, // Semi-major axis in scene units (unused if placed by real distance).
+            // Mean motion in radians per simulated day; spacecraft have no orbit and follow their trajectory instead.
+            meanMotion: bodyData.orbitalPeriod > 0 ? (Math.PI * 2) / bodyData.orbitalPeriod : 0,
+            spin: this._createSpinState(bodyData), // Axis tilt and rotation; not affected by the orbital speed factor.
+            orbitalSpeedFactor: 1.0,     // Initialize individual speed factor to 1.0.
+            meanAnomaly: 0,              // Current mean anomaly, set from the simulation date below and advanced every frame.
+            parent: parent,              // The body this one orbits (`null` for the Sun).
+            isSatellite: parent !== null, // True for moons, whose positions are relative to their parent.
+            trail: null,                 // Orbit trail of recent world positions (see `_createOrbitTrail`).
+            ringSystem: null,            // The ring bands of ringed bodies (see `_createRingSystem`), for the rings layer.
+            heliocentricPosition: null,  // Real position in AU of bodies placed by their real distance (see `_placeBody`).
+            pathPointsAU: null,          // Their path guide in AU, mapped onto the scene by `_updateRealDistancePath`.
+            trajectory: null,            // Trajectory samples of spacecraft (see `getTrajectorySamples`).
+            tail: null,                  // The tail of comets (see `_createCometTail`).
+            clouds: null,                // The cloud shell of bodies with a cloud layer (see `_addCloudShell`).
+            precessing: isOrbitPrecessing(bodyData), // Whether the orbit turns over time, so its path must follow.
+            pathElements: null,          // The elements its path was last drawn with (see `_updatePrecessingOrbitPath`).
+            shadowUniforms: this._createShadowUniforms(), // Eclipse shadows on the body (see `_updateShadows`).
+            ringShadowUniforms: null,    // Shadows on its rings, and the bands that cast ring shadows, with the
+            ringShadowBands: [],         // texture of the textured one (see `_updateRingShadowBands`).
+            ringShadowMap: null,
+            labelElement: null,          // Always-on name label (see `_buildBodyLabels`).
+            showTrail: true              // Per-body trail toggle; trails are only drawn while the trails layer is shown.
+        };
+        planets.push(planet);
+        planet.mesh.quaternion.copy(planet.spin.axisOrientation);
+        if (planet.mesh.material.isMeshStandardMaterial) this._addBodyShading(planet.mesh.material, planet.shadowUniforms);
+        if (BODY_TYPES[planet.type].placedByRealDistance) {
+            planet.heliocentricPosition = new THREE.Vector3();
+            if (planet.type === 'spacecraft') planet.trajectory = getTrajectorySamples(bodyData);
+            planet.orbitPath = this._createRealDistancePath(planet);
+            this._updateRealDistancePath(planet);
+        }
+        if (planet.type === 'comet') {
+            planet.tail = this._createCometTail(bodyData.color);
+            planet.orbitGroup.add(planet.tail);
+        }
+        // Place the planet where the ephemeris puts it on the current simulation date.
+        planet.meanAnomaly = meanAnomalyAtJulianDate(elements, planet.meanMotion, simulationJulianDate);
+        this._placeBody(planet);
+
+        // Planets are added to the scene; satellites are added to their parent's orbit group, which carries them along.
+        // The orbit path goes next to the orbit group (not inside it) so it stays fixed relative to the central body.
+        const container = parent ? parent.orbitGroup : scene;
+        if (planet.orbitPath) container.add(planet.orbitPath);
+        container.add(planetObject.orbitGroup);
+        console.log(`Body Created: ${bodyData.name} with orbit group added to ${parent ? parent.name : 'scene'}.`);
+
+        // The trail records world positions, so it lives directly in the scene even for satellites.
+        planet.trail = this._createOrbitTrail(bodyData.color, trailLength);
+        scene.add(planet.trail.line);
+
+        // Create the rings of ringed bodies (like Saturn) if specified in their data.
+        const ringBands = getRingBands(bodyData);
+        if (ringBands.length > 0) {
+            planet.ringSystem = this._createRingSystem(bodyData, ringBands, planet.spin.axisOrientation);
+            if (planet.ringSystem) {
+                planet.orbitGroup.add(planet.ringSystem);
+                this._setUpRingShadows(planet);
+            }
+        }
+        this._applyBodyVisibility(planet);
+
+        // Create the body's satellites, each orbiting this body's moving position.
+        (bodyData.satellites || []).forEach(satelliteData => {
+            try {
+                this._createBodyFromData(satelliteData, planet);
+            } catch (satelliteCreationError) {
+                console.error(`Error creating satellite ${satelliteData.name} of ${bodyData.name}:`, satelliteCreationError);
+                this._showMessageBox('Mesh Creation Error', `Failed to create 3D model for ${satelliteData.name}: ${satelliteCreationError.message}.`, 'error');
+            }
+        });
+    }
+
+    /**
+     * @private
+     * @method _createCelestialBody
+     * @description Creates a 3D sphere mesh for a celestial body (either the Sun or a planet).
+     * It handles applying textures or fallback colors and sets up appropriate material properties
+     * based on whether the body is a light source or reflects light.
+     * @param {number} radius - The radius of the sphere geometry for the celestial body.
+     * @param {THREE.Texture|null} texture - The Three.js Texture object to apply to the surface, or `null` if loading failed.
+     * @param {number} fallbackColor - A hexadecimal color value to use if the texture is not available or fails to load.
+     * @param {boolean} isLightSource - A boolean flag: `true` if the body emits light (like the Sun), `false` otherwise.
+     * @param {object} [maps={}] - The body's loaded extra maps (`nightTexture`, `normalMap`, `specularMap`; see
+     * `getSurfaceMapPaths`). Missing or failed ones are left out. Not used for the light source.
+     * @returns {THREE.Mesh} The created Three.js Mesh object representing the celestial body.
+     */
+    _createCelestialBody(radius, texture, fallbackColor, isLightSource = false, maps = {}) {
+        try {
+            // Create a SphereGeometry. The segment count comes from the graphics quality (64x64 on High).
+            const segments = QUALITY_PRESETS[qualityLevel].sphereSegments;
+            const geometry = new THREE.SphereGeometry(radius, segments, segments);
+            console.log(`_createCelestialBody: SphereGeometry created with radius ${radius}.`);
+
+            let material;
+            if (isLightSource) {
+                // The Sun emits its own light, so its material is not affected by other lights in the scene. The surface
+                // shader adds churning granulation and limb darkening to the texture or color.
+                material = this._createSunSurfaceMaterial(texture, fallbackColor);
+            }
+            if (isLightSource && !material) {
+                // Without shader support, use MeshBasicMaterial.
+                // This material is not affected by other lights in the scene and can be made to glow.
+                material = new THREE.MeshBasicMaterial({
+                    map: texture || null, // Apply the loaded texture if available, otherwise no map.
+                    // If a texture is present, use white color so the texture's colors are fully visible.
+                    // If no texture, use the provided fallback color directly.
+                    color: texture ? 0xFFFFFF : fallbackColor,
+                    // The emissive property makes the material glow, simulating the Sun's light emission.
+                    emissive: texture ? 0xFFFFFF : fallbackColor, // Emissive color matches the body's color/texture.
+                    emissiveIntensity: 1 // Full intensity for the glow effect.
+                });
+                console.log('_createCelestialBody: MeshBasicMaterial (light source) created.');
+            } else if (!isLightSource) {
+                // For planets (which reflect light from the Sun), use MeshStandardMaterial.
+                // This material reacts realistically to lights in the scene and supports physically based rendering (PBR).
+                material = new THREE.MeshStandardMaterial({
+                    map: texture || null, // Apply the loaded texture if available.
+                    color: texture ? 0xFFFFFF : fallbackColor, // White for texture, fallback color otherwise.
+                    roughness: 0.8, // Defines how rough the surface is (0 = perfectly smooth, 1 = perfectly rough).
+                    metalness: 0.1,  // Defines how metallic the surface is (0 = dielectric/non-metal, 1 = metallic).
+                    normalMap: maps.normalMap || null,
+                    // The specular map goes into the roughness slot; `_addBodyShading` makes its bright areas glossy.
+                    roughnessMap: maps.specularMap || null,
+                    // Night lights are emissive; `_addBodyShading` limits them to the night side.
+                    emissive: maps.nightTexture ? 0xFFFFFF : 0x000000,
+                    emissiveMap: maps.nightTexture || null,
+                    emissiveIntensity: maps.nightTexture ? SCENE_CONSTANTS.NIGHT_LIGHTS_INTENSITY : 1
+                });
+                console.log('_createCelestialBody: MeshStandardMaterial (planet) created.');
+            }
+
+            // Create the Mesh by combining the defined geometry and material.
+            const mesh = new THREE.Mesh(geometry, material);
+            // Assign a custom property to identify this as a planet mesh for raycasting (hover/click).
+            mesh.isPlanet = !isLightSource; // True if it's a planet, false if it's the Sun.
+            // Assign a unique name to the mesh for easier identification during debugging and interaction.
+            mesh.name = isLightSource ? 'Sun' : `Planet_${activeSystemBodies.find(d => d.radius === radius && d.isLightSource === isLightSource)?.name || 'Unknown'}`;
+            console.log(`_createCelestialBody: Mesh created for ${mesh.name} with radius ${radius}.`);
+            return mesh;
+        } catch (error) {
+            console.error(`_createCelestialBody: Error creating celestial body with radius ${radius}:`, error);
+            this._showMessageBox('3D Model Error', `Failed to create 3D model for a celestial body: ${error.message}. A placeholder will be used.`, 'error');
+            // Return a basic fallback mesh to prevent application crash.
+            return new THREE.Mesh(new THREE.SphereGeometry(radius, 32, 32), new THREE.MeshBasicMaterial({ color: fallbackColor }));
+        }
+    }
+
+    /**
+     * @private
+     * @method _addBodyShading
+     * @description Adapts a standard material's shader to the extra maps of a body and to eclipse shadows. The emissive
+     * map (night lights) is faded out across the terminator, so it only shows where the light source does not shine; the
+     * roughness map is read as a specular map, whose white areas get SPECULAR_MAP_ROUGHNESS; and the light source's
+     * light is dimmed by `eclipseShadow` (see ECLIPSE_SHADOW_GLSL). The patch is the same for every material, so
+     * Three.js can share the compiled programs; the map defines decide which parts apply, and each material keeps
+     * its own shadow uniforms.
+     * @param {THREE.MeshStandardMaterial} material - The body's (or cloud shell's) material.
+     * @param {object} shadowUniforms - The body's shadow uniforms (see `_createShadowUniforms`).
+     */
+    _addBodyShading(material, shadowUniforms) {
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, shadowUniforms);
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>\n${ECLIPSE_SHADOW_GLSL}`)
+                .replace('#include <lights_fragment_begin>', THREE.ShaderChunk.lights_fragment_begin.replace(
+                    'getPointDirectLightIrradiance( pointLight, geometry, directLight );',
+                    '$&\n\t\tdirectLight.color *= eclipseShadow( geometry.position );'
+                ))
+                .replace('#include <emissivemap_fragment>', `
+                    #include <emissivemap_fragment>
+                    #if defined( USE_EMISSIVEMAP ) && NUM_POINT_LIGHTS > 0
+                        // Positive towards the light source (at the first point light), negative on the night side.
+                        float sunFacing = dot( normalize( vNormal ), normalize( pointLights[ 0 ].position + vViewPosition ) );
+                        totalEmissiveRadiance *= 1.0 - smoothstep( -${SCENE_CONSTANTS.NIGHT_LIGHTS_TWILIGHT.toFixed(3)}, ${SCENE_CONSTANTS.NIGHT_LIGHTS_TWILIGHT.toFixed(3)}, sunFacing );
+                    #endif
+                `)
+                .replace('#include <roughnessmap_fragment>', `
+                    float roughnessFactor = roughness;
+                    #ifdef USE_ROUGHNESSMAP
+                        roughnessFactor = mix( roughness, ${SCENE_CONSTANTS.SPECULAR_MAP_ROUGHNESS.toFixed(3)}, texture2D( roughnessMap, vUv ).g );
+                    #endif
+                `);
+        };
+    }
+
+    /**
+     * @private
+     * @method _addRingShading
+     * @description Lets a ring band's basic material darken where the body (or one of its moons) blocks the light
+     * source, using the same `eclipseShadow` as the bodies. Rings are not lit otherwise, so the shadowed part keeps
+     * RING_SHADOW_BRIGHTNESS of its color rather than going black.
+     * @param {THREE.MeshBasicMaterial} material - The ring band's material.
+     * @param {object} shadowUniforms - The ring system's shadow uniforms (see `_createShadowUniforms`).
+     */
+    _addRingShading(material, shadowUniforms) {
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, shadowUniforms);
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', '#include <common>\nvarying vec3 vShadowViewPosition;')
+                .replace('#include <project_vertex>', '#include <project_vertex>\nvShadowViewPosition = mvPosition.xyz;');
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>\nvarying vec3 vShadowViewPosition;\n${ECLIPSE_SHADOW_GLSL}`)
+                .replace('#include <tonemapping_fragment>', `
+                    gl_FragColor.rgb *= mix( ${SCENE_CONSTANTS.RING_SHADOW_BRIGHTNESS.toFixed(3)}, 1.0, eclipseShadow( vShadowViewPosition ) );
+                    #include <tonemapping_fragment>
+                `);
+        };
+    }
+
+    /**
+     * @private
+     * @method _createShadowUniforms
+     * @description Creates the uniforms of ECLIPSE_SHADOW_GLSL for one body or ring system, with no casters and no
+     * ring. `_updateShadows` fills them in before every render.
+     * @returns {object} The uniforms, keyed by name.
+     */
+    _createShadowUniforms() {
+        return {
+            shadowsEnabled: { value: false },
+            shadowLightPosition: { value: new THREE.Vector3() },
+            shadowLightRadius: { value: 1 },
+            shadowCasters: { value: Array.from({ length: MAX_SHADOW_CASTERS }, () => new THREE.Vector4()) },
+            shadowCasterCount: { value: 0 },
+            shadowRingCenter: { value: new THREE.Vector3() },
+            shadowRingNormal: { value: new THREE.Vector3(0, 1, 0) },
+            shadowRingBands: { value: Array.from({ length: MAX_SHADOW_RING_BANDS }, () => new THREE.Vector4()) },
+            shadowRingBandCount: { value: 0 },
+            shadowRingMap: { value: null }
+        };
+    }
+
+    /**
+     * @private
+     * @method _setUpRingShadows
+     * @description Prepares the ring shadows of a ringed body: the bands that cast shadows on the body and its moons,
+     * and the uniforms that darken the rings where the body or its moons block the light source. Only bands in the
+     * equatorial plane cast shadows (see `_updateRingShadowBands`).
+     * @param {object} planet - The body's entry in `planets`, with its ring system.
+     */
+    _setUpRingShadows(planet) {
+        planet.ringShadowUniforms = this._createShadowUniforms();
+        planet.ringSystem.children.forEach(ringMesh => this._addRingShading(ringMesh.material, planet.ringShadowUniforms));
+        this._updateRingShadowBands(planet);
+    }
+
+    /**
+     * @private
+     * @method _updateRingShadowBands
+     * @description Collects the ring bands of a body that cast shadows: those in the equatorial plane, up to
+     * MAX_SHADOW_RING_BANDS of them. Only the first textured one is shaded by its texture; the others use their
+     * opacity. Called again whenever a ring texture arrives.
+     * @param {object} planet - The body's entry in `planets`, with its ring system.
+     */
+    _updateRingShadowBands(planet) {
+        planet.ringShadowBands = [];
+        let ringMap = null;
+        getRingBands(planet.data).forEach((band, index) => {
+            const material = planet.ringSystem.children[index].material;
+            if (band.tilt || planet.ringShadowBands.length >= MAX_SHADOW_RING_BANDS) return;
+            const textured = Boolean(material.map) && !ringMap;
+            if (textured) ringMap = material.map;
+            planet.ringShadowBands.push({
+                innerRadius: planet.data.radius * band.innerRadiusFactor,
+                outerRadius: planet.data.radius * band.outerRadiusFactor,
+                opacity: material.opacity,
+                textured: textured
+            });
+        });
+        planet.ringShadowMap = ringMap;
+    }
+
+    /**
+     * @private
+     * @method _addCloudShell
+     * @description Gives a body with a cloud layer its shell just above the surface, which turns with a period of its
+     * own, once the cloud texture is in.
+     * @param {object} planet - The body's entry in `planets`.
+     * @param {THREE.Texture} texture - The loaded cloud texture.
+     */
+    _addCloudShell(planet, texture) {
+        planet.clouds = this._createCloudShell(planet.data, texture);
+        planet.orbitGroup.add(planet.clouds.mesh);
+        this._addBodyShading(planet.clouds.mesh.material, planet.shadowUniforms);
+        planet.clouds.mesh.scale.copy(planet.mesh.scale); // Follows the scale blend (see `_applyScaleBlend`).
+        this._applyBodyVisibility(planet);
+    }
+
+    /**
+     * @private
+     * @method _createCloudShell
+     * @description Creates the cloud layer of a body: a translucent sphere slightly larger than the body, lit like it,
+     * whose texture also serves as its transparency so the gaps between the clouds stay clear. It spins on the body's
+     * axis with the layer's own `rotationPeriod` (the body's if none is given) and is scaled with the body.
+     * @param {object} bodyData - The body's data entry, with a `clouds` entry.
+     * @param {THREE.Texture} texture - The loaded cloud texture.
+     * @returns {{mesh: THREE.Mesh, spin: object}} The shell and its spin state (see `_createSpinState`).
+     */
+    _createCloudShell(bodyData, texture) {
+        const radius = bodyData.radius * (1 + SCENE_CONSTANTS.CLOUD_SHELL_HEIGHT);
+        const material = new THREE.MeshStandardMaterial({
+            map: texture,
+            alphaMap: texture,
+            transparent: true,
+            opacity: bodyData.clouds.opacity !== undefined ? bodyData.clouds.opacity : SCENE_CONSTANTS.CLOUD_DEFAULT_OPACITY,
+            depthWrite: false, // The surface below must still be drawn through the gaps.
+            roughness: 1,
+            metalness: 0
+        });
+        const segments = QUALITY_PRESETS[qualityLevel].sphereSegments;
+        const mesh = new THREE.Mesh(new THREE.SphereGeometry(radius, segments, segments), material);
+        mesh.name = `Clouds_${bodyData.name}`;
+        const spin = this._createSpinState({ ...bodyData, rotationPeriod: bodyData.clouds.rotationPeriod || bodyData.rotationPeriod });
+        mesh.quaternion.copy(spin.axisOrientation);
+        return { mesh, spin };
+    }
+
+    /**
+     * @private
+     * @method _createSunSurfaceMaterial
+     * @description Creates the animated surface material of the light source: its texture (or color) overlaid with
+     * granulation, two layers of 3D noise drifting against each other, and dimmed and reddened towards the limb, where
+     * the line of sight only reaches the cooler upper photosphere. The noise is evaluated on the unit sphere in the
+     * mesh's own frame, so it turns with the star. `_updateSunEffects` advances its time.
+     * @param {THREE.Texture|null} texture - The surface texture, or `null` to use the color.
+     * @param {number} color - Hexadecimal color of the surface without a texture.
+     * @returns {THREE.ShaderMaterial|null} The material, or `null` if the GPU lacks the float precision the noise needs
+     * or the material could not be created; the caller then uses a plain material.
+     */
+    _createSunSurfaceMaterial(texture, color) {
+        if (!renderer || renderer.capabilities.precision === 'lowp') {
+            console.warn('Sun: Shaders only have low float precision here; using the plain surface.');
+            return null;
+        }
+        try {
+            return new THREE.ShaderMaterial({
+                uniforms: {
+                    surfaceMap: { value: texture || null },
+                    hasSurfaceMap: { value: texture !== null && texture !== undefined },
+                    surfaceColor: { value: new THREE.Color(color) },
+                    time: { value: 0 },
+                    granulationScale: { value: SCENE_CONSTANTS.SUN_GRANULATION_SCALE },
+                    granulationContrast: { value: SCENE_CONSTANTS.SUN_GRANULATION_CONTRAST },
+                    limbDarkening: { value: SCENE_CONSTANTS.SUN_LIMB_DARKENING }
+                },
+                vertexShader: `
+                    varying vec2 vUv;
+                    varying vec3 vSurfacePosition;
+                    varying vec3 vViewNormal;
+                    varying vec3 vViewDirection;
+                    void main() {
+                        vec4 viewPosition = modelViewMatrix * vec4(position, 1.0);
+                        vUv = uv;
+                        vSurfacePosition = normalize(position);
+                        vViewNormal = normalize(normalMatrix * normal);
+                        vViewDirection = -viewPosition.xyz;
+                        gl_Position = projectionMatrix * viewPosition;
+                    }
+                `,
+                fragmentShader: `
+                    uniform sampler2D surfaceMap;
+                    uniform bool hasSurfaceMap;
+                    uniform vec3 surfaceColor;
+                    uniform float time;
+                    uniform float granulationScale;
+                    uniform float granulationContrast;
+                    uniform float limbDarkening;
+                    varying vec2 vUv;
+                    varying vec3 vSurfacePosition;
+                    varying vec3 vViewNormal;
+                    varying vec3 vViewDirection;
+
+                    float hash(vec3 p) {
+                        p = fract(p * 0.3183099 + 0.1);
+                        p *= 17.0;
+                        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+                    }
+
+                    // Value noise in [0, 1], smoothly interpolated between random values at the integer lattice.
+                    float noise(vec3 p) {
+                        vec3 i = floor(p);
+                        vec3 f = fract(p);
+                        f = f * f * (3.0 - 2.0 * f);
+                        return mix(
+                            mix(mix(hash(i), hash(i + vec3(1.0, 0.0, 0.0)), f.x),
+                                mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+                            mix(mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x),
+                                mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),
+                            f.z);
+                    }
+
+                    void main() {
+                        vec3 base = hasSurfaceMap ? texture2D(surfaceMap, vUv).rgb : surfaceColor;
+                        vec3 p = vSurfacePosition * granulationScale;
+                        float cells = 0.6 * noise(p + vec3(time)) + 0.4 * noise(p * 2.03 - vec3(time * 1.7));
+                        float granulation = 1.0 + granulationContrast * (cells - 0.5) * 2.0;
+                        // Cosine of the angle between the line of sight and the surface normal: 1 at the centre of
+                        // the disk, 0 at its edge.
+                        float mu = clamp(dot(normalize(vViewNormal), normalize(vViewDirection)), 0.0, 1.0);
+                        float limb = 1.0 - limbDarkening * (1.0 - mu);
+                        vec3 limbTint = mix(vec3(1.0, 0.7, 0.45), vec3(1.0), mu);
+                        gl_FragColor = vec4(base * granulation * limb * limbTint, 1.0);
+                    }
+                `
+            });
+        } catch (error) {
+            console.warn('Sun: Could not create the surface shader; using the plain surface.', error);
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     * @method _createSunEffects
+     * @description Adds the corona glow and the lens flare to the light source mesh and records them, together with
+     * the surface shader's uniforms, in `sunEffects`. Each effect is optional: whatever the browser cannot provide is
+     * left out and the star keeps the plain look for it.
+     * @param {object} bodyData - The light source's data entry.
+     */
+    _createSunEffects(bodyData) {
+        sunEffects = {
+            surfaceUniforms: sunMesh.material.isShaderMaterial ? sunMesh.material.uniforms : null,
+            corona: this._createSunCorona(bodyData.color),
+            lensFlare: this._createLensFlare(bodyData.color)
+        };
+        if (sunEffects.corona) sunMesh.add(sunEffects.corona);
+        if (sunEffects.lensFlare) {
+            sunEffects.lensFlare.visible = layerVisibility.lensFlare && QUALITY_PRESETS[qualityLevel].lensFlare;
+            sunMesh.add(sunEffects.lensFlare);
+        }
+        this._updateQualityLayerToggles();
+        this._updateSunEffects(0);
+    }
+
+    /**
+     * @private
+     * @method _disposeSunEffects
+     * @description Frees what `disposeObject` does not reach when the light source is removed: the lens flare's own
+     * materials and textures, and the surface shader's texture.
+     */
+    _disposeSunEffects() {
+        if (!sunEffects) return;
+        if (sunEffects.lensFlare) sunEffects.lensFlare.dispose();
+        if (sunEffects.surfaceUniforms && sunEffects.surfaceUniforms.surfaceMap.value) sunEffects.surfaceUniforms.surfaceMap.value.dispose();
+        sunEffects = null;
+    }
+
+    /**
+     * @private
+     * @method _createRadialGlowTexture
+     * @description Draws a white, radially fading disk into a canvas, for the corona and lens flare sprites.
+     * @param {Array<Array<number>>} alphaStops - `[offset, alpha]` pairs from the centre (0) to the edge (1).
+     * @returns {THREE.CanvasTexture|null} The texture, or `null` if 2D canvases are not available.
+     */
+    _createRadialGlowTexture(alphaStops) {
+        const size = 256;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const context = canvas.getContext('2d');
+        if (!context) return null;
+        const gradient = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+        alphaStops.forEach(([offset, alpha]) => gradient.addColorStop(offset, `rgba(255, 255, 255, ${alpha})`));
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, size, size);
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    /**
+     * @private
+     * @method _createSunCorona
+     * @description Creates the corona: an additive, camera-facing glow around the light source, tinted towards its
+     * color. `_updateSunEffects` sizes it.
+     * @param {number} color - Hexadecimal color of the light source.
+     * @returns {THREE.Sprite|null} The corona, or `null` if its texture could not be drawn.
+     */
+    _createSunCorona(color) {
+        // The disk's edge lies at 2 / SUN_CORONA_SIZE of the texture's radius; the glow falls off steeply beyond it.
+        const edge = 2 / SCENE_CONSTANTS.SUN_CORONA_SIZE;
+        const texture = this._createRadialGlowTexture([[0, 1], [edge, 0.9], [edge + (1 - edge) * 0.15, 0.4], [edge + (1 - edge) * 0.45, 0.1], [1, 0]]);
+        if (!texture) {
+            console.warn('Sun: Could not draw the corona texture; the corona is left out.');
+            return null;
+        }
+        const corona = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: texture,
+            color: new THREE.Color(color).lerp(new THREE.Color(0xFFFFFF), 0.5),
+            opacity: SCENE_CONSTANTS.SUN_CORONA_OPACITY,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }));
+        corona.name = 'SunCorona';
+        return corona;
+    }
+
+    /**
+     * @private
+     * @method _createLensFlare
+     * @description Creates the lens flare of the light source with the optional Lensflare add-on of Three.js: a glare
+     * at the star and a row of ghosts mirrored through the centre of the view. The add-on hides the flare while the
+     * star is off screen or covered by a body.
+     * @param {number} color - Hexadecimal color of the light source.
+     * @returns {THREE.Lensflare|null} The lens flare, or `null` if the add-on is not loaded or its textures could not
+     * be drawn.
+     */
+    _createLensFlare(color) {
+        if (typeof THREE.Lensflare !== 'function' || typeof THREE.LensflareElement !== 'function') {
+            console.warn('Sun: The Lensflare add-on is not loaded; the lens flare is left out.');
+            return null;
+        }
+        const glare = this._createRadialGlowTexture([[0, 1], [0.15, 0.5], [0.4, 0.1], [1, 0]]);
+        const ghost = this._createRadialGlowTexture([[0, 0.1], [0.7, 0.2], [0.9, 0.35], [1, 0]]); // A disk with a brighter rim.
+        if (!glare || !ghost) {
+            console.warn('Sun: Could not draw the lens flare textures; the lens flare is left out.');
+            return null;
+        }
+        const flareColor = new THREE.Color(color).lerp(new THREE.Color(0xFFFFFF), 0.5);
+        const size = SCENE_CONSTANTS.LENS_FLARE_SIZE_PX;
+        const lensFlare = new THREE.Lensflare();
+        lensFlare.addElement(new THREE.LensflareElement(glare, size, 0, flareColor));
+        // [distance along the line through the centre of the view (1 = mirrored position), size relative to the glare]
+        [[0.3, 0.25], [0.55, 0.15], [0.8, 0.35], [1.1, 0.2]].forEach(([distance, relativeSize]) => {
+            lensFlare.addElement(new THREE.LensflareElement(ghost, size * relativeSize, distance, flareColor));
+        });
+        lensFlare.name = 'SunLensFlare';
+        return lensFlare;
+    }
+
+    /**
+     * @private
+     * @method _updateSunEffects
+     * @description Advances the surface granulation and keeps the corona and lens flare in step with the camera.
+     * The corona grows with the camera distance beyond its natural size, so a far or true-scale star still shows a
+     * glow. The lens flare tests whether it is hidden by drawing at its own position, so it is kept just above the
+     * side of the star facing the camera, where the star itself does not cover it.
+     * @param {number} deltaTime - Real seconds since the last frame.
+     */
+    _updateSunEffects(deltaTime) {
+        if (!sunEffects || !sunMesh) return;
+        if (sunEffects.surfaceUniforms) sunEffects.surfaceUniforms.time.value += deltaTime * SCENE_CONSTANTS.SUN_GRANULATION_SPEED;
+
+        const sunPosition = sunMesh.getWorldPosition(new THREE.Vector3());
+        const sunRadius = sunMesh.geometry.parameters.radius * sunMesh.scale.x;
+        const cameraOffset = camera.position.clone().sub(sunPosition);
+        if (sunEffects.corona) {
+            const diameter = Math.max(sunRadius * SCENE_CONSTANTS.SUN_CORONA_SIZE, cameraOffset.length() * SCENE_CONSTANTS.SUN_CORONA_MIN_VIEW_FRACTION);
+            sunEffects.corona.scale.setScalar(diameter / sunMesh.scale.x); // The corona is scaled with the mesh it belongs to.
+        }
+        if (sunEffects.lensFlare && sunEffects.lensFlare.visible) {
+            sunEffects.lensFlare.position.copy(sunMesh.worldToLocal(cameraOffset.setLength(sunRadius * 1.05).add(sunPosition)));
+        }
+    }
+
+    /**
+     * @private
+     * @method _updateShadows
+     * @description Fills in the shadow uniforms of every body and ring system for the coming render (it runs as the
+     * scene's `onBeforeRender`). A body can be shadowed by its moons, and a moon by its planet and the planet's other
+     * moons; both can be shadowed by the rings of the planet. Rings are shadowed by their planet and its moons.
+     * Positions go in view space, and sizes include the current scale blend. Spacecraft and hidden bodies cast no
+     * shadow. Shadows are off while the layer is hidden or the graphics quality does not allow them.
+     */
+    _updateShadows() {
+        const enabled = Boolean(layerVisibility.shadows && QUALITY_PRESETS[qualityLevel].shadows && sunMesh && camera);
+        planets.forEach(planet => {
+            planet.shadowUniforms.shadowsEnabled.value = enabled;
+            if (planet.ringShadowUniforms) planet.ringShadowUniforms.shadowsEnabled.value = enabled;
+        });
+        if (!enabled) return;
+
+        const viewMatrix = camera.matrixWorldInverse;
+        const lightPosition = sunMesh.getWorldPosition(new THREE.Vector3()).applyMatrix4(viewMatrix);
+        const lightRadius = sunMesh.geometry.parameters.radius * sunMesh.scale.x;
+        const position = new THREE.Vector3();
+        const orientation = new THREE.Quaternion();
+        const setUniforms = (uniforms, casters, ringOwner) => {
+            uniforms.shadowLightPosition.value.copy(lightPosition);
+            uniforms.shadowLightRadius.value = lightRadius;
+            let count = 0;
+            casters.forEach(caster => {
+                if (count >= MAX_SHADOW_CASTERS || caster.type === 'spacecraft' || !this._isBodyShown(caster)) return;
+                caster.mesh.getWorldPosition(position).applyMatrix4(viewMatrix);
+                uniforms.shadowCasters.value[count++].set(position.x, position.y, position.z, caster.mesh.geometry.parameters.radius * caster.mesh.scale.x);
+            });
+            uniforms.shadowCasterCount.value = count;
+
+            const rings = ringOwner && ringOwner.ringSystem && ringOwner.ringSystem.visible ? ringOwner.ringSystem : null;
+            uniforms.shadowRingBandCount.value = rings ? ringOwner.ringShadowBands.length : 0;
+            if (!rings) return;
+            uniforms.shadowRingCenter.value.copy(rings.getWorldPosition(position).applyMatrix4(viewMatrix));
+            // The bands lie in the ring system's XZ plane (see `_createRingSystem`).
+            uniforms.shadowRingNormal.value.set(0, 1, 0).applyQuaternion(rings.getWorldQuaternion(orientation)).transformDirection(viewMatrix);
+            ringOwner.ringShadowBands.forEach((band, index) => {
+                uniforms.shadowRingBands.value[index].set(band.innerRadius * rings.scale.x, band.outerRadius * rings.scale.x, band.opacity, band.textured ? 1 : 0);
+            });
+            uniforms.shadowRingMap.value = ringOwner.ringShadowMap;
+        };
+
+        planets.forEach(planet => {
+            const moons = planets.filter(other => other.parent === planet);
+            const neighbours = planet.parent ? [planet.parent, ...planets.filter(other => other.parent === planet.parent && other !== planet)] : [];
+            setUniforms(planet.shadowUniforms, [...neighbours, ...moons], planet.ringSystem ? planet : planet.parent);
+            if (planet.ringShadowUniforms) setUniforms(planet.ringShadowUniforms, [planet, ...moons], null);
+        });
+    }
+
+    /**
+     * @private
+     * @method _createSpacecraftMarker
+     * @description Creates the marker of a spacecraft: a small unlit diamond in the craft's color, so it stays
+     * visible on the night side and far from the Sun. It can be picked and focused like a body.
+     * @param {number} radius - The marker's radius in scene units.
+     * @param {number|string} color - The marker color.
+     * @returns {THREE.Mesh} The marker mesh.
+     */
+    _createSpacecraftMarker(radius, color) {
+        const mesh = new THREE.Mesh(new THREE.OctahedronGeometry(radius), new THREE.MeshBasicMaterial({ color: color }));
+        mesh.isPlanet = true; // Pickable like a planet (see `_pickBodyAt`).
+        return mesh;
+    }
+
+    /**
+     * @private
+     * @method _createSpinState
+     * @description Creates the spin state of a body: the orientation of its tilted axis and its rotation rate.
+     * The animation loop turns the body's mesh about that axis (see `_applySpin`).
+     * @param {object} bodyData - The celestial body data entry.
+     * @returns {{axisOrientation: THREE.Quaternion, rate: number, angle: number}} The spin state; `rate` is in
+     * radians per simulated day and `angle` is the current rotation about the axis.
+     */
+    _createSpinState(bodyData) {
+        return {
+            axisOrientation: computeSpinAxisOrientation(bodyData, new THREE.Quaternion()),
+            rate: getRotationRate(bodyData),
+            angle: 0
+        };
+    }
+
+    /**
+     * @private
+     * @method _applySpin
+     * @description Advances a body's rotation about its tilted axis and orients its mesh accordingly. Rings share
+     * the tilt but not the spin (see `_createRingSystem`).
+     * @param {THREE.Object3D} mesh - The body's mesh.
+     * @param {object} spin - The body's spin state, as created by `_createSpinState`.
+     * @param {number} deltaDays - The simulated days that passed since the last frame.
+     */
+    _applySpin(mesh, spin, deltaDays) {
+        spin.angle = (spin.angle + spin.rate * deltaDays * SCENE_CONSTANTS.SPIN_RATE_SCALE * spinSpeedFactor) % (Math.PI * 2);
+        spinRotation.setFromAxisAngle(SPIN_AXIS, spin.angle);
+        // Spin about the body's own (untilted) up axis first, then tilt that axis onto the pole.
+        mesh.quaternion.copy(spin.axisOrientation).multiply(spinRotation);
+    }
+
+    /**
+     * @private
+     * @method _placeBody
+     * @description Moves a body's orbit group to its current position. Most bodies sit on their orbit at the current
+     * mean anomaly, in scene units. Comets and spacecraft are placed by their real distance instead: their position is
+     * computed in AU (from the orbit, or interpolated from the trajectory at the simulation date) and then mapped onto
+     * the scene (see `_mapRealPosition`). A spacecraft is hidden before its launch. Precessing orbits (see
+     * `isOrbitPrecessing`) are turned to the simulation date first, together with their path.
+     * @param {object} planet - The `planets` entry.
+     */
+    _placeBody(planet) {
+        if (planet.precessing) {
+            planet.elements = getOrbitalElements(planet.data, simulationJulianDate);
+            this._updatePrecessingOrbitPath(planet);
+        }
+        if (!planet.heliocentricPosition) {
+            computeOrbitalPosition(planet.elements, planet.semiMajorAxis, planet.meanAnomaly, planet.orbitGroup.position);
+            return;
+        }
+        if (planet.trajectory) {
+            const launched = computeTrajectoryPosition(planet.trajectory, simulationJulianDate, planet.heliocentricPosition) !== null;
+            planet.orbitGroup.visible = launched;
+            if (!launched) return;
+        } else {
+            computeOrbitalPosition(planet.elements, planet.data.semiMajorAxis, planet.meanAnomaly, planet.heliocentricPosition);
+        }
+        this._mapRealPosition(planet.heliocentricPosition, this._getTrueScaleUnitsPerAU(), planet.orbitGroup.position);
+        if (planet.tail) this._updateCometTail(planet);
+    }
+
+    /**
+     * @private
+     * @method _createPlanetOrbit
+     * @description Creates a planet mesh and an orbital group (THREE.Object3D) for it.
+     * The planet mesh is added as a child to the orbital group. This group is then
+     * positioned along the planet's Keplerian orbit around its central body (the Sun, or the parent planet for moons)
+     * in the animation loop. An orbital path (a thin inclined ellipse matching the orbital elements) is also created
+     * for visual guidance.
+     * @param {object} bodyData - The celestial body data entry, including its radius, scene distance and orbital elements.
+     * @param {THREE.Texture|null} texture - The Three.js Texture object for the planet's surface.
+     * @returns {object} An object containing the planet's mesh, its orbital group and its orbit path.
+     */
+    _createPlanetOrbit(bodyData, texture) {
+        try {
+            // Create an Object3D. This acts as a container for the planet that is moved along the orbit,
+            // so the planet (as its child) can keep spinning on its own axis independently of its orbital motion.
+            const orbitGroup = new THREE.Object3D();
+            // Store the orbital period and distance on the group for reference.
+            orbitGroup.orbitalPeriod = bodyData.orbitalPeriod;
+            orbitGroup.distance = bodyData.distance;
+            // Assign a custom property to identify this as a planet's orbit group for specific logic (e.g., raycasting).
+            orbitGroup.isPlanetOrbitGroup = true;
+            console.log(`_createPlanetOrbit: OrbitGroup created for ${bodyData.name} at orbital distance ${bodyData.distance}.`);
+
+            // Create the planet's actual 3D sphere mesh using the helper function. Spacecraft get a marker instead.
+            const bodyType = getBodyType(bodyData, false);
+            const planetMesh = bodyType === 'spacecraft'
+                ? this._createSpacecraftMarker(bodyData.radius, bodyData.color)
+                : this._createCelestialBody(bodyData.radius, texture, bodyData.color, false, bodyData.loadedMaps || {}); // Not a light source.
+            // Assign a unique name to the planet mesh for identification (e.g., "Planet_Earth").
+            planetMesh.name = `Planet_${bodyData.name}`;
+            console.log(`_createPlanetOrbit: Planet mesh created for ${planetMesh.name}.`);
+
+            // Add the planet mesh as a child of the orbit group, at the group's origin.
+            // The group itself is placed on the orbit every frame.
+            orbitGroup.add(planetMesh);
+            console.log(`_createPlanetOrbit: Planet mesh ${planetMesh.name} added as child to its orbit group.`);
+
+            // Add an orbital path (a thin ellipse) for visual guidance of the planet's trajectory.
+            // The caller adds it next to (not inside) the orbit group, so it remains static relative to the central body.
+            // Bodies placed by their real distance get their path from `_createRealDistancePath` instead.
+            let orbitPath = null;
+            if (!BODY_TYPES[bodyType].placedByRealDistance) {
+                orbitPath = this._createOrbitPath(getOrbitalElements(bodyData), bodyData.distance);
+                console.log(`_createPlanetOrbit: Orbital path created for ${planetMesh.name} at distance ${bodyData.distance}.`);
+            }
+
+            return { mesh: planetMesh, orbitGroup: orbitGroup, orbitPath: orbitPath };
+        } catch (error) {
+            console.error(`_createPlanetOrbit: Error creating planet orbit for ${bodyData.name}:`, error);
+            this._showMessageBox('Planet Orbit Error', `Failed to create orbit for a planet: ${error.message}. A basic fallback will be used.`, 'error');
+            // Return a fallback structure to prevent application crash.
+            const fallbackOrbitGroup = new THREE.Object3D();
+            const fallbackMesh = this._createCelestialBody(bodyData.radius, null, bodyData.color, false);
+            fallbackOrbitGroup.add(fallbackMesh);
+            return { mesh: fallbackMesh, orbitGroup: fallbackOrbitGroup, orbitPath: null };
+        }
+    }
+
+    /**
+     * @private
+     * @method _createOrbitPath
+     * @description Builds a closed line tracing a Keplerian orbit. Points are sampled uniformly in eccentric anomaly,
+     * which places more of them near perihelion where the curvature of an eccentric ellipse is highest.
+     * @param {object} elements - Orbital elements in radians, as returned by `getOrbitalElements`.
+     * @param {number} semiMajorAxis - The semi-major axis in scene units.
+     * @returns {THREE.LineLoop} The orbit path line, positioned relative to the focus of the orbit.
+     */
+    _createOrbitPath(elements, semiMajorAxis) {
+        const orbitPathGeometry = new THREE.BufferGeometry();
+        orbitPathGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(SCENE_CONSTANTS.ORBIT_PATH_SEGMENTS * 3), 3));
+        const orbitPath = new THREE.LineLoop(orbitPathGeometry, this._createOrbitPathMaterial());
+        this._setOrbitPathPoints(orbitPath, elements, semiMajorAxis);
+        return orbitPath;
+    }
+
+    /**
+     * @private
+     * @method _setOrbitPathPoints
+     * @description Writes the points of an orbit path (see `_createOrbitPath`) for the given orbit, e.g. after the
+     * orbit has precessed.
+     * @param {THREE.LineLoop} orbitPath - The orbit path line.
+     * @param {object} elements - Orbital elements in radians, as returned by `getOrbitalElements`.
+     * @param {number} semiMajorAxis - The semi-major axis in scene units.
+     */
+    _setOrbitPathPoints(orbitPath, elements, semiMajorAxis) {
+        const positions = orbitPath.geometry.attributes.position;
+        const point = new THREE.Vector3();
+        for (let i = 0; i < positions.count; i++) {
+            const eccentricAnomaly = (i / positions.count) * Math.PI * 2;
+            eccentricAnomalyToPosition(elements, semiMajorAxis, eccentricAnomaly, point);
+            positions.setXYZ(i, point.x, point.y, point.z);
+        }
+        positions.needsUpdate = true;
+        orbitPath.geometry.computeBoundingSphere();
+    }
+
+    /**
+     * @private
+     * @method _updatePrecessingOrbitPath
+     * @description Redraws the path of a precessing orbit (see `isOrbitPrecessing`) once its node or perihelion has
+     * turned by more than ORBIT_PATH_REDRAW_ANGLE since it was last drawn. Hidden paths are left alone until they are
+     * shown again (see `_applyBodyVisibility`), so the orbits layer costs nothing while it is off.
+     * @param {object} planet - The `planets` entry, with its elements already set to the simulation date.
+     */
+    _updatePrecessingOrbitPath(planet) {
+        if (!planet.orbitPath || planet.heliocentricPosition || !planet.orbitPath.visible) return;
+        const drawn = planet.pathElements;
+        const threshold = SCENE_CONSTANTS.ORBIT_PATH_REDRAW_ANGLE;
+        if (drawn
+            && Math.abs(planet.elements.longitudeOfAscendingNode - drawn.longitudeOfAscendingNode) < threshold
+            && Math.abs(planet.elements.argumentOfPerihelion - drawn.argumentOfPerihelion) < threshold) return;
+        // The path is drawn at the scene distance and scaled to the current one (see `_applyScaleBlend`).
+        this._setOrbitPathPoints(planet.orbitPath, planet.elements, planet.data.distance);
+        planet.pathElements = planet.elements;
+    }
+
+    /**
+     * @private
+     * @method _createOrbitPathMaterial
+     * @description Creates the faint line material of orbit paths and spacecraft trajectories.
+     * @returns {THREE.LineBasicMaterial} A new material.
+     */
+    _createOrbitPathMaterial() {
+        return new THREE.LineBasicMaterial({
+            color: SCENE_CONSTANTS.ORBIT_PATH_COLOR, // Dark gray color for the path.
+            transparent: true,      // Enable transparency for the material.
+            opacity: SCENE_CONSTANTS.ORBIT_PATH_OPACITY, // Set desired opacity.
+            depthWrite: false       // Prevents the path from writing to the depth buffer, avoiding z-fighting issues.
+        });
+    }
+
+    /**
+     * @private
+     * @method _createRealDistancePath
+     * @description Builds the path guide of a body placed by its real distance (see `_placeBody`): the whole orbit of
+     * a comet, or the recorded trajectory of a spacecraft. The points are kept in AU and mapped onto the scene by
+     * `_updateRealDistancePath`, as that mapping is not a simple scale factor; until then they are in AU.
+     * @param {object} planet - The `planets` entry, with its `elements` or `trajectory` set. Receives `pathPointsAU`.
+     * @returns {THREE.Line} The path line (a closed loop for comets), positioned relative to the Sun.
+     */
+    _createRealDistancePath(planet) {
+        const points = [];
+        if (planet.trajectory) {
+            const samples = planet.trajectory;
+            const subdivisions = SCENE_CONSTANTS.TRAJECTORY_PATH_SUBDIVISIONS;
+            for (let i = 0; i < samples.length - 1; i++) {
+                for (let step = 0; step < subdivisions; step++) {
+                    const julianDate = THREE.MathUtils.lerp(samples[i].julianDate, samples[i + 1].julianDate, step / subdivisions);
+                    points.push(computeTrajectoryPosition(samples, julianDate, new THREE.Vector3()));
+                }
+            }
+            points.push(computeTrajectoryPosition(samples, samples[samples.length - 1].julianDate, new THREE.Vector3()));
+        } else {
+            for (let i = 0; i < SCENE_CONSTANTS.ORBIT_PATH_SEGMENTS; i++) {
+                const eccentricAnomaly = (i / SCENE_CONSTANTS.ORBIT_PATH_SEGMENTS) * Math.PI * 2;
+                points.push(eccentricAnomalyToPosition(planet.elements, planet.data.semiMajorAxis, eccentricAnomaly, new THREE.Vector3()));
+            }
+        }
+        planet.pathPointsAU = points;
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        return planet.trajectory ? new THREE.Line(geometry, this._createOrbitPathMaterial()) : new THREE.LineLoop(geometry, this._createOrbitPathMaterial());
+    }
+
+    /**
+     * @private
+     * @method _updateRealDistancePath
+     * @description Maps the path guide of a body placed by its real distance onto the scene for the current scale blend.
+     * @param {object} planet - The `planets` entry, with `pathPointsAU` and `orbitPath` set.
+     */
+    _updateRealDistancePath(planet) {
+        const positionAttribute = planet.orbitPath.geometry.attributes.position;
+        const unitsPerAU = this._getTrueScaleUnitsPerAU();
+        const mapped = new THREE.Vector3();
+        planet.pathPointsAU.forEach((pointAU, index) => {
+            this._mapRealPosition(pointAU, unitsPerAU, mapped);
+            positionAttribute.setXYZ(index, mapped.x, mapped.y, mapped.z);
+        });
+        positionAttribute.needsUpdate = true;
+        planet.orbitPath.geometry.computeBoundingSphere(); // Keeps frustum culling and raycasting correct.
+    }
+
+    /**
+     * @private
+     * @method _mapRealPosition
+     * @description Maps a heliocentric position in AU into the scene: the direction is kept and the distance from the
+     * Sun mapped like the planets' orbits (see `sceneDistanceForAU`), so a comet passes inside Mercury's orbit exactly
+     * when it really does.
+     * @param {THREE.Vector3} positionAU - The position in AU, on the scene axes.
+     * @param {number|null} unitsPerAU - The result of `_getTrueScaleUnitsPerAU`.
+     * @param {THREE.Vector3} target - The vector that receives the result (may be `positionAU` itself).
+     * @returns {THREE.Vector3} The `target` vector, set to the position in scene units.
+     */
+    _mapRealPosition(positionAU, unitsPerAU, target) {
+        const distanceAU = positionAU.length();
+        const distance = sceneDistanceForAU(activeSystemBodies, distanceAU, unitsPerAU, scaleBlend);
+        return target.copy(positionAU).multiplyScalar(distanceAU > 0 ? distance / distanceAU : 0);
+    }
+
+    /**
+     * @private
+     * @method _createCometTail
+     * @description Creates a comet's tail: an open cone from the nucleus outwards that fades towards its far end and
+     * is drawn additively, so it glows. `_updateCometTail` points it away from the Sun and sets its length.
+     * @param {number|string} color - The tail color (the comet's fallback color).
+     * @returns {THREE.Mesh} The tail, to be added to the comet's orbit group.
+     */
+    _createCometTail(color) {
+        // A unit cone with its tip at the origin, widening along +Y. Its `uv.y` is 1 at the tip and 0 at the far end.
+        const geometry = new THREE.ConeGeometry(1, 1, 24, 1, true);
+        geometry.rotateX(Math.PI);
+        geometry.translate(0, 0.5, 0);
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                color: { value: new THREE.Color(color) },
+                opacity: { value: SCENE_CONSTANTS.COMET_TAIL_OPACITY }
+            },
+            vertexShader: `
+                varying float vNearness;
+                void main() {
+                    vNearness = uv.y;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 color;
+                uniform float opacity;
+                varying float vNearness;
+                void main() {
+                    gl_FragColor = vec4(color, opacity * vNearness * vNearness);
+                }
+            `,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending,
+            side: THREE.DoubleSide
+        });
+        const tail = new THREE.Mesh(geometry, material);
+        tail.name = 'CometTail';
+        return tail;
+    }
+
+    /**
+     * @private
+     * @method _updateCometTail
+     * @description Points a comet's tail away from the Sun and sizes it for the comet's distance: the tail grows with
+     * the inverse square of the distance (the sunlight that makes the ice evaporate), up to COMET_TAIL_MAX_LENGTH_AU.
+     * Its length in AU is converted at the local scale of the comet's mapped position.
+     * @param {object} planet - The comet's `planets` entry, already placed by `_placeBody`.
+     */
+    _updateCometTail(planet) {
+        const distanceAU = planet.heliocentricPosition.length();
+        if (!(distanceAU > 0)) return;
+        const lengthAU = Math.min(SCENE_CONSTANTS.COMET_TAIL_MAX_LENGTH_AU, SCENE_CONSTANTS.COMET_TAIL_LENGTH_AU / (distanceAU * distanceAU));
+        const length = lengthAU * planet.orbitGroup.position.length() / distanceAU;
+        const nucleusRadius = planet.data.radius * planet.mesh.scale.x;
+        const width = length * SCENE_CONSTANTS.COMET_TAIL_WIDTH_FACTOR + nucleusRadius;
+        planet.tail.scale.set(width, length, width);
+        // The Sun is at the origin, so the anti-solar direction is the comet's own heliocentric direction.
+        planet.tail.quaternion.setFromUnitVectors(COMET_TAIL_AXIS, planet.heliocentricPosition.clone().divideScalar(distanceAU));
+    }
+
+    /**
+     * @private
+     * @method _createOrbitTrail
+     * @description Builds an empty orbit trail: a line through a body's most recent world positions that fades out
+     * towards its oldest end. The positions form a fixed-size ring buffer. Every sample is written twice, at
+     * `index` and `index + capacity`, so the samples from oldest to newest are always one contiguous range of the
+     * vertex buffer and can be drawn with a single draw range, without copying anything per frame.
+     * @param {number|string} color - The trail color (the body's fallback color).
+     * @param {number} capacity - The number of past positions the trail keeps.
+     * @returns {{line: THREE.Line, capacity: number, writeIndex: number, count: number}} The trail state.
+     */
+    _createOrbitTrail(color, capacity) {
+        const positions = new Float32Array(capacity * 2 * 3);
+        const sampleIndices = new Float32Array(capacity * 2);
+        for (let i = 0; i < sampleIndices.length; i++) sampleIndices[i] = i;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('sampleIndex', new THREE.BufferAttribute(sampleIndices, 1));
+        geometry.setDrawRange(0, 0);
+
+        // The fade is computed on the GPU from each vertex's position in the buffer relative to the oldest sample.
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                color: { value: new THREE.Color(color) },
+                opacity: { value: trailOpacity },
+                firstSample: { value: 0 },
+                sampleCount: { value: 0 }
+            },
+            vertexShader: `
+                attribute float sampleIndex;
+                uniform float firstSample;
+                uniform float sampleCount;
+                varying float vAge;
+                void main() {
+                    vAge = (sampleIndex - firstSample) / max(sampleCount - 1.0, 1.0); // 0 = oldest, 1 = newest.
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }`,
+            fragmentShader: `
+                uniform vec3 color;
+                uniform float opacity;
+                varying float vAge;
+                void main() {
+                    gl_FragColor = vec4(color, opacity * vAge);
+                }`,
+            transparent: true,
+            depthWrite: false
+        });
+
+        const line = new THREE.Line(geometry, material);
+        line.frustumCulled = false; // The bounding sphere would have to be recomputed for every new sample.
+        line.name = 'OrbitTrail';
+        return { line: line, capacity: capacity, writeIndex: 0, count: 0 };
+    }
+
+    /**
+     * @private
+     * @method _recordOrbitTrails
+     * @description Appends the current world position of every body with a visible trail to its ring buffer.
+     * Called once per frame after the bodies have moved. Nothing is recorded while trails are off or the simulation
+     * is paused, and a body that has not moved (e.g. at a speed of 0) does not push its history out.
+     */
+    _recordOrbitTrails() {
+        if (!layerVisibility.trails || isPaused) return;
+        try {
+            const worldPosition = new THREE.Vector3();
+            planets.forEach(planet => {
+                const trail = planet.trail;
+                if (!trail || !planet.showTrail || !this._isBodyShown(planet)) return;
+                planet.orbitGroup.updateWorldMatrix(true, false);
+                planet.orbitGroup.getWorldPosition(worldPosition);
+
+                const positionAttribute = trail.line.geometry.attributes.position;
+                const positions = positionAttribute.array;
+                if (trail.count > 0) {
+                    const newest = ((trail.writeIndex + trail.capacity - 1) % trail.capacity) * 3;
+                    const dx = worldPosition.x - positions[newest];
+                    const dy = worldPosition.y - positions[newest + 1];
+                    const dz = worldPosition.z - positions[newest + 2];
+                    // The minimum step shrinks with the body's orbit, so small true-scale orbits still get smooth trails.
+                    const orbitScale = planet.data.distance > 0 ? planet.semiMajorAxis / planet.data.distance : 1;
+                    const minDistance = SCENE_CONSTANTS.TRAIL_MIN_SAMPLE_DISTANCE * orbitScale;
+                    if (dx * dx + dy * dy + dz * dz < minDistance * minDistance) return;
+                }
+
+                const offset = trail.writeIndex * 3;
+                const mirrorOffset = (trail.writeIndex + trail.capacity) * 3;
+                worldPosition.toArray(positions, offset);
+                worldPosition.toArray(positions, mirrorOffset);
+                trail.writeIndex = (trail.writeIndex + 1) % trail.capacity;
+                trail.count = Math.min(trail.count + 1, trail.capacity);
+                positionAttribute.needsUpdate = true;
+
+                // Oldest sample first; once the buffer is full, that is the slot the next sample overwrites.
+                const firstSample = (trail.writeIndex - trail.count + trail.capacity) % trail.capacity;
+                trail.line.geometry.setDrawRange(firstSample, trail.count);
+                trail.line.material.uniforms.firstSample.value = firstSample;
+                trail.line.material.uniforms.sampleCount.value = trail.count;
+            });
+        } catch (error) {
+            console.error('Error during _recordOrbitTrails:', error);
+            // No message box here to avoid spamming for frequent updates.
+        }
+    }
+
+    /**
+     * @private
+     * @method _clearOrbitTrails
+     * @description Empties every trail, e.g. after a time jump, where connecting the old and new positions would
+     * draw a line straight through the system.
+     */
+    _clearOrbitTrails() {
+        planets.forEach(planet => {
+            if (!planet.trail) return;
+            planet.trail.writeIndex = 0;
+            planet.trail.count = 0;
+            planet.trail.line.geometry.setDrawRange(0, 0);
+        });
+    }
+
+    /**
+     * @private
+     * @method _setTrailLength
+     * @description Changes the number of past positions kept per trail. The ring buffers are reallocated, so the
+     * recorded history starts over.
+     * @param {number} length - The new trail length in samples, clamped to the slider's range.
+     */
+    _setTrailLength(length) {
+        trailLength = THREE.MathUtils.clamp(Math.round(length), SCENE_CONSTANTS.TRAIL_MIN_LENGTH, SCENE_CONSTANTS.TRAIL_MAX_LENGTH);
+        planets.forEach(planet => {
+            if (!planet.trail) return;
+            scene.remove(planet.trail.line);
+            planet.trail.line.geometry.dispose();
+            planet.trail.line.material.dispose();
+            planet.trail = this._createOrbitTrail(planet.data.color, trailLength);
+            planet.trail.line.visible = layerVisibility.trails && planet.showTrail;
+            scene.add(planet.trail.line);
+        });
+        if (trailLengthValueSpan) trailLengthValueSpan.textContent = `${trailLength} points`;
+    }
+
+    /**
+     * @private
+     * @method _setTrailOpacity
+     * @description Changes the opacity of the newest end of every trail.
+     * @param {number} opacity - The new opacity, between 0 and 1.
+     */
+    _setTrailOpacity(opacity) {
+        trailOpacity = THREE.MathUtils.clamp(opacity, 0, 1);
+        planets.forEach(planet => {
+            if (planet.trail) planet.trail.line.material.uniforms.opacity.value = trailOpacity;
+        });
+        if (trailOpacityValueSpan) trailOpacityValueSpan.textContent = `${Math.round(trailOpacity * 100)}%`;
+    }
+
+    /**
+     * @private
+     * @method _createRingSystem
+     * @description Creates the ring system of a body: one flat annulus per band, in the body's equatorial plane.
+     * The bands are grouped in an object placed next to the body's mesh in its orbit group, oriented by the body's
+     * axial tilt. Unlike children of the mesh, they do not spin with the body, so a band tilted against the equator
+     * keeps its orientation.
+     * @param {object} bodyData - The ringed body's data entry.
+     * @param {Array<object>} bands - The ring bands, as returned by `getRingBands`.
+     * @param {THREE.Quaternion} axisOrientation - The orientation of the body's spin axis (see `_createSpinState`).
+     * @returns {THREE.Group|null} The ring system, or `null` if it could not be created.
+     */
+    _createRingSystem(bodyData, bands, axisOrientation) {
+        try {
+            const ringSystem = new THREE.Group();
+            ringSystem.name = `Rings_${bodyData.name}`;
+            ringSystem.quaternion.copy(axisOrientation);
+            bands.forEach(band => {
+                // MeshBasicMaterial suits rings: they are not shaded like the spheres, and without depth writes
+                // the transparent bands cannot hide each other or cause z-fighting with the planet.
+                // Bands start in their color (or gray); a texture, once loaded, carries its own (see `_setRingTexture`).
+                const ringMaterial = new THREE.MeshBasicMaterial({
+                    color: band.color !== undefined ? band.color : 0x888888,
+                    side: THREE.DoubleSide, // Render both sides of the ring for visibility from all angles.
+                    transparent: true,
+                    opacity: band.opacity !== undefined ? band.opacity : 0.8,
+                    depthWrite: false
+                });
+                const ringMesh = new THREE.Mesh(
+                    this._createRingGeometry(bodyData.radius * band.innerRadiusFactor, bodyData.radius * band.outerRadiusFactor),
+                    ringMaterial
+                );
+                // Lay the ring flat in the equatorial (XZ) plane, optionally tilted against it.
+                ringMesh.rotation.x = Math.PI / 2 + THREE.MathUtils.degToRad(band.tilt || 0);
+                ringSystem.add(ringMesh);
+            });
+            console.log(`Rings: ${bands.length} ring band(s) created for ${bodyData.name}.`);
+            return ringSystem;
+        } catch (error) {
+            console.error(`Error creating the rings of ${bodyData.name}:`, error);
+            this._showMessageBox('Ring Creation Error', `Failed to create the rings of ${bodyData.name}: ${error.message}.`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     * @method _createRingGeometry
+     * @description Creates a flat annulus whose texture coordinates run radially: `u` goes from 0 at the inner edge
+     * to 1 at the outer edge and `v` around the ring. A ring texture is a strip whose width holds the ring's profile
+     * from the inside out, whereas the default RingGeometry UVs would project it flat across the whole disc.
+     * @param {number} innerRadius - The inner radius in scene units.
+     * @param {number} outerRadius - The outer radius in scene units.
+     * @returns {THREE.RingGeometry} The ring geometry, in the XY plane.
+     */
+    _createRingGeometry(innerRadius, outerRadius) {
+        const geometry = new THREE.RingGeometry(innerRadius, outerRadius, 128, 1);
+        const positions = geometry.attributes.position;
+        const uvs = geometry.attributes.uv;
+        for (let i = 0; i < positions.count; i++) {
+            const x = positions.getX(i);
+            const y = positions.getY(i);
+            const radialPosition = (Math.hypot(x, y) - innerRadius) / (outerRadius - innerRadius);
+            const angle = Math.atan2(y, x) / (Math.PI * 2) + 0.5;
+            uvs.setXY(i, radialPosition, angle);
+        }
+        uvs.needsUpdate = true;
+        return geometry;
+    }
+
+    /**
+     * @private
+     * @method _createSmallBodyBelts
+     * @description Creates the particle fields of SMALL_BODY_BELTS for the built-in solar system. Loaded systems
+     * have no belt definitions, so nothing is created for them.
+     */
+    _createSmallBodyBelts() {
+        if (activeSystemBodies !== CELESTIAL_BODIES_DATA) return;
+        SMALL_BODY_BELTS.forEach(definition => {
+            try {
+                const belt = this._createBeltField(definition);
+                smallBodyBelts.push(belt);
+                scene.add(belt.points);
+            } catch (error) {
+                console.error(`Error creating the ${definition.name}:`, error);
+                this._showMessageBox('Belt Creation Error', `Failed to create the ${definition.name}: ${error.message}.`, 'error');
+            }
+        });
+        this._updateSmallBodyBelts();
+        this._applyBeltDrawCounts();
+    }
+
+    /**
+     * @private
+     * @method _createBeltField
+     * @description Creates one belt as a single `THREE.Points` object. Each particle stores its own orbital elements
+     * as vertex attributes, and the vertex shader solves Kepler's equation for it on the GPU, so thousands of
+     * particles move at their own Keplerian speeds without any per-frame work on the CPU; only the simulation time
+     * is passed in as a uniform. Particles are generated for the highest density, and the density and the
+     * performance fallback only change how many of them are drawn.
+     * @param {object} definition - An entry of SMALL_BODY_BELTS.
+     * @returns {{definition: object, points: THREE.Points, capacity: number, drawCount: number}} The belt.
+     */
+    _createBeltField(definition) {
+        const capacity = Math.round(definition.count * SCENE_CONSTANTS.BELT_DENSITY_MAX);
+        const random = createSeededRandom(definition.seed);
+        const semiMajorAxes = new Float32Array(capacity * 2); // Illustrative scene units and AU.
+        const orbitShapes = new Float32Array(capacity * 4);   // Eccentricity, inclination, node, argument of perihelion.
+        const orbitPhases = new Float32Array(capacity * 2);   // Mean anomaly at J2000 and mean motion per day.
+        const degToRad = THREE.MathUtils.degToRad;
+        for (let i = 0; i < capacity; i++) {
+            const semiMajorAxis = definition.innerSemiMajorAxis + random() * (definition.outerSemiMajorAxis - definition.innerSemiMajorAxis);
+            semiMajorAxes[i * 2] = illustrativeDistanceForAU(activeSystemBodies, semiMajorAxis);
+            semiMajorAxes[i * 2 + 1] = semiMajorAxis;
+            // Squared random numbers favour nearly circular, nearly flat orbits, as in the real belts.
+            orbitShapes[i * 4] = definition.maxEccentricity * random() ** 2;
+            orbitShapes[i * 4 + 1] = degToRad(definition.maxInclination * random() ** 2);
+            orbitShapes[i * 4 + 2] = random() * Math.PI * 2;
+            orbitShapes[i * 4 + 3] = random() * Math.PI * 2;
+            orbitPhases[i * 2] = random() * Math.PI * 2;
+            // Kepler's third law: the period in years is a^1.5 for a semi-major axis in AU.
+            orbitPhases[i * 2 + 1] = (Math.PI * 2) / (365.25 * Math.pow(semiMajorAxis, 1.5));
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        // Positions are computed in the shader; the attribute only tells Three.js how many points there are.
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+        geometry.setAttribute('semiMajorAxes', new THREE.BufferAttribute(semiMajorAxes, 2));
+        geometry.setAttribute('orbitShape', new THREE.BufferAttribute(orbitShapes, 4));
+        geometry.setAttribute('orbitPhase', new THREE.BufferAttribute(orbitPhases, 2));
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                daysSinceEpoch: { value: simulationJulianDate - SCENE_CONSTANTS.J2000_JULIAN_DATE },
+                unitsPerAU: { value: 0 },  // Scene units per AU at true scale; 0 keeps the illustrative layout.
+                scaleBlend: { value: scaleBlend },
+                pointScale: { value: 1 },  // Pixels per scene unit at a distance of one unit (see `_updateSmallBodyBelts`).
+                size: { value: definition.size },
+                color: { value: new THREE.Color(definition.color) }
+            },
+            vertexShader: `
+                attribute vec2 semiMajorAxes;
+                attribute vec4 orbitShape;
+                attribute vec2 orbitPhase;
+                uniform float daysSinceEpoch;
+                uniform float unitsPerAU;
+                uniform float scaleBlend;
+                uniform float pointScale;
+                uniform float size;
+                varying float vAlpha;
+                void main() {
+                    float e = orbitShape.x;
+                    // Solve Kepler's equation with a few Newton-Raphson steps (enough for these mild eccentricities).
+                    float M = mod(orbitPhase.x + orbitPhase.y * daysSinceEpoch, 6.2831853);
+                    float E = M;
+                    for (int i = 0; i < 5; i++) E -= (E - e * sin(E) - M) / (1.0 - e * cos(E));
+                    // Blend the illustrative and the true semi-major axis like blendScale() does.
+                    float a = semiMajorAxes.x;
+                    if (unitsPerAU > 0.0) a *= pow(semiMajorAxes.y * unitsPerAU / semiMajorAxes.x, scaleBlend);
+                    float xOrbit = a * (cos(E) - e);
+                    float yOrbit = a * sqrt(1.0 - e * e) * sin(E);
+                    float cosI = cos(orbitShape.y), sinI = sin(orbitShape.y);
+                    float cosNode = cos(orbitShape.z), sinNode = sin(orbitShape.z);
+                    float cosPeri = cos(orbitShape.w), sinPeri = sin(orbitShape.w);
+                    // Same rotation into the ecliptic frame (and onto the scene axes) as eccentricAnomalyToPosition().
+                    vec3 ecliptic = vec3(
+                        (cosNode * cosPeri - sinNode * sinPeri * cosI) * xOrbit + (-cosNode * sinPeri - sinNode * cosPeri * cosI) * yOrbit,
+                        (sinNode * cosPeri + cosNode * sinPeri * cosI) * xOrbit + (-sinNode * sinPeri + cosNode * cosPeri * cosI) * yOrbit,
+                        (sinPeri * sinI) * xOrbit + (cosPeri * sinI) * yOrbit
+                    );
+                    vec4 mvPosition = modelViewMatrix * vec4(ecliptic.x, ecliptic.z, -ecliptic.y, 1.0);
+                    float pointSize = size * pointScale / -mvPosition.z;
+                    // Points smaller than a pixel are drawn one pixel large but fainter, so distant belts stay subtle.
+                    gl_PointSize = max(pointSize, 1.0);
+                    vAlpha = clamp(pointSize, 0.15, 1.0);
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 color;
+                varying float vAlpha;
+                void main() {
+                    vec2 offset = gl_PointCoord - vec2(0.5);
+                    float distanceSquared = dot(offset, offset);
+                    if (distanceSquared > 0.25) discard; // Round particles.
+                    gl_FragColor = vec4(color, vAlpha * (1.0 - 2.0 * distanceSquared));
+                }
+            `,
+            transparent: true,
+            depthWrite: false
+        });
+
+        const points = new THREE.Points(geometry, material);
+        points.name = definition.name;
+        points.frustumCulled = false; // The real positions only exist in the shader, so the bounds are unknown.
+        console.log(`Belts: ${definition.name} created with up to ${capacity} particles.`);
+        return { definition: definition, points: points, capacity: capacity, drawCount: 0 };
+    }
+
+    /**
+     * @private
+     * @method _clearSmallBodyBelts
+     * @description Removes the belts from the scene and releases their GPU resources.
+     */
+    _clearSmallBodyBelts() {
+        smallBodyBelts.forEach(belt => {
+            scene.remove(belt.points);
+            belt.points.geometry.dispose();
+            belt.points.material.dispose();
+        });
+        smallBodyBelts.length = 0;
+    }
+
+    /**
+     * @private
+     * @method _applyBeltDrawCounts
+     * @description Draws as many particles of each belt as the selected density and the performance fallback allow,
+     * and hides belts with no particles to draw or whose layer is hidden.
+     */
+    _applyBeltDrawCounts() {
+        smallBodyBelts.forEach(belt => {
+            const count = Math.round(belt.definition.count * beltDensity * beltDetailFactor);
+            belt.drawCount = Math.min(belt.capacity, count);
+            // The orbits were generated in random order, so the first particles are an even sample of the belt.
+            belt.points.geometry.setDrawRange(0, belt.drawCount);
+            belt.points.visible = layerVisibility.belts && belt.drawCount > 0;
+        });
+        if (isPaused && renderer) renderer.render(scene, camera);
+    }
+
+    /**
+     * @private
+     * @method _setBeltDensity
+     * @description Sets the belt density and updates the slider readout.
+     * @param {number} density - The density as a multiple of each belt's `count`, clamped to [0, BELT_DENSITY_MAX].
+     */
+    _setBeltDensity(density) {
+        beltDensity = THREE.MathUtils.clamp(density, 0, SCENE_CONSTANTS.BELT_DENSITY_MAX);
+        if (beltDensityValueSpan) beltDensityValueSpan.textContent = `${Math.round(beltDensity * 100)}%`;
+        this._applyBeltDrawCounts();
+        console.log(`Belts: Density set to ${Math.round(beltDensity * 100)}%.`);
+    }
+
+    /**
+     * @private
+     * @method _updateSmallBodyBelts
+     * @description Passes the simulation time and the current point size scale to the belt shaders. Called every
+     * frame; the belts follow the simulation clock and therefore the global speed, the pause state and date jumps.
+     */
+    _updateSmallBodyBelts() {
+        if (smallBodyBelts.length === 0) return;
+        renderer.getSize(beltViewportSize);
+        // Pixels covered by one scene unit at a distance of one unit, as for size-attenuated points.
+        const pointScale = (beltViewportSize.y * renderer.getPixelRatio()) / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+        smallBodyBelts.forEach(belt => {
+            const uniforms = belt.points.material.uniforms;
+            uniforms.daysSinceEpoch.value = simulationJulianDate - SCENE_CONSTANTS.J2000_JULIAN_DATE;
+            uniforms.pointScale.value = pointScale;
+        });
+    }
+
+    /**
+     * @private
+     * @method _setupUI
+     * @description Gets references to all necessary HTML UI elements from the DOM and initializes their
+     * display values. This method ensures that the JavaScript can effectively interact with and update
+     * the HTML controls and information displays.
+     */
+    _setupUI() {
+        console.log('UI Setup: Getting references to UI elements and initializing displays...');
+        try {
+            // Get reference to the animation toggle button.
+            toggleAnimationBtn = document.getElementById('toggle-animation-btn');
+            if (!toggleAnimationBtn) console.warn("UI Setup: 'toggle-animation-btn' element not found in DOM.");
+
+            // Get references to the global speed slider and its value display span.
+            globalSpeedSlider = document.getElementById('global-speed-slider');
+            globalSpeedValueSpan = document.getElementById('global-speed-value');
+            if (!globalSpeedSlider) console.warn("UI Setup: 'global-speed-slider' element not found.");
+            if (!globalSpeedValueSpan) console.warn("UI Setup: 'global-speed-value' element not found.");
+
+            // Initialize global speed display if elements are found.
+            if (globalSpeedSlider && globalSpeedValueSpan) {
+                globalSpeedValueSpan.textContent = this._formatSimulationRate(parseFloat(globalSpeedSlider.value));
+                console.log('UI Setup: Global speed slider display initialized.');
+            }
+
+            // Get references to the rotation speed slider and its value display span.
+            spinSpeedSlider = document.getElementById('spin-speed-slider');
+            spinSpeedValueSpan = document.getElementById('spin-speed-value');
+            if (!spinSpeedSlider) console.warn("UI Setup: 'spin-speed-slider' element not found.");
+            if (!spinSpeedValueSpan) console.warn("UI Setup: 'spin-speed-value' element not found.");
+
+            // Get references to the simulation calendar controls and show the starting date.
+            simulationDateDisplay = document.getElementById('sim-date-display');
+            simulationDateInput = document.getElementById('sim-date-input');
+            jumpToNowButton = document.getElementById('jump-to-now-btn');
+            if (!simulationDateDisplay || !simulationDateInput || !jumpToNowButton) {
+                console.warn("UI Setup: One or more simulation calendar elements ('sim-date-display', 'sim-date-input', 'jump-to-now-btn') not found.");
+            }
+            nextEclipseButton = document.getElementById('next-eclipse-btn');
+            eclipseInfoDisplay = document.getElementById('eclipse-info');
+            if (!nextEclipseButton || !eclipseInfoDisplay) console.warn("UI Setup: 'next-eclipse-btn' or 'eclipse-info' element not found.");
+            this._updateSimulationDateDisplay();
+
+            // Get a reference to the container for the individual speed sliders. The sliders themselves are generated
+            // by `_buildPlanetSpeedControls` once the bodies exist.
+            planetSpeedControlsContainer = document.getElementById('planet-speed-controls');
+            if (!planetSpeedControlsContainer) console.warn("UI Setup: 'planet-speed-controls' element not found. Individual speed sliders will not be available.");
+
+            // Get references to the star system loading controls.
+            activeSystemNameDisplay = document.getElementById('active-system-name');
+            systemFileInput = document.getElementById('system-file-input');
+            loadSystemButton = document.getElementById('load-system-btn');
+            restoreSolarSystemButton = document.getElementById('restore-solar-system-btn');
+            if (!activeSystemNameDisplay || !systemFileInput || !loadSystemButton || !restoreSolarSystemButton) {
+                console.warn("UI Setup: One or more star system elements ('active-system-name', 'system-file-input', 'load-system-btn', 'restore-solar-system-btn') not found.");
+            }
+            this._updateActiveSystemDisplay();
+
+            // Get references to the "Layers" checkboxes (one per `data-layer` attribute) and apply the saved layer
+            // visibility to the page; the scene objects pick it up as they are created.
+            document.querySelectorAll('input[data-layer]').forEach(toggle => {
+                const layer = toggle.dataset.layer;
+                if (!(layer in layerVisibility)) {
+                    console.warn(`UI Setup: Ignoring toggle for unknown layer '${layer}'.`);
+                    return;
+                }
+                layerToggles[layer] = toggle;
+                toggle.checked = layerVisibility[layer];
+            });
+            this._updateQualityLayerToggles();
+            // Likewise for the "Body Types" filter (one checkbox per `data-body-type` attribute).
+            document.querySelectorAll('input[data-body-type]').forEach(toggle => {
+                const type = toggle.dataset.bodyType;
+                if (!(type in bodyTypeVisibility)) {
+                    console.warn(`UI Setup: Ignoring filter for unknown body type '${type}'.`);
+                    return;
+                }
+                bodyTypeToggles[type] = toggle;
+                toggle.checked = bodyTypeVisibility[type];
+            });
+            bodyLabelsContainer = document.getElementById('body-labels');
+            debugSection = document.getElementById('debug-section');
+            if (!bodyLabelsContainer || !debugSection) {
+                console.warn("UI Setup: One or more layer elements ('body-labels', 'debug-section') not found.");
+            }
+            this._applyLayerVisibility('labels');
+            this._applyLayerVisibility('debug');
+            starfieldModeSelect = document.getElementById('starfield-mode-select');
+            if (starfieldModeSelect) starfieldModeSelect.value = starfieldMode;
+            else console.warn("UI Setup: 'starfield-mode-select' element not found.");
+            qualitySelect = document.getElementById('quality-select');
+            if (qualitySelect) qualitySelect.value = qualitySetting;
+            else console.warn("UI Setup: 'quality-select' element not found.");
+
+            // Get references to the scale controls and show the initial scale.
+            trueScaleToggle = document.getElementById('true-scale-toggle');
+            scaleBlendSlider = document.getElementById('scale-blend-slider');
+            scaleBlendValueSpan = document.getElementById('scale-blend-value');
+            if (!trueScaleToggle || !scaleBlendSlider || !scaleBlendValueSpan) {
+                console.warn("UI Setup: One or more scale elements ('true-scale-toggle', 'scale-blend-slider', 'scale-blend-value') not found.");
+            }
+            if (trueScaleToggle) trueScaleToggle.checked = scaleBlend === 1;
+            if (scaleBlendSlider) scaleBlendSlider.value = String(scaleBlend);
+            if (scaleBlendValueSpan) scaleBlendValueSpan.textContent = this._formatScaleBlend(scaleBlend);
+
+            // Get references to the orbit trail controls and show their initial values.
+            trailLengthSlider = document.getElementById('trail-length-slider');
+            trailLengthValueSpan = document.getElementById('trail-length-value');
+            trailOpacitySlider = document.getElementById('trail-opacity-slider');
+            trailOpacityValueSpan = document.getElementById('trail-opacity-value');
+            if (!trailLengthSlider || !trailLengthValueSpan || !trailOpacitySlider || !trailOpacityValueSpan) {
+                console.warn("UI Setup: One or more orbit trail elements ('trail-length-slider', 'trail-length-value', 'trail-opacity-slider', 'trail-opacity-value') not found.");
+            }
+            if (trailLengthSlider) {
+                trailLengthSlider.min = String(SCENE_CONSTANTS.TRAIL_MIN_LENGTH);
+                trailLengthSlider.max = String(SCENE_CONSTANTS.TRAIL_MAX_LENGTH);
+                trailLengthSlider.value = String(trailLength);
+            }
+            if (trailLengthValueSpan) trailLengthValueSpan.textContent = `${trailLength} points`;
+            if (trailOpacitySlider) trailOpacitySlider.value = String(trailOpacity);
+            if (trailOpacityValueSpan) trailOpacityValueSpan.textContent = `${Math.round(trailOpacity * 100)}%`;
+
+            // Get references to the belt density slider and its value display span.
+            beltDensitySlider = document.getElementById('belt-density-slider');
+            beltDensityValueSpan = document.getElementById('belt-density-value');
+            if (!beltDensitySlider || !beltDensityValueSpan) {
+                console.warn("UI Setup: One or more belt elements ('belt-density-slider', 'belt-density-value') not found.");
+            }
+            if (beltDensitySlider) {
+                beltDensitySlider.max = String(SCENE_CONSTANTS.BELT_DENSITY_MAX);
+                beltDensitySlider.value = String(beltDensity);
+            }
+            if (beltDensityValueSpan) beltDensityValueSpan.textContent = `${Math.round(beltDensity * 100)}%`;
+
+            // Get reference to the planet label element for hover display.
+            planetLabelElement = document.getElementById('planet-label');
+            if (!planetLabelElement) console.warn("UI Setup: 'planet-label' element not found.");
+
+            // Get reference to the reset camera button.
+            resetCameraButton = document.getElementById('reset-camera-btn');
+            if (!resetCameraButton) console.warn("UI Setup: 'reset-camera-btn' element not found.");
+
+            // Get reference to the "copy link to this view" button.
+            copyViewLinkButton = document.getElementById('copy-view-link-btn');
+            if (!copyViewLinkButton) console.warn("UI Setup: 'copy-view-link-btn' element not found.");
+
+            // Get references to the keyboard shortcut help overlay and the button that opens it.
+            shortcutHelpElement = document.getElementById('shortcut-help');
+            shortcutHelpCloseButton = document.getElementById('shortcut-help-close');
+            showShortcutsButton = document.getElementById('show-shortcuts-btn');
+            if (!shortcutHelpElement || !shortcutHelpCloseButton || !showShortcutsButton) {
+                console.warn("UI Setup: One or more shortcut help elements ('shortcut-help', 'shortcut-help-close', 'show-shortcuts-btn') not found.");
+            }
+
+            // Get references to the follow mode indicator and its "stop following" button.
+            followIndicatorElement = document.getElementById('follow-indicator');
+            followIndicatorNameElement = document.getElementById('follow-indicator-name');
+            stopFollowButton = document.getElementById('stop-follow-btn');
+            if (!followIndicatorElement || !followIndicatorNameElement || !stopFollowButton) {
+                console.warn("UI Setup: One or more follow indicator elements ('follow-indicator', 'follow-indicator-name', 'stop-follow-btn') not found.");
+            }
+
+            // Get references to the body information panel.
+            bodyInfoPanel = document.getElementById('body-info-panel');
+            bodyInfoTitle = document.getElementById('body-info-title');
+            bodyInfoFactsList = document.getElementById('body-info-facts');
+            bodyInfoCloseButton = document.getElementById('body-info-close');
+            if (!bodyInfoPanel || !bodyInfoTitle || !bodyInfoFactsList || !bodyInfoCloseButton) {
+                console.warn("UI Setup: One or more info panel elements ('body-info-panel', 'body-info-title', 'body-info-facts', 'body-info-close') not found.");
+            }
+
+            // Get references for the custom message box elements.
+            messageBoxElement = document.getElementById('custom-message-box');
+            messageBoxTextElement = document.getElementById('message-box-text');
+            messageBoxCloseButton = document.getElementById('message-box-close');
+            if (!messageBoxElement || !messageBoxTextElement || !messageBoxCloseButton) {
+                console.warn("UI Setup: One or more custom message box elements not found. Custom alerts will not function.");
+            } else {
+                console.log('UI Setup: Custom message box elements found.');
+            }
+
+            // Get references for debug information display elements.
+            fpsDisplay = document.getElementById('fps-display');
+            objectCountDisplay = document.getElementById('object-count');
+            cameraPosXDisplay = document.getElementById('camera-pos-x');
+            cameraPosYDisplay = document.getElementById('camera-pos-y');
+            cameraPosZDisplay = document.getElementById('camera-pos-z');
+            mouseNDCXDisplay = document.getElementById('mouse-ndc-x');
+            mouseNDCYDisplay = document.getElementById('mouse-ndc-y');
+            animationStatusDisplay = document.getElementById('animation-status');
+            focusStatusDisplay = document.getElementById('focus-status');
+            julianDateDisplay = document.getElementById('julian-date');
+            beltParticleCountDisplay = document.getElementById('belt-particle-count');
+            textureStreamDisplay = document.getElementById('texture-stream-status');
+            qualityDisplay = document.getElementById('quality-display');
+            this._updateQualityDisplay();
+
+            // Log warnings if any debug elements are missing.
+            if (!fpsDisplay || !objectCountDisplay || !cameraPosXDisplay || !cameraPosYDisplay || !cameraPosZDisplay ||
+                !mouseNDCXDisplay || !mouseNDCYDisplay || !animationStatusDisplay || !focusStatusDisplay || !julianDateDisplay) {
+                console.warn("UI Setup: One or more debug display elements not found. Debug info will be incomplete.");
+            } else {
+                console.log('UI Setup: All debug display elements found.');
+            }
+
+            console.log('UI Setup: All UI elements processed and initialized.');
+        } catch (error) {
+            console.error('Error during _setupUI:', error);
+            this._showMessageBox('UI Setup Error', `Failed to set up user interface elements: ${error.message}. Some controls may not work.`, 'error');
+        }
+    }
+
+    /**
+     * @private
+     * @method _buildPlanetSpeedControls
+     * @description Generates one speed slider per entry of the `planets` array (planets, their moons and any custom
+     * bodies) inside the "Individual Planet Speeds" section, and binds each slider to its body's
+     * `orbitalSpeedFactor`, together with a "Show trail" checkbox for the body's orbit trail. Moons are listed right
+     * after their parent and indented. Must be called after the bodies have been created; calling it again replaces
+     * the previous sliders.
+     */
+    _buildPlanetSpeedControls() {
+        if (!planetSpeedControlsContainer) return;
+        try {
+            planetSpeedControlsContainer.textContent = '';
+            Object.keys(planetSpeedSliders).forEach(name => delete planetSpeedSliders[name]);
+            Object.keys(planetSpeedValueSpans).forEach(name => delete planetSpeedValueSpans[name]);
+            Object.keys(planetTrailToggles).forEach(name => delete planetTrailToggles[name]);
+
+            planets.forEach(planet => {
+                const idPrefix = `${planet.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-speed`;
+                const initialFactor = planet.orbitalSpeedFactor;
+
+                const group = document.createElement('div');
+                group.className = planet.isSatellite ? 'control-group planet-control satellite-control' : 'control-group planet-control';
+
+                const label = document.createElement('label');
+                label.className = 'control-label';
+                label.htmlFor = `${idPrefix}-slider`;
+                label.textContent = `${planet.name} Speed:`;
+
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.id = `${idPrefix}-slider`;
+                slider.className = 'speed-slider';
+                slider.min = '0';
+                slider.max = '2';
+                slider.step = '0.01';
+                slider.value = String(initialFactor);
+                slider.setAttribute('aria-valuenow', String(initialFactor));
+                slider.setAttribute('aria-valuemin', '0');
+                slider.setAttribute('aria-valuemax', '2');
+                slider.setAttribute('aria-label', `Adjust ${planet.name}'s orbital speed`);
+
+                const valueSpan = document.createElement('span');
+                valueSpan.id = `${idPrefix}-value`;
+                valueSpan.className = 'speed-value';
+                valueSpan.setAttribute('aria-live', 'polite');
+                valueSpan.textContent = `${initialFactor.toFixed(2)}x`;
+
+                const info = document.createElement('p');
+                info.className = 'slider-info';
+                if (planet.trajectory) {
+                    info.textContent = `${planet.name} follows its recorded trajectory, so it always keeps to the simulation date.`;
+                } else {
+                    info.textContent = planet.parent
+                        ? `Adjust the orbital speed of ${planet.name} around ${planet.parent.name} relative to the global speed.`
+                        : `Adjust the orbital speed of ${planet.name} relative to the global speed.`;
+                }
+
+                slider.addEventListener('input', (event) => {
+                    // Update the planet's individual orbital speed factor.
+                    // This factor is then applied multiplicatively with the global speed factor in the animation loop.
+                    const newFactor = parseFloat(event.target.value);
+                    planet.orbitalSpeedFactor = newFactor; // Store this factor directly on the planet object.
+                    // Update the displayed value for the individual planet, formatted.
+                    valueSpan.textContent = `${newFactor.toFixed(2)}x`;
+                    slider.setAttribute('aria-valuenow', String(newFactor));
+                    console.log(`Event Listener: ${planet.name} Speed updated to ${newFactor.toFixed(2)}x`);
+                });
+
+                // Per-body trail toggle. It only has a visible effect while orbit trails are turned on globally.
+                const trailLabel = document.createElement('label');
+                trailLabel.className = 'toggle-label';
+                const trailToggle = document.createElement('input');
+                trailToggle.type = 'checkbox';
+                trailToggle.id = `${idPrefix}-trail-toggle`;
+                trailToggle.checked = planet.showTrail;
+                trailToggle.setAttribute('aria-label', `Show the orbit trail of ${planet.name}`);
+                trailToggle.addEventListener('change', (event) => {
+                    planet.showTrail = event.target.checked;
+                    this._applyBodyVisibility(planet);
+                    if (planet.trail) {
+                        // Start over, so the trail does not bridge the time it was hidden.
+                        planet.trail.writeIndex = 0;
+                        planet.trail.count = 0;
+                        planet.trail.line.geometry.setDrawRange(0, 0);
+                    }
+                    console.log(`Event Listener: ${planet.name} trail ${planet.showTrail ? 'shown' : 'hidden'}.`);
+                });
+                trailLabel.append(trailToggle, document.createTextNode(' Show trail'));
+
+                if (planet.trajectory) {
+                    // A spacecraft has no orbital speed to adjust; it only gets its name and trail toggle.
+                    label.removeAttribute('for');
+                    label.textContent = planet.name;
+                    group.append(label, trailLabel, info);
+                } else {
+                    group.append(label, slider, valueSpan, trailLabel, info);
+                    planetSpeedSliders[planet.name] = slider;
+                    planetSpeedValueSpans[planet.name] = valueSpan;
+                }
+                planetSpeedControlsContainer.appendChild(group);
+                planetTrailToggles[planet.name] = trailToggle;
+            });
+            console.log(`UI Setup: Generated individual speed sliders for ${planets.length} bodies.`);
+        } catch (error) {
+            console.error('Error during _buildPlanetSpeedControls:', error);
+            this._showMessageBox('UI Setup Error', `Failed to create the individual speed sliders: ${error.message}.`, 'error');
+        }
+    }
+
+    /**
+     * @private
+     * @method _setLayerVisible
+     * @description Shows or hides one of the optional layers, updates its "Layers" checkbox and saves the setting.
+     * @param {string} layer - The layer name, a key of DEFAULT_LAYER_VISIBILITY.
+     * @param {boolean} visible - Whether the layer is shown.
+     */
+    _setLayerVisible(layer, visible) {
+        if (!(layer in layerVisibility)) return;
+        layerVisibility[layer] = visible;
+        if (layerToggles[layer]) layerToggles[layer].checked = visible;
+        this._applyLayerVisibility(layer);
+        saveLayerVisibility(layerVisibility);
+        console.log(`Layers: ${layer} ${visible ? 'shown' : 'hidden'}.`);
+        // While paused no frames are rendered, so show the change right away.
+        if (isPaused && renderer) renderer.render(scene, camera);
+    }
+
+    /**
+     * @private
+     * @method _applyLayerVisibility
+     * @description Applies the current visibility of a layer to the scene objects and page elements that make it up.
+     * The per-frame work of a hidden layer (label projection, trail recording, debug readouts) is skipped by the
+     * respective update methods, which check `layerVisibility` themselves.
+     * @param {string} layer - The layer name, a key of DEFAULT_LAYER_VISIBILITY.
+     */
+    _applyLayerVisibility(layer) {
+        const visible = layerVisibility[layer];
+        switch (layer) {
+            case 'orbits':
+            case 'rings':
+                planets.forEach(planet => this._applyBodyVisibility(planet));
+                break;
+            case 'labels':
+                if (bodyLabelsContainer) bodyLabelsContainer.hidden = !visible;
+                if (visible) this._updateBodyLabels();
+                break;
+            case 'starfield':
+                this._applyStarfield();
+                break;
+            case 'trails':
+                // Trails start empty when shown, so they do not jump from where the bodies were when last shown.
+                if (visible) this._clearOrbitTrails();
+                planets.forEach(planet => this._applyBodyVisibility(planet));
+                break;
+            case 'belts':
+                this._applyBeltDrawCounts();
+                break;
+            case 'lensFlare':
+                if (sunEffects && sunEffects.lensFlare) sunEffects.lensFlare.visible = visible && QUALITY_PRESETS[qualityLevel].lensFlare;
+                this._updateSunEffects(0);
+                break;
+            case 'shadows':
+                this._updateShadows();
+                break;
+            case 'debug':
+                if (debugSection) debugSection.hidden = !visible;
+                if (visible) this._updateDebugInfo();
+                break;
+            default:
+                console.warn(`Layers: Unknown layer '${layer}'.`);
+        }
+    }
+
+    /**
+     * @private
+     * @method _applyBodyVisibility
+     * @description Shows or hides a body's mesh, rings, clouds, comet tail, orbit path and trail according to the "Body Types"
+     * filter and the layers. The filter hides the body itself but not its moons, which have a type of their own.
+     * @param {object} planet - A `planets` entry.
+     */
+    _applyBodyVisibility(planet) {
+        const typeShown = bodyTypeVisibility[planet.type] !== false;
+        planet.mesh.visible = typeShown;
+        if (planet.ringSystem) planet.ringSystem.visible = typeShown && layerVisibility.rings;
+        if (planet.tail) planet.tail.visible = typeShown;
+        if (planet.clouds) planet.clouds.mesh.visible = typeShown;
+        if (planet.orbitPath) planet.orbitPath.visible = typeShown && layerVisibility.orbits;
+        if (planet.precessing) this._updatePrecessingOrbitPath(planet); // It may have turned while hidden.
+        if (planet.trail) planet.trail.line.visible = typeShown && layerVisibility.trails && planet.showTrail;
+    }
+
+    /**
+     * @private
+     * @method _isBodyShown
+     * @description Checks whether a body is currently in the scene for the user, i.e. its type passes the "Body Types"
+     * filter and, for spacecraft, it has been launched. Hidden bodies cannot be picked and get no labels.
+     * @param {object} body - A `planets` entry or the light source body.
+     * @returns {boolean} `true` if the body is shown.
+     */
+    _isBodyShown(body) {
+        return bodyTypeVisibility[body.type] !== false && (!body.orbitGroup || body.orbitGroup.visible);
+    }
+
+    /**
+     * @private
+     * @method _setBodyTypeVisible
+     * @description Shows or hides all bodies of one type, updates its "Body Types" checkbox and saves the filter.
+     * Hiding the followed body (or the one in the info panel) releases the camera (or closes the panel).
+     * @param {string} type - A filterable key of BODY_TYPES.
+     * @param {boolean} visible - Whether bodies of this type are shown.
+     */
+    _setBodyTypeVisible(type, visible) {
+        if (!(type in bodyTypeVisibility)) return;
+        bodyTypeVisibility[type] = visible;
+        if (bodyTypeToggles[type]) bodyTypeToggles[type].checked = visible;
+        planets.forEach(planet => this._applyBodyVisibility(planet));
+        // Trails start empty when shown again, so they do not bridge the time their bodies were hidden.
+        if (visible) this._clearOrbitTrails();
+        if (followedBody && !this._isBodyShown(followedBody)) this._stopFollowing();
+        if (infoPanelBody && !this._isBodyShown(infoPanelBody)) this._hideBodyInfo();
+        if (pinnedLabelBody && !this._isBodyShown(pinnedLabelBody)) pinnedLabelBody = null;
+        this._updateBodyLabels();
+        saveBodyTypeVisibility(bodyTypeVisibility);
+        console.log(`Body Types: ${BODY_TYPES[type].name} bodies ${visible ? 'shown' : 'hidden'}.`);
+        // While paused no frames are rendered, so show the change right away.
+        if (isPaused && renderer) renderer.render(scene, camera);
+    }
+
+    /**
+     * @private
+     * @method _buildBodyLabels
+     * @description Creates an always-on name label for the light source and every entry of the `planets` array inside
+     * the labels overlay. Clicking a label focuses its body, like clicking the body itself. Must be called after the
+     * bodies have been created; calling it again replaces the labels.
+     */
+    _buildBodyLabels() {
+        if (!bodyLabelsContainer) return;
+        bodyLabelsContainer.textContent = '';
+        const lightSource = this._getLightSourceBody();
+        [lightSource, ...planets].forEach(body => {
+            if (!body) return;
+            const label = document.createElement('button');
+            label.type = 'button';
+            label.className = ['body-label', BODY_TYPES[body.type].labelClass].filter(Boolean).join(' ');
+            label.textContent = body.name;
+            label.tabIndex = -1; // Every body is also reachable through the keyboard shortcuts and the controls panel.
+            label.hidden = true; // Shown once it has been placed by `_updateBodyLabels`.
+            label.addEventListener('click', () => this._focusOnBody(body));
+            bodyLabelsContainer.appendChild(label);
+            body.labelElement = label;
+            body.labelSize = null; // Measured the first time the label is shown (see `_updateBodyLabels`).
+        });
+        if (layerVisibility.labels) this._updateBodyLabels();
+    }
+
+    /**
+     * @private
+     * @method _getLabelPriority
+     * @description Ranks a body for label decluttering: the followed body and the one shown in the info panel come
+     * first, then the light source, then planets, then dwarf planets, comets and spacecraft and finally moons (see
+     * `labelPriority` in BODY_TYPES); larger bodies win within each group.
+     * @param {object} body - A `planets` entry or the light source body.
+     * @returns {number} The priority; higher values keep their label when labels overlap.
+     */
+    _getLabelPriority(body) {
+        const priority = body === followedBody || body === infoPanelBody ? 3 : BODY_TYPES[body.type].labelPriority;
+        return priority * 1000 + (body.data ? body.data.radius : 0);
+    }
+
+    /**
+     * @private
+     * @method _isOccludedByLightSource
+     * @description Checks whether the light source (the Sun) hides a body from the camera, i.e. whether the line of
+     * sight from the camera to the body's centre passes through the Sun's sphere in front of the body.
+     * @param {THREE.Vector3} bodyPosition - The body's world position.
+     * @returns {boolean} `true` if the body is behind the Sun.
+     */
+    _isOccludedByLightSource(bodyPosition) {
+        if (!sunMesh) return false;
+        const sunPosition = sunMesh.getWorldPosition(new THREE.Vector3());
+        const sunRadius = sunMesh.geometry.parameters.radius * sunMesh.scale.x;
+        const lineOfSight = bodyPosition.clone().sub(camera.position);
+        const distanceToBody = lineOfSight.length();
+        lineOfSight.divideScalar(distanceToBody);
+        // Distance along the line of sight to the point closest to the Sun's centre.
+        const alongLine = sunPosition.clone().sub(camera.position).dot(lineOfSight);
+        if (alongLine <= 0 || alongLine >= distanceToBody) return false; // The Sun is behind the camera or the body.
+        const closestPoint = camera.position.clone().addScaledVector(lineOfSight, alongLine);
+        return closestPoint.distanceTo(sunPosition) < sunRadius;
+    }
+
+    /**
+     * @private
+     * @method _updateBodyLabels
+     * @description Places every always-on name label at its body's projected screen position. Labels of bodies
+     * behind the camera, outside the canvas, hidden behind the Sun or filtered out (see `_isBodyShown`) are hidden. Overlapping labels (typically the
+     * inner planets and moons when zoomed out) are decluttered: labels are placed in order of
+     * `_getLabelPriority`, and one that would overlap an already placed label is hidden. Does nothing while the labels
+     * layer is hidden.
+     */
+    _updateBodyLabels() {
+        if (!layerVisibility.labels || !bodyLabelsContainer) return;
+        try {
+            const rect = renderer.domElement.getBoundingClientRect();
+            const padding = SCENE_CONSTANTS.LABEL_COLLISION_PADDING_PX;
+            const lightSource = this._getLightSourceBody();
+            const bodies = [lightSource, ...planets].filter(body => body && body.labelElement && body.mesh);
+            bodies.sort((a, b) => this._getLabelPriority(b) - this._getLabelPriority(a));
+
+            const placedBoxes = [];
+            const worldPosition = new THREE.Vector3();
+            const projected = new THREE.Vector3();
+            bodies.forEach(body => {
+                const label = body.labelElement;
+                body.mesh.getWorldPosition(worldPosition);
+                projected.copy(worldPosition).project(camera);
+                const onScreen = projected.z < 1 && Math.abs(projected.x) <= 1 && Math.abs(projected.y) <= 1;
+                if (!onScreen || !this._isBodyShown(body) || (body !== lightSource && this._isOccludedByLightSource(worldPosition))) {
+                    label.hidden = true;
+                    return;
+                }
+
+                const x = rect.left + (projected.x + 1) / 2 * rect.width;
+                const y = rect.top + (-projected.y + 1) / 2 * rect.height;
+                if (!body.labelSize) {
+                    // Measuring forces a layout, so it is done once per label instead of every frame.
+                    label.hidden = false;
+                    body.labelSize = { width: label.offsetWidth, height: label.offsetHeight };
+                }
+                // The label is centred horizontally above the anchor point (see `.body-label` in style.css).
+                const box = {
+                    left: x - body.labelSize.width / 2 - padding,
+                    right: x + body.labelSize.width / 2 + padding,
+                    top: y - body.labelSize.height * 1.5 - padding,
+                    bottom: y - body.labelSize.height * 0.5 + padding
+                };
+                const overlaps = placedBoxes.some(other =>
+                    box.left < other.right && box.right > other.left && box.top < other.bottom && box.bottom > other.top);
+                label.hidden = overlaps;
+                if (overlaps) return;
+                placedBoxes.push(box);
+                label.style.left = `${x}px`;
+                label.style.top = `${y}px`;
+            });
+        } catch (error) {
+            console.error('Error during _updateBodyLabels:', error);
+            // No message box here to avoid spamming for frequent updates.
+        }
+    }
+
+    /**
+     * @private
+     * @method _addEventListeners
+     * @description Attaches event listeners to various UI elements and the window object.
+     * This enables user interaction with the simulation, including resizing, button clicks,
+     * slider adjustments, and mouse interactions for camera control and planet hovering/clicking.
+     */
+    _addEventListeners() {
+        console.log('Event Listeners: Attaching all event listeners...');
+        try {
+            // Event listener for window resize, to make the canvas and UI responsive.
+            // Using `bind(this)` ensures that `this` inside `_handleResize` refers to the SolarSystemSimulation instance.
+            window.addEventListener('resize', this._handleResize.bind(this));
+            console.log('Event Listener: Window resize listener added.');
+
+            // Event listener for the animation toggle button (Pause/Resume).
+            if (toggleAnimationBtn) {
+                toggleAnimationBtn.addEventListener('click', this._toggleAnimation.bind(this));
+                console.log('Event Listener: Toggle animation button listener added.');
+            }
+
+            // Event listener for the global speed slider.
+            if (globalSpeedSlider && globalSpeedValueSpan) {
+                globalSpeedSlider.addEventListener('input', (event) => {
+                    // Update the global speed factor based on the slider's current value; the readout shows it
+                    // as simulated time per real second.
+                    this._setGlobalSpeedFactor(parseFloat(event.target.value));
+                });
+                console.log('Event Listener: Global speed slider listener added.');
+            }
+
+            // Event listener for the rotation speed slider. It only affects how fast bodies spin, not their orbits.
+            if (spinSpeedSlider) {
+                spinSpeedSlider.addEventListener('input', (event) => {
+                    this._setSpinSpeedFactor(parseFloat(event.target.value));
+                });
+                console.log('Event Listener: Rotation speed slider listener added.');
+            }
+
+            // Event listener for the simulation date picker. Picking a date jumps the whole system to that moment.
+            if (simulationDateInput) {
+                simulationDateInput.addEventListener('change', (event) => {
+                    // `datetime-local` values are interpreted in the user's local time zone.
+                    const pickedDate = new Date(event.target.value);
+                    if (isNaN(pickedDate.getTime())) {
+                        console.warn(`Simulation Date: Ignoring invalid date input '${event.target.value}'.`);
+                        return;
+                    }
+                    this._setSimulationDate(julianDateFromDate(pickedDate));
+                });
+                console.log('Event Listener: Simulation date picker listener added.');
+            }
+
+            // Event listener for the "jump to now" button.
+            if (jumpToNowButton) {
+                jumpToNowButton.addEventListener('click', () => this._setSimulationDate(julianDateFromDate(new Date())));
+                console.log('Event Listener: Jump to now button listener added.');
+            }
+
+            // Event listener for the "next eclipse" button.
+            if (nextEclipseButton) {
+                nextEclipseButton.addEventListener('click', () => this._jumpToNextEclipse());
+                console.log('Event Listener: Next eclipse button listener added.');
+            }
+
+            // Event listeners for the "Layers" checkboxes.
+            Object.entries(layerToggles).forEach(([layer, toggle]) => {
+                toggle.addEventListener('change', (event) => this._setLayerVisible(layer, event.target.checked));
+            });
+            if (starfieldModeSelect) {
+                starfieldModeSelect.addEventListener('change', (event) => this._setStarfieldMode(event.target.value));
+            }
+            if (qualitySelect) {
+                qualitySelect.addEventListener('change', (event) => this._setQualitySetting(event.target.value));
+            }
+            Object.entries(bodyTypeToggles).forEach(([type, toggle]) => {
+                toggle.addEventListener('change', (event) => this._setBodyTypeVisible(type, event.target.checked));
+            });
+            console.log('Event Listener: Layer toggle listeners added.');
+
+            // Event listeners for the scale controls.
+            if (trueScaleToggle) {
+                trueScaleToggle.addEventListener('change', (event) => this._setScaleBlend(event.target.checked ? 1 : 0));
+            }
+            if (scaleBlendSlider) {
+                scaleBlendSlider.addEventListener('input', (event) => this._setScaleBlend(parseFloat(event.target.value)));
+            }
+            console.log('Event Listener: Scale control listeners added.');
+
+            // Event listeners for the orbit trail controls.
+            if (trailLengthSlider) {
+                // The ring buffers are reallocated on every change, so only apply the length once the user lets go.
+                trailLengthSlider.addEventListener('input', (event) => {
+                    if (trailLengthValueSpan) trailLengthValueSpan.textContent = `${event.target.value} points`;
+                });
+                trailLengthSlider.addEventListener('change', (event) => this._setTrailLength(parseFloat(event.target.value)));
+            }
+            if (trailOpacitySlider) {
+                trailOpacitySlider.addEventListener('input', (event) => this._setTrailOpacity(parseFloat(event.target.value)));
+            }
+            console.log('Event Listener: Orbit trail control listeners added.');
+
+            // Event listener for the belt density slider. The particles exist up front, so changes apply instantly.
+            if (beltDensitySlider) {
+                beltDensitySlider.addEventListener('input', (event) => this._setBeltDensity(parseFloat(event.target.value)));
+                console.log('Event Listener: Belt density slider listener added.');
+            }
+
+            // Listeners for the individual planet speed sliders are attached by `_buildPlanetSpeedControls`,
+            // because the sliders can only be generated after the asynchronous texture load has created the bodies.
+
+            // Pointer Event listeners on the renderer's canvas for hover labels, taps, long-presses and drags.
+            // Pointer Events cover mouse, pen and touch alike; the release is tracked on the window because a drag
+            // may end outside the canvas.
+            if (renderer && renderer.domElement) {
+                renderer.domElement.addEventListener('pointermove', this._onPointerMove.bind(this));
+                renderer.domElement.addEventListener('pointerdown', this._onPointerDown.bind(this));
+                renderer.domElement.addEventListener('pointerleave', this._onPointerLeave.bind(this));
+                window.addEventListener('pointerup', this._onPointerUp.bind(this));
+                window.addEventListener('pointercancel', this._onPointerCancel.bind(this));
+                console.log('Event Listener: Pointer listeners added for planet hover, selection and long-press.');
+
+                // The GPU can take the WebGL context away (driver reset, too many contexts, a sleeping device).
+                renderer.domElement.addEventListener('webglcontextlost', this._handleContextLost.bind(this));
+                renderer.domElement.addEventListener('webglcontextrestored', this._handleContextRestored.bind(this));
+                console.log('Event Listener: WebGL context loss and restore listeners added.');
+            }
+
+            // Event listener for the reset camera button.
+            if (resetCameraButton) {
+                resetCameraButton.addEventListener('click', this._resetCamera.bind(this));
+                console.log('Event Listener: Reset camera button listener added.');
+            }
+
+            // Event listener for the "copy link to this view" button.
+            if (copyViewLinkButton) {
+                copyViewLinkButton.addEventListener('click', this._copyViewLink.bind(this));
+                console.log('Event Listener: Copy view link button listener added.');
+            }
+
+            // Keyboard shortcuts, and the buttons that open and close their help overlay.
+            window.addEventListener('keydown', this._onKeyDown.bind(this));
+            if (showShortcutsButton) showShortcutsButton.addEventListener('click', () => this._toggleShortcutHelp(true));
+            if (shortcutHelpCloseButton) shortcutHelpCloseButton.addEventListener('click', () => this._toggleShortcutHelp(false));
+            console.log('Event Listener: Keyboard shortcut listeners added.');
+
+            // Keep the view in the URL when the page is left, so a reload returns to it, and restore links that are
+            // pasted into the address bar of an already open page.
+            window.addEventListener('pagehide', () => this._writeViewStateToUrl());
+            window.addEventListener('hashchange', () => this.restoreViewState(parseViewState(window.location.hash)));
+
+            // Event listener for the "stop following" button in the follow indicator.
+            if (stopFollowButton) {
+                stopFollowButton.addEventListener('click', this._stopFollowing.bind(this));
+                console.log('Event Listener: Stop following button listener added.');
+            }
+
+            // Event listeners for loading other star systems: the file picker, the restore button and drag-and-drop.
+            if (loadSystemButton && systemFileInput) {
+                loadSystemButton.addEventListener('click', () => systemFileInput.click());
+            }
+            if (systemFileInput) {
+                systemFileInput.addEventListener('change', (event) => {
+                    this._loadSystemFromFile(event.target.files[0]);
+                    event.target.value = ''; // Allow loading the same file again after editing it.
+                });
+            }
+            if (restoreSolarSystemButton) {
+                restoreSolarSystemButton.addEventListener('click', this._restoreDefaultSystem.bind(this));
+            }
+            const isFileDrag = (event) => event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
+            window.addEventListener('dragover', (event) => {
+                if (!isFileDrag(event)) return;
+                event.preventDefault(); // Required for the drop event to fire.
+                document.body.classList.add('system-drop-active');
+            });
+            window.addEventListener('dragleave', (event) => {
+                // `relatedTarget` is null when the drag leaves the window.
+                if (!event.relatedTarget) document.body.classList.remove('system-drop-active');
+            });
+            window.addEventListener('drop', (event) => {
+                if (!isFileDrag(event)) return;
+                event.preventDefault(); // Prevent the browser from opening the file.
+                document.body.classList.remove('system-drop-active');
+                this._loadSystemFromFile(event.dataTransfer.files[0]);
+            });
+            console.log('Event Listener: Star system loading listeners (file picker, restore, drag-and-drop) added.');
+
+            // Event listener for the info panel close button.
+            if (bodyInfoCloseButton) {
+                bodyInfoCloseButton.addEventListener('click', this._hideBodyInfo.bind(this));
+                console.log('Event Listener: Info panel close button listener added.');
+            }
+
+            // Event listener for the custom message box close button.
+            if (messageBoxCloseButton) {
+                messageBoxCloseButton.addEventListener('click', this._closeMessageBox.bind(this));
+                console.log('Event Listener: Custom message box close button listener added.');
+            }
+
+            console.log('Event Listeners: All event listeners successfully attached.');
+        } catch (error) {
+            console.error('Error during _addEventListeners:', error);
+            this._showMessageBox('Event Listener Error', `Failed to attach some event listeners: ${error.message}. Some interactions may not work.`, 'error');
+        }
+    }
+
+    /**
+     * @private
+     * @method _setSimulationDate
+     * @description Jumps the simulation clock to an absolute date. Every planet's mean anomaly is recomputed from the
+     * ephemeris for that date (which also re-synchronises planets whose individual speed slider made them drift),
+     * and the planets are moved there immediately, even while the simulation is paused. Orbit trails are cleared.
+     * @param {number} julianDate - The Julian date to jump to.
+     */
+    _setSimulationDate(julianDate) {
+        try {
+            simulationJulianDate = julianDate;
+            planets.forEach(planet => {
+                planet.meanAnomaly = meanAnomalyAtJulianDate(planet.elements, planet.meanMotion, simulationJulianDate);
+                this._placeBody(planet);
+            });
+            this._updateSmallBodyBelts();
+            this._clearOrbitTrails(); // The recorded paths belong to the old date.
+            this._updateSimulationDateDisplay(true);
+            // While paused no frames are rendered, so show the new date right away.
+            if (isPaused && renderer) renderer.render(scene, camera);
+            console.log(`Simulation Date: Jumped to ${dateFromJulianDate(simulationJulianDate).toISOString()} (JD ${simulationJulianDate.toFixed(4)}).`);
+        } catch (error) {
+            console.error('Error during _setSimulationDate:', error);
+            this._showMessageBox('Simulation Date Error', `Failed to jump to the selected date: ${error.message}.`, 'error');
+        }
+    }
 
-            // Create a WebGLRenderer. This renderer uses the WebGL API to draw the scene onto a canvas.
-            renderer = new THREE.WebGLRenderer({
-                antialias: SCENE_CONSTANTS.RENDERER_ANTIALIAS, // Enable anti-aliasing for smoother edges.
-                alpha: false // Disable alpha for background, as we'll use a texture.
+    /**
+     * @private
+     * @method _jumpToNextEclipse
+     * @description Jumps to the next solar or lunar eclipse after the simulation date (see `findNextEclipse`): pauses
+     * the simulation at the moment of greatest eclipse, turns on the shadows layer and follows the shadowed body
+     * (the planet for a solar eclipse, the moon for a lunar one), viewed from slightly beside the Sun so the shadow
+     * is in sight. Pressing it again goes on to the following eclipse.
+     */
+    _jumpToNextEclipse() {
+        try {
+            const lightSource = this._getLightSourceBody();
+            const planet = planets.find(body => !body.parent && body.name === SCENE_CONSTANTS.ECLIPSE_PLANET_NAME);
+            const moon = planet && planets.find(body => body.parent === planet && body.name === SCENE_CONSTANTS.ECLIPSE_MOON_NAME);
+            if (!lightSource || !moon) {
+                this._showMessageBox('Next Eclipse', `Eclipses can only be found in a system with ${SCENE_CONSTANTS.ECLIPSE_PLANET_NAME} and its ${SCENE_CONSTANTS.ECLIPSE_MOON_NAME}.`, 'warning');
+                return;
+            }
+            // Start an hour on, so pressing the button again at an eclipse finds the next one.
+            const eclipse = findNextEclipse(lightSource.data, planet.data, moon.data, simulationJulianDate + 1 / 24);
+            if (!eclipse) {
+                if (eclipseInfoDisplay) eclipseInfoDisplay.textContent = 'No eclipse found in the next few years.';
+                return;
+            }
+
+            if (!isPaused) this._toggleAnimation(); // Hold the moment of greatest eclipse.
+            this._setLayerVisible('shadows', true);
+            this._setSimulationDate(eclipse.julianDate);
+
+            // Look at the shadowed body from a little beside and above the direction of the Sun.
+            const shadowedBody = eclipse.kind === 'solar' ? planet : moon;
+            this._followBody(shadowedBody);
+            const target = shadowedBody.mesh.getWorldPosition(new THREE.Vector3());
+            const viewDirection = sunMesh.getWorldPosition(new THREE.Vector3()).sub(target).setY(0).normalize()
+                .applyAxisAngle(new THREE.Vector3(0, 1, 0), THREE.MathUtils.degToRad(SCENE_CONSTANTS.ECLIPSE_VIEW_ANGLE))
+                .add(new THREE.Vector3(0, 0.3, 0))
+                .normalize();
+            const radius = shadowedBody.mesh.geometry.parameters.radius * shadowedBody.mesh.scale.x;
+            const distance = THREE.MathUtils.clamp(radius * 6, orbitControls.minDistance * 1.05, orbitControls.maxDistance * 0.95);
+            isCameraFocusing = false;
+            camera.position.copy(target).addScaledVector(viewDirection, distance);
+            orbitControls.target.copy(target);
+            orbitControls.update();
+
+            const kind = `${eclipse.type.charAt(0).toUpperCase()}${eclipse.type.slice(1)} ${eclipse.kind} eclipse`;
+            const when = `${dateFromJulianDate(eclipse.julianDate).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+            if (eclipseInfoDisplay) eclipseInfoDisplay.textContent = `${kind} on ${when}.`;
+            renderer.render(scene, camera);
+            console.log(`Next Eclipse: ${kind} on ${when}.`);
+            // The date and view are still set, but the shadow itself is left out by the preset in effect.
+            if (!QUALITY_PRESETS[qualityLevel].shadows) {
+                this._showMessageBox('Next Eclipse', `${kind} on ${when}. The ${QUALITY_PRESETS[qualityLevel].label} graphics quality leaves shadows out, so the eclipse is not visible; choose ${describePresetsAllowing('shadows')} under "Graphics Quality" to see it.`, 'warning');
+            }
+        } catch (error) {
+            console.error('Error during _jumpToNextEclipse:', error);
+            this._showMessageBox('Next Eclipse Error', `Failed to find the next eclipse: ${error.message}.`, 'error');
+        }
+    }
+
+    /**
+     * @private
+     * @method _updateSimulationDateDisplay
+     * @description Refreshes the simulation date readout, the date picker and the Julian date debug field.
+     * The picker is left alone while it has focus so the clock does not overwrite what the user is typing.
+     * @param {boolean} [forceInputUpdate=false] - Update the picker even if it currently has focus.
+     */
+    _updateSimulationDateDisplay(forceInputUpdate = false) {
+        const date = dateFromJulianDate(simulationJulianDate);
+        if (isNaN(date.getTime())) return; // Outside the range JavaScript dates can represent.
+        const pad = (value) => String(value).padStart(2, '0');
+
+        if (simulationDateDisplay) {
+            simulationDateDisplay.textContent = `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+        }
+        if (simulationDateInput && (forceInputUpdate || document.activeElement !== simulationDateInput)) {
+            // `datetime-local` expects local time in the form YYYY-MM-DDTHH:MM.
+            const localValue = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+            if (simulationDateInput.value !== localValue) simulationDateInput.value = localValue;
+        }
+        if (julianDateDisplay) julianDateDisplay.textContent = simulationJulianDate.toFixed(3);
+    }
+
+    /**
+     * @private
+     * @method _setGlobalSpeedFactor
+     * @description Sets the global speed factor (clamped to the slider's range) and updates the slider and its readout.
+     * @param {number} speedFactor - The new global speed multiplier.
+     */
+    _setGlobalSpeedFactor(speedFactor) {
+        const min = globalSpeedSlider ? parseFloat(globalSpeedSlider.min) : 0;
+        const max = globalSpeedSlider ? parseFloat(globalSpeedSlider.max) : 20;
+        globalSpeedFactor = THREE.MathUtils.clamp(Math.round(speedFactor * 100) / 100, min, max);
+        if (globalSpeedSlider) {
+            globalSpeedSlider.value = String(globalSpeedFactor);
+            globalSpeedSlider.setAttribute('aria-valuenow', String(globalSpeedFactor));
+        }
+        if (globalSpeedValueSpan) globalSpeedValueSpan.textContent = this._formatSimulationRate(globalSpeedFactor);
+        console.log(`Global Speed: Updated to ${globalSpeedFactor.toFixed(2)}x (${this._formatSimulationRate(globalSpeedFactor)})`);
+    }
+
+    /**
+     * @private
+     * @method _setSpinSpeedFactor
+     * @description Sets the rotation speed factor (clamped to the slider's range) and updates the slider and its
+     * readout. Bodies keep their true relative day lengths at every setting.
+     * @param {number} speedFactor - The new rotation speed multiplier.
+     */
+    _setSpinSpeedFactor(speedFactor) {
+        const min = spinSpeedSlider ? parseFloat(spinSpeedSlider.min) : 0;
+        const max = spinSpeedSlider ? parseFloat(spinSpeedSlider.max) : 10;
+        spinSpeedFactor = THREE.MathUtils.clamp(Math.round(speedFactor * 100) / 100, min, max);
+        if (spinSpeedSlider) {
+            spinSpeedSlider.value = String(spinSpeedFactor);
+            spinSpeedSlider.setAttribute('aria-valuenow', String(spinSpeedFactor));
+        }
+        if (spinSpeedValueSpan) spinSpeedValueSpan.textContent = `${spinSpeedFactor.toFixed(2)}x`;
+        console.log(`Rotation Speed: Updated to ${spinSpeedFactor.toFixed(2)}x`);
+    }
+
+    /**
+     * @private
+     * @method _formatSimulationRate
+     * @description Formats a global speed factor as the amount of simulated time that passes per real second.
+     * @param {number} speedFactor - The global speed multiplier.
+     * @returns {string} A readout such as "30.0 days/s" or "1.64 years/s".
+     */
+    _formatSimulationRate(speedFactor) {
+        const daysPerSecond = speedFactor * SCENE_CONSTANTS.SIMULATION_DAYS_PER_SECOND;
+        if (daysPerSecond >= 365.25) {
+            return `${(daysPerSecond / 365.25).toFixed(2)} years/s`;
+        }
+        return `${daysPerSecond.toFixed(1)} days/s`;
+    }
+
+    /**
+     * @private
+     * @method _getTrueScaleUnitsPerAU
+     * @description Returns the number of scene units per astronomical unit used at true scale. It is chosen so that
+     * the outermost planet's orbit keeps its illustrative size (for the solar system, Neptune stays at 180 units), so
+     * the overall extent of the scene, the far plane and the maximum zoom distance suit every scale. Dwarf planets
+     * and other small bodies further out do not count.
+     * @returns {number|null} Scene units per AU, or `null` if no orbiting body has a real semi-major axis.
+     */
+    _getTrueScaleUnitsPerAU() {
+        let outermost = null;
+        activeSystemBodies.forEach(bodyData => {
+            if (getBodyType(bodyData, false) !== 'planet' || !(bodyData.semiMajorAxis > 0) || !(bodyData.distance > 0)) return;
+            if (!outermost || bodyData.distance > outermost.distance) outermost = bodyData;
+        });
+        return outermost ? outermost.distance / outermost.semiMajorAxis : null;
+    }
+
+    /**
+     * @private
+     * @method _getScaledRadius
+     * @description Computes a body's radius in scene units for the current scale blend.
+     * @param {object} bodyData - The body's data entry.
+     * @param {number|null} unitsPerAU - The result of `_getTrueScaleUnitsPerAU`.
+     * @returns {number} The radius; the illustrative radius if the body has no real diameter.
+     */
+    _getScaledRadius(bodyData, unitsPerAU) {
+        const diameter = bodyData.facts && bodyData.facts.diameter;
+        const trueRadius = diameter > 0 && unitsPerAU ? diameter / 2 / SCENE_CONSTANTS.ASTRONOMICAL_UNIT_KM * unitsPerAU : null;
+        return blendScale(bodyData.radius, trueRadius, scaleBlend);
+    }
+
+    /**
+     * @private
+     * @method _setScaleBlend
+     * @description Blends the sizes and orbit distances of all bodies between the illustrative layout (0) and true
+     * relative scale (1), updates the scale controls and adapts the camera limits. Orbit trails are cleared, as
+     * their recorded positions no longer match the orbits.
+     * @param {number} blend - The scale blend, clamped to [0, 1].
+     */
+    _setScaleBlend(blend) {
+        scaleBlend = THREE.MathUtils.clamp(blend, 0, 1);
+        this._applyScaleBlend();
+        this._clearOrbitTrails();
+        if (scaleBlendSlider) {
+            scaleBlendSlider.value = String(scaleBlend);
+            scaleBlendSlider.setAttribute('aria-valuenow', String(scaleBlend));
+        }
+        if (scaleBlendValueSpan) scaleBlendValueSpan.textContent = this._formatScaleBlend(scaleBlend);
+        if (trueScaleToggle) trueScaleToggle.checked = scaleBlend === 1;
+        // While paused no frames are rendered, so show the change right away.
+        if (isPaused && renderer) renderer.render(scene, camera);
+    }
+
+    /**
+     * @private
+     * @method _applyScaleBlend
+     * @description Applies the current scale blend to the created bodies. Sizes are applied as mesh scale (rings
+     * are scaled with their planet), distances by changing each body's semi-major axis in scene units and scaling its
+     * orbit path, which was built for the illustrative distance; the paths of comets and spacecraft are re-mapped.
+     * Also called after a system has been built.
+     */
+    _applyScaleBlend() {
+        try {
+            const unitsPerAU = this._getTrueScaleUnitsPerAU();
+            const lightSource = this._getLightSourceBody();
+            if (lightSource) sunMesh.scale.setScalar(this._getScaledRadius(lightSource.data, unitsPerAU) / lightSource.data.radius);
+
+            planets.forEach(planet => {
+                const data = planet.data;
+                planet.mesh.scale.setScalar(this._getScaledRadius(data, unitsPerAU) / data.radius);
+                if (planet.ringSystem) planet.ringSystem.scale.copy(planet.mesh.scale);
+                if (planet.clouds) planet.clouds.mesh.scale.copy(planet.mesh.scale);
+                if (planet.heliocentricPosition) {
+                    // Comets and spacecraft are mapped from AU point by point (see `_placeBody`).
+                    this._updateRealDistancePath(planet);
+                } else {
+                    const trueDistance = data.semiMajorAxis > 0 && unitsPerAU ? data.semiMajorAxis * unitsPerAU : null;
+                    planet.semiMajorAxis = blendScale(data.distance, trueDistance, scaleBlend);
+                    if (planet.orbitPath && data.distance > 0) planet.orbitPath.scale.setScalar(planet.semiMajorAxis / data.distance);
+                }
+                this._placeBody(planet);
             });
-            // Set the size of the renderer to match the full window dimensions.
+            smallBodyBelts.forEach(belt => {
+                belt.points.material.uniforms.unitsPerAU.value = unitsPerAU || 0;
+                belt.points.material.uniforms.scaleBlend.value = scaleBlend;
+            });
+            // The followed body has moved; keep the camera on it without a jump.
+            if (followedBody) followedBody.mesh.getWorldPosition(lastFollowedPosition);
+            this._updateCameraLimits();
+            this._updateSunEffects(0); // The corona follows the star's new size.
+            console.log(`Scale: Applied ${this._formatScaleBlend(scaleBlend)}.`);
+        } catch (error) {
+            console.error('Error during _applyScaleBlend:', error);
+            this._showMessageBox('Scale Error', `Failed to change the scale of the system: ${error.message}.`, 'error');
+        }
+    }
+
+    /**
+     * @private
+     * @method _updateCameraLimits
+     * @description Adapts the OrbitControls zoom limits and the camera's near plane to the size of the body in view:
+     * the followed body, or the light source when the camera is not following anything. MIN_CAMERA_DISTANCE is
+     * scaled by the same factor as that body's radius, so the camera can get as close to Earth at true scale (where
+     * Earth is a few ten-thousandths of a unit across) as it can in the illustrative layout. Because the outermost
+     * orbit keeps its size at every scale (see `_getTrueScaleUnitsPerAU`), MAX_CAMERA_DISTANCE and the far plane
+     * stay valid as they are.
+     * @param {object|null} [referenceData=null] - Data entry of the body to size the limits for, overriding the
+     * followed body (used while a link's followed body is still being created).
+     */
+    _updateCameraLimits(referenceData = null) {
+        const data = referenceData || (followedBody ? followedBody.data : activeSystemBodies.find(bodyData => bodyData.isLightSource));
+        const sizeFactor = data && data.radius > 0 ? this._getScaledRadius(data, this._getTrueScaleUnitsPerAU()) / data.radius : 1;
+        orbitControls.minDistance = SCENE_CONSTANTS.MIN_CAMERA_DISTANCE * sizeFactor;
+        orbitControls.maxDistance = SCENE_CONSTANTS.MAX_CAMERA_DISTANCE;
+        const near = Math.min(SCENE_CONSTANTS.CAMERA_NEAR, orbitControls.minDistance * SCENE_CONSTANTS.NEAR_PLANE_DISTANCE_FACTOR);
+        if (camera.near !== near || camera.far !== SCENE_CONSTANTS.CAMERA_FAR) {
+            camera.near = near;
+            camera.far = SCENE_CONSTANTS.CAMERA_FAR;
+            camera.updateProjectionMatrix();
+        }
+    }
+
+    /**
+     * @private
+     * @method _formatScaleBlend
+     * @description Describes a scale blend for the scale slider readout.
+     * @param {number} blend - The scale blend, from 0 to 1.
+     * @returns {string} "Illustrative", "True scale" or e.g. "40% towards true scale".
+     */
+    _formatScaleBlend(blend) {
+        if (blend === 0) return 'Illustrative';
+        if (blend === 1) return 'True scale';
+        return `${Math.round(blend * 100)}% towards true scale`;
+    }
+
+    /**
+     * @private
+     * @method _showBodyInfo
+     * @description Opens the information panel for a body. The rows are generated from the `facts` object of the
+     * body's data entry plus its orbital period, so any body (including moons) gets a panel without extra markup.
+     * Facts missing from the data are simply left out.
+     * @param {object} body - A `planets` entry (or any object with `name`, `data` and optionally `parent`).
+     */
+    _showBodyInfo(body) {
+        if (!bodyInfoPanel || !bodyInfoFactsList) return;
+        try {
+            const facts = body.data.facts || {};
+            const rows = [['Type', BODY_TYPES[body.type].name]];
+            if (body.trajectory) rows.push(['Launched', body.data.trajectory[0].date]);
+            if (facts.diameter !== undefined) rows.push(['Diameter', `${this._formatNumber(facts.diameter, 1)} km`]);
+            if (facts.mass !== undefined) rows.push(['Mass', `${this._formatScientific(facts.mass)} kg`]);
+            if (facts.dayLength !== undefined) {
+                const days = facts.dayLength / 24;
+                rows.push(['Day length', days >= 2 ? `${this._formatNumber(facts.dayLength, 1)} h (${this._formatNumber(days, 1)} days)` : `${this._formatNumber(facts.dayLength, 1)} h`]);
+            }
+            if (body.data.orbitalPeriod > 0) {
+                const years = body.data.orbitalPeriod / 365.25;
+                const label = body.parent ? `Orbital period (around ${body.parent.name})` : 'Year length';
+                rows.push([label, years >= 2 ? `${this._formatNumber(body.data.orbitalPeriod, 1)} days (${this._formatNumber(years, 2)} years)` : `${this._formatNumber(body.data.orbitalPeriod, 2)} days`]);
+            }
+            if (facts.meanTemperature !== undefined) rows.push(['Mean temperature', `${this._formatNumber(facts.meanTemperature, 0)} °C`]);
+            if (facts.moonCount !== undefined) rows.push(['Known moons', this._formatNumber(facts.moonCount, 0)]);
+            // The live distance is only meaningful for bodies whose heliocentric orbit has a real semi-major axis.
+            const lightSourceData = activeSystemBodies.find(bodyData => bodyData.isLightSource);
+            const distanceLabel = `Distance from ${lightSourceData ? lightSourceData.name : 'Sun'}`;
+            if (!body.data.isLightSource && this._getDistanceFromSunAU(body) !== null) rows.push([distanceLabel, '']); // Filled in by `_updateBodyInfo`.
+            const orbitPaceLabel = 'Orbit shown at';
+            if (body.meanMotion > 0) rows.push([orbitPaceLabel, '']); // Also filled in by `_updateBodyInfo`.
+
+            bodyInfoFactsList.textContent = '';
+            bodyInfoDistanceValue = null;
+            bodyInfoOrbitPaceValue = null;
+            rows.forEach(([label, value]) => {
+                const term = document.createElement('dt');
+                term.textContent = label;
+                const description = document.createElement('dd');
+                description.textContent = value;
+                bodyInfoFactsList.appendChild(term);
+                bodyInfoFactsList.appendChild(description);
+                if (label === distanceLabel) bodyInfoDistanceValue = description;
+                if (label === orbitPaceLabel) bodyInfoOrbitPaceValue = description;
+            });
+
+            if (bodyInfoTitle) bodyInfoTitle.textContent = body.name;
+            infoPanelBody = body;
+            this._updateBodyInfo();
+            bodyInfoPanel.style.display = 'block';
+            bodyInfoPanel.setAttribute('aria-hidden', 'false');
+        } catch (error) {
+            console.error('Error during _showBodyInfo:', error);
+            this._showMessageBox('Info Panel Error', `Failed to show information for ${body && body.name}: ${error.message}.`, 'error');
+        }
+    }
+
+    /**
+     * @private
+     * @method _hideBodyInfo
+     * @description Closes the information panel.
+     */
+    _hideBodyInfo() {
+        infoPanelBody = null;
+        bodyInfoDistanceValue = null;
+        bodyInfoOrbitPaceValue = null;
+        if (!bodyInfoPanel) return;
+        bodyInfoPanel.style.display = 'none';
+        bodyInfoPanel.setAttribute('aria-hidden', 'true');
+    }
+
+    /**
+     * @private
+     * @method _updateBodyInfo
+     * @description Refreshes the live entries of the information panel (the distance from the Sun, and whether the
+     * orbit is shown slowed down), which change as the simulation advances or its speeds change. Called every frame;
+     * does nothing while the panel is closed.
+     */
+    _updateBodyInfo() {
+        if (!infoPanelBody) return;
+        if (bodyInfoOrbitPaceValue) {
+            // Real orbits per second at the current speeds, against the MAX_ORBITS_PER_SECOND the display allows.
+            const orbitsPerSecond = SCENE_CONSTANTS.SIMULATION_DAYS_PER_SECOND * globalSpeedFactor
+                * infoPanelBody.orbitalSpeedFactor / infoPanelBody.data.orbitalPeriod;
+            const slowdown = orbitsPerSecond / SCENE_CONSTANTS.MAX_ORBITS_PER_SECOND;
+            const paceText = slowdown > 1
+                ? `1/${this._formatNumber(slowdown, 0)} of its real pace, so it can be followed (it falls behind the date until the date is set again)`
+                : 'Its real pace';
+            if (bodyInfoOrbitPaceValue.textContent !== paceText) bodyInfoOrbitPaceValue.textContent = paceText;
+        }
+        if (!bodyInfoDistanceValue) return;
+        const distanceAU = this._getDistanceFromSunAU(infoPanelBody);
+        if (distanceAU === null) return;
+        const distanceKm = distanceAU * SCENE_CONSTANTS.ASTRONOMICAL_UNIT_KM;
+        const text = `${distanceAU.toFixed(4)} AU (${this._formatNumber(distanceKm / 1e6, 1)} million km)`;
+        if (bodyInfoDistanceValue.textContent !== text) bodyInfoDistanceValue.textContent = text;
+    }
+
+    /**
+     * @private
+     * @method _getDistanceFromSunAU
+     * @description Computes a body's current true distance from the Sun from its orbital elements (or, for comets and
+     * spacecraft, its real position), independent of the simulation's illustrative scale. Moons report the distance
+     * of the planet they orbit, as their own offset is negligible at this precision.
+     * @param {object} body - A `planets` entry.
+     * @returns {number|null} The distance in AU, 0 for the Sun, or `null` if the body has no real semi-major axis
+     * (or is a spacecraft that has not been launched yet).
+     */
+    _getDistanceFromSunAU(body) {
+        if (body.data && body.data.isLightSource) return 0;
+        let heliocentricBody = body;
+        while (heliocentricBody.parent) heliocentricBody = heliocentricBody.parent;
+        if (heliocentricBody.heliocentricPosition) {
+            return heliocentricBody.orbitGroup.visible ? heliocentricBody.heliocentricPosition.length() : null;
+        }
+        const semiMajorAxisAU = heliocentricBody.data && heliocentricBody.data.semiMajorAxis;
+        if (!semiMajorAxisAU) return null;
+        return computeOrbitalRadius(heliocentricBody.elements, semiMajorAxisAU, heliocentricBody.meanAnomaly);
+    }
+
+    /**
+     * @private
+     * @method _formatNumber
+     * @description Formats a number with thousands separators and at most the given number of decimals.
+     * @param {number} value - The number to format.
+     * @param {number} maximumFractionDigits - The maximum number of decimals to show.
+     * @returns {string} The formatted number, e.g. "12,756".
+     */
+    _formatNumber(value, maximumFractionDigits) {
+        return value.toLocaleString('en-US', { maximumFractionDigits });
+    }
+
+    /**
+     * @private
+     * @method _formatScientific
+     * @description Formats a (typically very large) number in scientific notation with a superscript exponent.
+     * @param {number} value - The number to format.
+     * @returns {string} The formatted number, e.g. "5.97 × 10²⁴".
+     */
+    _formatScientific(value) {
+        const [mantissa, exponent] = value.toExponential(2).split('e');
+        const superscripts = { '-': '⁻', '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹' };
+        const exponentText = String(parseInt(exponent, 10)).split('').map(character => superscripts[character]).join('');
+        return `${mantissa} × 10${exponentText}`;
+    }
+
+    /**
+     * @private
+     * @method _handleResize
+     * @description Adjusts the camera's aspect ratio and the renderer's size whenever the browser window
+     * is resized. This ensures the 3D simulation remains responsive and fills the screen correctly,
+     * preventing distortion and maintaining visual integrity.
+     */
+    _handleResize() {
+        try {
+            // Update the camera's aspect ratio to match the new window dimensions.
+            // This is crucial to prevent distortion of the 3D scene when the window size changes.
+            camera.aspect = window.innerWidth / window.innerHeight;
+            // After changing the aspect ratio, the camera's projection matrix needs to be recalculated.
+            camera.updateProjectionMatrix();
+            console.log('Camera: Aspect ratio updated on window resize.');
+
+            // Update the renderer's size to match the new window dimensions.
+            // This ensures the rendered 3D scene fills the entire available canvas area.
             renderer.setSize(window.innerWidth, window.innerHeight);
-            // Adjust the renderer's pixel ratio for high-DPI (Retina) displays, ensuring crisp rendering.
-            renderer.setPixelRatio(window.devicePixelRatio);
-            console.log('Renderer: THREE.WebGLRenderer initialized and sized.');
+            // Re-apply the pixel ratio (the window may have moved to a display with another density).
+            renderer.setPixelRatio(this._getQualityPixelRatio());
+            console.log(`Renderer: Size updated to ${window.innerWidth}x${window.innerHeight} on resize.`);
+        } catch (error) {
+            console.error('Error during _handleResize:', error);
+            this._showMessageBox('Resize Error', `Failed to adjust simulation for window resize: ${error.message}. Display may be distorted.`, 'error');
+        }
+    }
 
-            // Get the HTML container element where the canvas will be appended.
-            const container = document.getElementById('solar-system-container');
-            if (container) {
-                // Append the renderer's DOM element (the <canvas> tag) to the specified container.
-                container.appendChild(renderer.domElement);
-                console.log('Renderer: Canvas appended to #solar-system-container.');
+    /**
+     * @private
+     * @method _handleContextLost
+     * @description Reacts to the loss of the WebGL context: pauses the simulation, so the animation loop stops
+     * rendering into the blank canvas, and tells the user. Preventing the event's default lets the browser restore
+     * the context later.
+     * @param {Event} event - The `webglcontextlost` event.
+     */
+    _handleContextLost(event) {
+        event.preventDefault();
+        if (isContextLost) return;
+        isContextLost = true;
+        pausedByContextLoss = !isPaused;
+        if (!isPaused) this._toggleAnimation();
+        console.warn('Renderer: WebGL context lost; simulation paused until it is restored.');
+        this._showMessageBox('Graphics Context Lost', 'The graphics processor reset and the 3D view was lost. The simulation is paused and will continue as soon as the browser restores the view.', 'warning');
+    }
+
+    /**
+     * @private
+     * @method _handleContextRestored
+     * @description Reacts to the WebGL context coming back. Three.js has dropped everything it had on the GPU, so
+     * every material is recompiled and every texture uploaded again on the next render, and the renderer's size is
+     * set anew. The camera, the followed and selected bodies and the simulation date were never touched; if the
+     * loss paused the simulation, it resumes from the date it stopped at.
+     */
+    _handleContextRestored() {
+        if (!isContextLost) return;
+        isContextLost = false;
+        try {
+            this._refreshGpuResources();
+            this._handleResize();
+            clock.getDelta(); // Drop the time spent without a context, so the simulation does not jump ahead.
+            if (pausedByContextLoss && isPaused) {
+                this._toggleAnimation();
             } else {
-                // Fallback: If the container element is not found, log an error and append to the body.
-                console.error("Error: Could not find 'solar-system-container' element. Appending canvas directly to body.");
-                document.body.appendChild(renderer.domElement);
-                this._showMessageBox('DOM Error', 'Could not find the main simulation container. The canvas has been appended directly to the body. Please ensure the HTML structure is correct.', 'error');
+                renderer.render(scene, camera);
             }
+            pausedByContextLoss = false;
+            console.log('Renderer: WebGL context restored.');
+            this._showMessageBox('Graphics Context Restored', 'The 3D view has been restored.', 'info');
+        } catch (error) {
+            console.error('Error during _handleContextRestored:', error);
+            this._showMessageBox('Graphics Context Error', `Failed to restore the 3D view: ${error.message}. Reload the page to continue.`, 'error');
+        }
+    }
 
-            // Initialize OrbitControls. These controls enable interactive camera movement.
-            // They require the camera and the DOM element (canvas) to attach listeners.
-            orbitControls = new THREE.OrbitControls(camera, renderer.domElement);
-            orbitControls.enableDamping = true;     // Enables damping for smoother camera movement after user input.
-            orbitControls.dampingFactor = 0.05;     // Damping factor. Higher values mean more damping (slower deceleration).
-            orbitControls.screenSpacePanning = false; // Prevents panning in screen space, useful for 3D scenes.
-            orbitControls.minDistance = SCENE_CONSTANTS.MIN_CAMERA_DISTANCE; // Minimum distance the camera can zoom in.
-            orbitControls.maxDistance = SCENE_CONSTANTS.MAX_CAMERA_DISTANCE; // Maximum distance the camera can zoom out.
-            orbitControls.maxPolarAngle = SCENE_CONSTANTS.MAX_POLAR_ANGLE; // Restricts vertical orbit to prevent camera from going below the "ground" plane.
-            console.log('OrbitControls: Initialized with damping and distance limits.');
+    /**
+     * @private
+     * @method _refreshGpuResources
+     * @description Marks every material in the scene, every texture on them and the starfield texture for
+     * rebuilding, so the next render recreates them on the GPU.
+     */
+    _refreshGpuResources() {
+        scene.traverse(object => {
+            [].concat(object.material || []).forEach(material => {
+                material.needsUpdate = true;
+            });
+        });
+        const textures = this._collectSceneTextures();
+        // Textures still loading have no image yet; they are uploaded when it arrives.
+        textures.forEach(texture => {
+            if (texture.image) texture.needsUpdate = true;
+        });
+        console.log(`Renderer: ${textures.size} textures queued for upload after the context was restored.`);
+    }
+
+    /**
+     * @private
+     * @method _toggleAnimation
+     * @description Toggles the animation state between paused and resumed.
+     * It stops or starts the `requestAnimationFrame` loop and updates the button text
+     * and icon to reflect the current simulation state.
+     */
+    _toggleAnimation() {
+        try {
+            if (isPaused && isContextLost) {
+                // There is nothing to render into until the context is back; `_handleContextRestored` resumes.
+                pausedByContextLoss = true;
+                this._showMessageBox('Graphics Context Lost', 'The 3D view is not available yet. The simulation will continue as soon as the browser restores it.', 'warning');
+                return;
+            }
+            isPaused = !isPaused; // Invert the boolean state of the `isPaused` flag.
+            const playIcon = document.getElementById('play-icon');
+            const pauseIcon = document.getElementById('pause-icon');
+
+            if (isPaused) {
+                // If the simulation is now paused:
+                if (animationFrameId) {
+                    cancelAnimationFrame(animationFrameId); // Cancel the ongoing animation frame request.
+                    animationFrameId = null; // Clear the stored animation frame ID.
+                }
+                // Update the button text and icons to indicate the 'Resume' state.
+                toggleAnimationBtn.querySelector('.button-text').textContent = 'Resume Simulation';
+                if (playIcon) playIcon.style.display = 'inline-block';
+                if (pauseIcon) pauseIcon.style.display = 'none';
+                if (animationStatusDisplay) animationStatusDisplay.textContent = 'Yes';
+                console.log('Simulation: Animation paused.');
+            } else {
+                // If the simulation is now resumed:
+                clock.getDelta(); // Drop the time spent paused, so the simulation continues where it stopped.
+                this.animate(); // Restart the main animation loop.
+                // Update the button text and icons to indicate the 'Pause' state.
+                toggleAnimationBtn.querySelector('.button-text').textContent = 'Pause Simulation';
+                if (playIcon) playIcon.style.display = 'none';
+                if (pauseIcon) pauseIcon.style.display = 'inline-block';
+                if (animationStatusDisplay) animationStatusDisplay.textContent = 'No';
+                console.log('Simulation: Animation resumed.');
+            }
+        } catch (error) {
+            console.error('Error during _toggleAnimation:', error);
+            this._showMessageBox('Animation Control Error', `Failed to toggle animation: ${error.message}.`, 'error');
+        }
+    }
+
+    /**
+     * @private
+     * @method _updatePointerFromEvent
+     * @description Converts a pointer event's position into normalized device coordinates relative to the canvas
+     * (not the window), so picking stays correct when the canvas is offset or not full-screen, and stores them in
+     * the shared `mouse` vector used for raycasting.
+     * @param {PointerEvent} event - The pointer event.
+     */
+    _updatePointerFromEvent(event) {
+        const rect = renderer.domElement.getBoundingClientRect();
+        // NDC range from -1 to +1, where (-1,-1) is bottom-left and (1,1) is top-right of the canvas.
+        mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1; // Y-axis is inverted in Three.js.
+
+        // Update debug info for mouse coordinates (skipped while the debug panel is hidden).
+        if (!layerVisibility.debug) return;
+        if (mouseNDCXDisplay) mouseNDCXDisplay.textContent = mouse.x.toFixed(3);
+        if (mouseNDCYDisplay) mouseNDCYDisplay.textContent = mouse.y.toFixed(3);
+    }
+
+    /**
+     * @private
+     * @method _pickBodyAt
+     * @description Raycasts from the camera through a point on the canvas and returns the closest body hit.
+     * `planets` also holds every satellite, so moons can be picked just like planets.
+     * @param {THREE.Vector2} ndc - The point in normalized device coordinates.
+     * @returns {object|null} The `planets` entry that was hit, or `null`.
+     */
+    _pickBodyAt(ndc) {
+        raycaster.setFromCamera(ndc, camera);
+        // The raycaster ignores `visible`, so bodies hidden by the type filter (or not launched yet) are left out here.
+        const intersects = raycaster.intersectObjects(planets.filter(p => this._isBodyShown(p)).map(p => p.mesh), false);
+        const hit = intersects.find(intersection => intersection.object.isPlanet);
+        return hit ? planets.find(p => p.mesh === hit.object) || null : null;
+    }
+
+    /**
+     * @private
+     * @method _onPointerMove
+     * @description Event handler for pointer movement (mouse, pen or touch) on the canvas. It updates the pointer
+     * position used for hover labels and turns the current press into a drag once it moves beyond the tap tolerance,
+     * leaving the gesture to OrbitControls.
+     * @param {PointerEvent} event - The native pointermove event object.
+     */
+    _onPointerMove(event) {
+        try {
+            // Touch pointers only "hover" while pressed; their labels are handled by taps instead.
+            if (event.pointerType === 'mouse') {
+                this._updatePointerFromEvent(event);
+                isMouseHovering = true;
+            }
 
-            // Initialize the Three.js Clock. This is used to calculate `deltaTime` between frames,
-            // making animations frame-rate independent and consistent across different devices.
-            clock = new THREE.Clock();
-            console.log('Clock: THREE.Clock initialized for delta time calculations.');
+            if (activePointerGesture && activePointerGesture.pointerId === event.pointerId && !activePointerGesture.isDrag) {
+                const movement = Math.hypot(event.clientX - activePointerGesture.startX, event.clientY - activePointerGesture.startY);
+                if (movement > SCENE_CONSTANTS.TAP_MOVE_TOLERANCE_PX) {
+                    activePointerGesture.isDrag = true;
+                    clearTimeout(activePointerGesture.longPressTimer);
+                }
+            }
         } catch (error) {
-            console.error('Error during _initScene:', error);
-            this._showMessageBox('Scene Setup Error', `Failed to initialize 3D scene components: ${error.message}.`, 'error');
+            console.error('Error during _onPointerMove:', error);
+            // No message box here to avoid spamming for frequent events.
         }
     }
 
     /**
      * @private
-     * @method _setupLights
-     * @description Configures and adds lighting to the Three.js scene.
-     * This typically includes an AmbientLight for general illumination and a PointLight to simulate the Sun's light.
+     * @method _onPointerDown
+     * @description Starts tracking a press on the canvas to tell taps, long-presses and drags apart.
+     * A second simultaneous pointer (pinch or two-finger pan) turns the gesture into a drag.
+     * @param {PointerEvent} event - The native pointerdown event object.
      */
-    _setupLights() {
-        console.log('Lights: Setting up scene lighting...');
+    _onPointerDown(event) {
         try {
-            // Add an AmbientLight. This light illuminates all objects in the scene equally from all directions.
-            // It helps to prevent parts of objects from being completely black in shadowed areas, providing soft base illumination.
-            const ambientLight = new THREE.AmbientLight(SCENE_CONSTANTS.AMBIENT_LIGHT_COLOR);
-            scene.add(ambientLight);
-            console.log('Lights: AmbientLight added to the scene.');
-
-            // Add a PointLight. This light emits light from a single point in all directions,
-            // similar to a light bulb. It will simulate the Sun's illumination, casting shadows (if enabled on renderer).
-            const sunLight = new THREE.PointLight(
-                SCENE_CONSTANTS.SUN_LIGHT_COLOR,
-                SCENE_CONSTANTS.SUN_LIGHT_INTENSITY,
-                0 // Distance: 0 means the light has an infinite range, illuminating the entire scene.
-            );
-            // Position the Sun's light source at the origin (0,0,0), matching the Sun mesh's position.
-            sunLight.position.set(0, 0, 0);
-            scene.add(sunLight);
-            console.log('Lights: PointLight (simulating Sun) added to the scene at origin.');
-
-            // Optional: Add a helper to visualize the point light source in the scene.
-            // This is useful for debugging light placement during development but can be commented out for production.
-            // const pointLightHelper = new THREE.PointLightHelper(sunLight, 10); // Helper with size 10.
-            // scene.add(pointLightHelper);
-            // console.log('Lights: PointLightHelper added for debugging purposes.');
+            activePointerIds.add(event.pointerId);
+            if (activePointerGesture) {
+                // Multi-touch gesture: it belongs to OrbitControls, never to picking.
+                activePointerGesture.isDrag = true;
+                clearTimeout(activePointerGesture.longPressTimer);
+                return;
+            }
+            if (event.pointerType === 'mouse' && event.button !== 0) return; // Only the primary button selects.
+
+            const gesture = {
+                pointerId: event.pointerId,
+                pointerType: event.pointerType,
+                startX: event.clientX,
+                startY: event.clientY,
+                startTime: performance.now(),
+                isDrag: false,
+                longPressFired: false,
+                longPressTimer: null
+            };
+            gesture.longPressTimer = setTimeout(() => {
+                if (activePointerGesture !== gesture || gesture.isDrag) return;
+                gesture.longPressFired = true;
+                this._onLongPress(event);
+            }, SCENE_CONSTANTS.LONG_PRESS_DURATION_MS);
+            activePointerGesture = gesture;
+        } catch (error) {
+            console.error('Error during _onPointerDown:', error);
+        }
+    }
 
-            // Enable shadows on the renderer (requires `renderer.shadowMap.enabled = true;` in _initScene)
-            // and on the light source (`sunLight.castShadow = true;`) and objects (`mesh.castShadow = true; mesh.receiveShadow = true;`).
-            // For simplicity, shadows are not fully implemented in this version to keep focus on core features.
+    /**
+     * @private
+     * @method _onPointerUp
+     * @description Ends a press. A short press that did not move is a tap; drags and long-presses are ignored here.
+     * Listens on the window, because a drag may end outside the canvas.
+     * @param {PointerEvent} event - The native pointerup event object.
+     */
+    _onPointerUp(event) {
+        try {
+            activePointerIds.delete(event.pointerId);
+            const gesture = activePointerGesture;
+            if (!gesture || gesture.pointerId !== event.pointerId) return;
+            activePointerGesture = null;
+            clearTimeout(gesture.longPressTimer);
+
+            const isTap = !gesture.isDrag && !gesture.longPressFired && event.target === renderer.domElement &&
+                performance.now() - gesture.startTime <= SCENE_CONSTANTS.TAP_MAX_DURATION_MS;
+            if (isTap) this._onTap(event);
         } catch (error) {
-            console.error('Error during _setupLights:', error);
-            this._showMessageBox('Lighting Error', `Failed to set up scene lights: ${error.message}.`, 'error');
+            console.error('Error during _onPointerUp:', error);
+            this._showMessageBox('Interaction Error', `An error occurred during tap handling: ${error.message}.`, 'error');
         }
     }
 
     /**
      * @private
-     * @method _loadTexturesAndCreateBodies
-     * @description Manages the asynchronous loading of textures for all celestial bodies and the background.
-     * After textures are loaded (or fail to load), it proceeds to create the 3D meshes for each body.
-     * It uses Promises to handle the asynchronous nature of texture loading efficiently.
+     * @method _onPointerCancel
+     * @description Abandons the current press when the browser takes over the pointer (e.g. for scrolling).
+     * @param {PointerEvent} event - The native pointercancel event object.
      */
-    _loadTexturesAndCreateBodies() {
-        console.log('Textures: Starting texture loading and celestial body creation process...');
-        const textureLoaderInstance = this.textureLoader; // Use the textureLoader linked to the LoadingManager.
+    _onPointerCancel(event) {
+        activePointerIds.delete(event.pointerId);
+        if (activePointerGesture && activePointerGesture.pointerId === event.pointerId) {
+            clearTimeout(activePointerGesture.longPressTimer);
+            activePointerGesture = null;
+        }
+    }
 
-        // Define the path for the background stars texture.
-        const starfieldTexturePath = './assets/textures/8k_stars_milky_way.jpg';
+    /**
+     * @private
+     * @method _onPointerLeave
+     * @description Stops hover labelling when the mouse leaves the canvas, so no stale hover label remains.
+     * @param {PointerEvent} event - The native pointerleave event object.
+     */
+    _onPointerLeave(event) {
+        if (event.pointerType === 'mouse') isMouseHovering = false;
+    }
 
-        // Load the background stars texture first. This texture will be applied to the scene's background.
-        textureLoaderInstance.load(
-            starfieldTexturePath,
-            (texture) => {
-                // Success callback: The starfield texture has loaded successfully.
-                scene.background = texture; // Set the loaded texture as the scene's background.
-                console.log('Textures: Stars background texture loaded successfully.');
-            },
-            undefined, // onProgress callback is handled by the global LoadingManager.
-            (error) => {
-                // Error callback: Failed to load background texture.
-                console.error(`Error loading stars background texture from ${starfieldTexturePath}:`, error);
-                // Fallback to a solid black background color if texture loading fails.
-                scene.background = new THREE.Color(SCENE_CONSTANTS.BACKGROUND_COLOR);
-                this._showMessageBox('Texture Load Error', `Failed to load starfield background: ${starfieldTexturePath}.`, 'warning');
+    /**
+     * @private
+     * @method _onTap
+     * @description Handles a tap or click on the canvas. With a mouse, clicking a body focuses it (the hover label
+     * already identifies it). On touch screens, which cannot hover, the first tap on a body pins its label and a
+     * second tap on the same body focuses it. Tapping empty space clears the label and stops a running focus
+     * transition; follow mode is kept and only ended through its explicit "stop following" action.
+     * @param {PointerEvent} event - The pointerup event that completed the tap.
+     */
+    _onTap(event) {
+        this._updatePointerFromEvent(event);
+        const tappedBody = this._pickBodyAt(mouse);
+        if (tappedBody) {
+            console.log(`Tap: ${tappedBody.name} (${event.pointerType}).`);
+            if (event.pointerType !== 'mouse' && pinnedLabelBody !== tappedBody) {
+                pinnedLabelBody = tappedBody; // First tap: identify the body.
+                return;
             }
-        );
-
-        // Create an array of Promises, one for each celestial body's main texture.
-        const bodyTexturePromises = [];
-        CELESTIAL_BODIES_DATA.forEach(bodyData => {
-            const promise = new Promise((resolve) => {
-                // Load the main surface texture for the current celestial body.
-                textureLoaderInstance.load(
-                    bodyData.texture,
-                    (texture) => {
-                        // Success: Store the loaded texture object directly on the bodyData object.
-                        bodyData.loadedTexture = texture;
-                        console.log(`Textures: Main texture for ${bodyData.name} loaded successfully.`);
-                        resolve(); // Resolve this promise, indicating completion for this texture.
-                    },
-                    undefined, // onProgress (handled by LoadingManager).
-                    (error) => {
-                        // Error: Log the error and mark the texture as null to indicate failure.
-                        console.error(`Error loading main texture for ${bodyData.name} from ${bodyData.texture}:`, error);
-                        bodyData.loadedTexture = null; // Indicate that texture loading failed for this body.
-                        this._showMessageBox('Texture Load Error', `Failed to load texture for ${bodyData.name}: ${bodyData.texture}. Using fallback color.`, 'warning');
-                        resolve(); // Resolve the promise anyway to allow `Promise.all` to complete.
-                    }
-                );
-            });
-            bodyTexturePromises.push(promise);
-
-            // Special handling for Saturn: if it has rings and a ring texture path is provided.
-            if (bodyData.name === 'Saturn' && bodyData.hasRings && bodyData.ringTexture) {
-                const ringPromise = new Promise((resolve) => {
-                    // Load Saturn's ring texture.
-                    textureLoaderInstance.load(
-                        bodyData.ringTexture,
-                        (texture) => {
-                            bodyData.loadedRingTexture = texture; // Store the loaded ring texture.
-                            console.log(`Textures: Ring texture for ${bodyData.name} loaded successfully.`);
-                            resolve();
-                        },
-                        undefined,
-                        (error) => {
-                            console.error(`Error loading ring texture for ${bodyData.name} from ${bodyData.ringTexture}:`, error);
-                            bodyData.loadedRingTexture = null; // Mark ring texture as null on failure.
-                            this._showMessageBox('Texture Load Error', `Failed to load ring texture for ${bodyData.name}: ${bodyData.ringTexture}. Rings might not appear.`, 'warning');
-                            resolve(); // Resolve to allow main process to continue.
-                        }
-                    );
-                });
-                bodyTexturePromises.push(ringPromise); // Add ring texture promise to the array.
+            pinnedLabelBody = null;
+            // Fly to the tapped body and lock the camera onto it, so it stays centred as it orbits.
+            this._focusOnBody(tappedBody);
+        } else {
+            pinnedLabelBody = null;
+            if (isCameraFocusing) {
+                isCameraFocusing = false;
+                console.log('Camera Focus: No planet tapped, stopping active camera focus.');
             }
-        });
-
-        // Use Promise.all to wait for all texture loading attempts (success or failure) to complete.
-        Promise.all(bodyTexturePromises).then(() => {
-            console.log('Textures: All celestial body textures processed. Proceeding to create 3D meshes.');
-            // After all textures are processed, iterate through the data again to create the 3D meshes.
-            CELESTIAL_BODIES_DATA.forEach(bodyData => {
-                try {
-                    if (bodyData.name === 'Sun') {
-                        // For the Sun, create its mesh and add it directly to the scene.
-                        sunMesh = this._createCelestialBody(
-                            bodyData.radius,
-                            bodyData.loadedTexture, // Pass loaded texture (or null if failed).
-                            bodyData.color,
-                            bodyData.isLightSource
-                        );
-                        scene.add(sunMesh); // Add the Sun directly to the scene's origin.
-                        // Store a reference to the sun mesh on its data object for rotation updates in the animation loop.
-                        bodyData.mesh = sunMesh;
-                        console.log(`Body Created: ${bodyData.name} mesh added to scene.`);
-                    } else {
-                        // For planets, create the planet mesh and its orbital group.
-                        const planetObject = this._createPlanetOrbit(
-                            bodyData.radius,
-                            bodyData.distance,
-                            bodyData.orbitalSpeed,
-                            bodyData.rotationSpeed,
-                            bodyData.loadedTexture, // Pass loaded texture (or null if failed).
-                            bodyData.color
-                        );
-                        // Store relevant planet data (mesh, orbit group, speeds, initial angle) in the 'planets' array.
-                        planets.push({
-                            name: bodyData.name,
-                            mesh: planetObject.mesh,
-                            orbitGroup: planetObject.orbitGroup,
-                            orbitalSpeed: bodyData.orbitalSpeed,
-                            rotationSpeed: bodyData.rotationSpeed,
-                            orbitalSpeedFactor: 1.0, // Initialize individual speed factor to 1.0.
-                            currentAngle: 0 // Initialize current orbital angle for animation calculations.
-                        });
-                        scene.add(planetObject.orbitGroup); // Add the orbit group (which contains the planet) to the scene.
-                        console.log(`Body Created: ${bodyData.name} with orbit group added to scene.`);
-
-                        // Special handling to create Saturn's rings if specified in its data.
-                        if (bodyData.name === 'Saturn' && bodyData.hasRings) {
-                            this._createSaturnRings(
-                                planetObject.mesh, // Pass Saturn's mesh.
-                                bodyData.loadedRingTexture, // Pass loaded ring texture (or null).
-                                bodyData.ringInnerRadiusFactor,
-                                bodyData.ringOuterRadiusFactor
-                            );
-                        }
-                    }
-                } catch (bodyCreationError) {
-                    console.error(`Error creating celestial body ${bodyData.name}:`, bodyCreationError);
-                    this._showMessageBox('Mesh Creation Error', `Failed to create 3D model for ${bodyData.name}: ${bodyCreationError.message}.`, 'error');
-                }
-            });
-            console.log('Celestial body mesh creation process completed for all defined bodies.');
-        }).catch(allPromisesError => {
-            // This catch block would only be hit if Promise.all itself fails, which is rare.
-            // Individual texture errors are handled and resolved within their own promises.
-            console.error('An unexpected error occurred during Promise.all for texture loading:', allPromisesError);
-            this._showMessageBox('Critical Loading Error', `An unexpected error occurred during texture processing: ${allPromisesError.message}.`, 'error');
-            // Even if Promise.all fails, the individual texture loaders would have logged errors.
-            // We still try to create bodies with fallback colors as a last resort.
-            CELESTIAL_BODIES_DATA.forEach(bodyData => {
-                try {
-                    if (bodyData.name === 'Sun') {
-                        sunMesh = this._createCelestialBody(bodyData.radius, null, bodyData.color, bodyData.isLightSource);
-                        scene.add(sunMesh);
-                    } else {
-                        const planetObject = this._createPlanetOrbit(bodyData.radius, bodyData.distance, bodyData.orbitalSpeed, bodyData.rotationSpeed, null, bodyData.color);
-                        planets.push({
-                            name: bodyData.name,
-                            mesh: planetObject.mesh,
-                            orbitGroup: planetObject.orbitGroup,
-                            orbitalSpeed: bodyData.orbitalSpeed,
-                            rotationSpeed: bodyData.rotationSpeed,
-                            orbitalSpeedFactor: 1.0,
-                            currentAngle: 0
-                        });
-                        scene.add(planetObject.orbitGroup);
-                        if (bodyData.name === 'Saturn' && bodyData.hasRings) {
-                            this._createSaturnRings(planetObject.mesh, null, bodyData.ringInnerRadiusFactor, bodyData.ringOuterRadiusFactor);
-                        }
-                    }
-                } catch (fallbackBodyCreationError) {
-                    console.error(`Error creating fallback celestial body ${bodyData.name}:`, fallbackBodyCreationError);
-                }
-            });
-            console.warn('Celestial bodies created with fallbacks due to texture loading issues or unexpected errors.');
-        });
+        }
     }
 
     /**
      * @private
-     * @method _createCelestialBody
-     * @description Creates a 3D sphere mesh for a celestial body (either the Sun or a planet).
-     * It handles applying textures or fallback colors and sets up appropriate material properties
-     * based on whether the body is a light source or reflects light.
-     * @param {number} radius - The radius of the sphere geometry for the celestial body.
-     * @param {THREE.Texture|null} texture - The Three.js Texture object to apply to the surface, or `null` if loading failed.
-     * @param {number} fallbackColor - A hexadecimal color value to use if the texture is not available or fails to load.
-     * @param {boolean} isLightSource - A boolean flag: `true` if the body emits light (like the Sun), `false` otherwise.
-     * @returns {THREE.Mesh} The created Three.js Mesh object representing the celestial body.
+     * @method _onLongPress
+     * @description Handles pressing and holding on a body: opens its information panel without moving the camera.
+     * @param {PointerEvent} event - The pointerdown event that started the press.
      */
-    _createCelestialBody(radius, texture, fallbackColor, isLightSource = false) {
+    _onLongPress(event) {
         try {
-            // Create a SphereGeometry. High segment counts (64x64) ensure a smooth, detailed sphere.
-            const geometry = new THREE.SphereGeometry(radius, 64, 64);
-            console.log(`_createCelestialBody: SphereGeometry created with radius ${radius}.`);
-
-            let material;
-            if (isLightSource) {
-                // For the Sun (which emits its own light), use MeshBasicMaterial.
-                // This material is not affected by other lights in the scene and can be made to glow.
-                material = new THREE.MeshBasicMaterial({
-                    map: texture || null, // Apply the loaded texture if available, otherwise no map.
-                    // If a texture is present, use white color so the texture's colors are fully visible.
-                    // If no texture, use the provided fallback color directly.
-                    color: texture ? 0xFFFFFF : fallbackColor,
-                    // The emissive property makes the material glow, simulating the Sun's light emission.
-                    emissive: texture ? 0xFFFFFF : fallbackColor, // Emissive color matches the body's color/texture.
-                    emissiveIntensity: 1 // Full intensity for the glow effect.
-                });
-                console.log('_createCelestialBody: MeshBasicMaterial (light source) created.');
-            } else {
-                // For planets (which reflect light from the Sun), use MeshStandardMaterial.
-                // This material reacts realistically to lights in the scene and supports physically based rendering (PBR).
-                material = new THREE.MeshStandardMaterial({
-                    map: texture || null, // Apply the loaded texture if available.
-                    color: texture ? 0xFFFFFF : fallbackColor, // White for texture, fallback color otherwise.
-                    roughness: 0.8, // Defines how rough the surface is (0 = perfectly smooth, 1 = perfectly rough).
-                    metalness: 0.1,  // Defines how metallic the surface is (0 = dielectric/non-metal, 1 = metallic).
-                    // Optional: normalMap, aoMap, displacementMap could be added here for more detail.
-                });
-                console.log('_createCelestialBody: MeshStandardMaterial (planet) created.');
-            }
-
-            // Create the Mesh by combining the defined geometry and material.
-            const mesh = new THREE.Mesh(geometry, material);
-            // Assign a custom property to identify this as a planet mesh for raycasting (hover/click).
-            mesh.isPlanet = !isLightSource; // True if it's a planet, false if it's the Sun.
-            // Assign a unique name to the mesh for easier identification during debugging and interaction.
-            mesh.name = isLightSource ? 'Sun' : `Planet_${CELESTIAL_BODIES_DATA.find(d => d.radius === radius && d.isLightSource === isLightSource)?.name || 'Unknown'}`;
-            console.log(`_createCelestialBody: Mesh created for ${mesh.name} with radius ${radius}.`);
-            return mesh;
+            this._updatePointerFromEvent(event);
+            const pressedBody = this._pickBodyAt(mouse);
+            if (!pressedBody) return;
+            console.log(`Long Press: Showing information for ${pressedBody.name}.`);
+            pinnedLabelBody = pressedBody;
+            this._showBodyInfo(pressedBody);
         } catch (error) {
-            console.error(`_createCelestialBody: Error creating celestial body with radius ${radius}:`, error);
-            this._showMessageBox('3D Model Error', `Failed to create 3D model for a celestial body: ${error.message}. A placeholder will be used.`, 'error');
-            // Return a basic fallback mesh to prevent application crash.
-            return new THREE.Mesh(new THREE.SphereGeometry(radius, 32, 32), new THREE.MeshBasicMaterial({ color: fallbackColor }));
+            console.error('Error during _onLongPress:', error);
         }
     }
 
     /**
      * @private
-     * @method _createPlanetOrbit
-     * @description Creates a planet mesh and an orbital group (THREE.Object3D) for it.
-     * The planet mesh is added as a child to the orbital group. This group is then
-     * positioned and rotated to simulate the planet's orbit around the Sun.
-     * An orbital path (a thin ring) is also added for visual guidance of the trajectory.
-     * @param {number} radius - The radius of the planet's sphere geometry.
-     * @param {number} distance - The orbital distance of the planet from the Sun (center of the scene).
-     * @param {number} orbitalSpeed - The base speed at which the planet orbits around the Sun.
-     * @param {number} rotationSpeed - The base speed at which the planet rotates on its own axis.
-     * @param {THREE.Texture|null} texture - The Three.js Texture object for the planet's surface.
-     * @param {number} fallbackColor - A hexadecimal color to use if the texture is not available.
-     * @returns {object} An object containing the planet's mesh and its orbital group.
+     * @method _focusOnBody
+     * @description Starts a smooth camera transition towards a body and locks the camera onto it (follow mode).
+     * The camera ends up slightly behind and above the body; from then on `_updateCameraFollow` carries the camera
+     * along with the body every frame, preserving whatever offset the user chooses with OrbitControls.
+     * @param {object} body - A `planets` entry (or any object with `name` and `mesh`) to focus on.
      */
-    _createPlanetOrbit(radius, distance, orbitalSpeed, rotationSpeed, texture, fallbackColor) {
+    _focusOnBody(body) {
         try {
-            // Create an Object3D. This acts as a pivot point or container for the planet.
-            // By rotating this group around the scene's origin, the planet (as its child) will orbit.
-            const orbitGroup = new THREE.Object3D();
-            // Store the initial orbital speed and distance on the group for animation calculations.
-            orbitGroup.orbitalSpeed = orbitalSpeed;
-            orbitGroup.distance = distance;
-            // Assign a custom property to identify this as a planet's orbit group for specific logic (e.g., raycasting).
-            orbitGroup.isPlanetOrbitGroup = true;
-            console.log(`_createPlanetOrbit: OrbitGroup created for orbital distance ${distance}.`);
-
-            // Create the planet's actual 3D sphere mesh using the helper function.
-            const planetMesh = this._createCelestialBody(radius, texture, fallbackColor, false); // Not a light source.
-            // Assign a unique name to the planet mesh for identification (e.g., "Planet_Earth").
-            planetMesh.name = `Planet_${CELESTIAL_BODIES_DATA.find(d => d.radius === radius && d.distance === distance)?.name || 'Unknown'}`;
-            console.log(`_createPlanetOrbit: Planet mesh created for ${planetMesh.name}.`);
-
-            // Position the planet mesh relative to its orbit group's center.
-            // This means the planet will be 'distance' units away from the orbit group's pivot point.
-            // When the orbit group rotates, the planet will move in a circle around the scene's origin.
-            planetMesh.position.set(distance, 0, 0);
-
-            // Store the self-rotation speed directly on the planet mesh for individual rotation animation.
-            planetMesh.rotationSpeed = rotationSpeed;
-
-            // Add the planet mesh as a child of the orbit group.
-            // This establishes the parent-child relationship crucial for orbital motion.
-            orbitGroup.add(planetMesh);
-            console.log(`_createPlanetOrbit: Planet mesh ${planetMesh.name} added as child to its orbit group.`);
-
-            // Optional: Add an orbital path (a thin circle) for visual guidance of the planet's trajectory.
-            const orbitPathGeometry = new THREE.RingGeometry(distance - 0.1, distance + 0.1, 128); // Create a thin ring.
-            const orbitPathMaterial = new THREE.MeshBasicMaterial({
-                color: SCENE_CONSTANTS.ORBIT_PATH_COLOR, // Dark gray color for the path.
-                side: THREE.DoubleSide, // Render both sides of the ring for visibility from all angles.
-                transparent: true,      // Enable transparency for the material.
-                opacity: SCENE_CONSTANTS.ORBIT_PATH_OPACITY, // Set desired opacity.
-                depthWrite: false       // Prevents the ring from writing to the depth buffer, avoiding z-fighting issues.
-            });
-            const orbitPath = new THREE.Mesh(orbitPathGeometry, orbitPathMaterial);
-            // Rotate the path to lie flat on the XZ plane (the typical orbital plane).
-            orbitPath.rotation.x = Math.PI / 2; // Rotate by 90 degrees around the X-axis.
-            scene.add(orbitPath); // Add the orbit path directly to the scene, not to the orbit group, so it remains static.
-            console.log(`_createPlanetOrbit: Orbital path created for ${planetMesh.name} at distance ${distance}.`);
-
-            return { mesh: planetMesh, orbitGroup: orbitGroup };
+            // Get the world position of the body.
+            const targetBodyPosition = new THREE.Vector3();
+            body.mesh.getWorldPosition(targetBodyPosition);
+
+            // Lock onto the body first, so the zoom limits are already adapted to its size (see `_updateCameraLimits`)
+            // and the focus keeps tracking it while the simulation runs.
+            this._followBody(body);
+
+            // Determine the new camera position for focusing.
+            // We want the camera to be slightly behind and above the body for a good view.
+            // The offset is proportional to the body's current (scaled) radius to ensure consistent framing regardless
+            // of its size, but kept within the OrbitControls zoom limits so the transition can actually reach its target.
+            const radius = body.mesh.geometry.parameters.radius * body.mesh.scale.x;
+            const focusOffset = new THREE.Vector3(radius * 2, radius * 3, radius * 5);
+            focusOffset.clampLength(orbitControls.minDistance * 1.05, orbitControls.maxDistance * 0.95);
+            cameraTargetPosition.copy(targetBodyPosition).add(focusOffset);
+
+            // The camera should look directly at the center of the body.
+            cameraTargetLookAt.copy(targetBodyPosition);
+            isCameraFocusing = true; // Set the flag to true to start the camera focusing animation.
+
+            // Open the information panel for the selected body.
+            this._showBodyInfo(body);
+            console.log(`Camera Focus: Initiating smooth focus on ${body.name} and following it.`);
         } catch (error) {
-            console.error(`_createPlanetOrbit: Error creating planet orbit for distance ${distance}:`, error);
-            this._showMessageBox('Planet Orbit Error', `Failed to create orbit for a planet: ${error.message}. A basic fallback will be used.`, 'error');
-            // Return a fallback structure to prevent application crash.
-            const fallbackOrbitGroup = new THREE.Object3D();
-            const fallbackMesh = this._createCelestialBody(radius, null, fallbackColor, false);
-            fallbackMesh.position.set(distance, 0, 0);
-            fallbackOrbitGroup.add(fallbackMesh);
-            return { mesh: fallbackMesh, orbitGroup: fallbackOrbitGroup };
+            console.error('Error during _focusOnBody:', error);
+            this._showMessageBox('Camera Focus Error', `Failed to focus on ${body && body.name}: ${error.message}.`, 'error');
         }
     }
 
     /**
      * @private
-     * @method _createSaturnRings
-     * @description Creates and adds a ring system to the Saturn mesh.
-     * It loads a specific texture for the rings and applies it, handling fallback colors if needed.
-     * @param {THREE.Mesh} saturnMesh - The Three.js Mesh object representing Saturn.
-     * @param {THREE.Texture|null} ringTexture - The Three.js Texture object for Saturn's rings, or `null` if loading failed.
-     * @param {number} innerRadiusFactor - A factor to calculate the inner radius of the rings relative to Saturn's radius.
-     * @param {number} outerRadiusFactor - A factor to calculate the outer radius of the rings relative to Saturn's radius.
+     * @method _followBody
+     * @description Locks the camera onto a body (follow mode) without moving the camera; from the next frame on,
+     * `_updateCameraFollow` carries the camera along with the body.
+     * @param {object} body - A `planets` entry (or any object with `name` and `mesh`) to follow.
      */
-    _createSaturnRings(saturnMesh, ringTexture, innerRadiusFactor, outerRadiusFactor) {
-        console.log('Saturn Rings: Attempting to create rings for Saturn...');
-        try {
-            // Calculate the inner and outer radii for Saturn's rings based on factors of Saturn's radius.
-            const innerRadius = saturnMesh.geometry.parameters.radius * innerRadiusFactor;
-            const outerRadius = saturnMesh.geometry.parameters.radius * outerRadiusFactor;
-            const segments = 64; // Number of segments for the ring geometry, higher for smoother appearance.
-
-            // Create a RingGeometry for the rings.
-            const ringGeometry = new THREE.RingGeometry(innerRadius, outerRadius, segments);
-            console.log('Saturn Rings: RingGeometry created.');
-
-            let ringMaterial;
-            if (ringTexture) {
-                // If a ring texture is available, create a MeshBasicMaterial with the texture.
-                // MeshBasicMaterial is suitable for rings as they don't typically cast/receive complex shadows
-                // in simplified solar system simulations and are self-illuminating from the Sun's light.
-                ringMaterial = new THREE.MeshBasicMaterial({
-                    map: ringTexture,       // Apply the loaded ring texture.
-                    side: THREE.DoubleSide, // Render both sides of the ring for visibility from all angles.
-                    transparent: true,      // Enable transparency to allow the alpha channel in the texture to work.
-                    opacity: 0.8,           // Adjust overall opacity of the rings.
-                    alphaTest: 0.01,        // Prevents rendering very faint pixels, improving performance.
-                    depthWrite: false       // Crucial: Prevents the rings from writing to the depth buffer,
-                                            // which can cause rendering artifacts (z-fighting) with the planet.
-                });
-                console.log('Saturn Rings: MeshBasicMaterial with texture created for rings.');
-            } else {
-                // Fallback: If ring texture loading failed, create rings with a simple gray color.
-                console.warn('Saturn Rings: Ring texture not available, using fallback color for rings.');
-                ringMaterial = new THREE.MeshBasicMaterial({
-                    color: 0x888888,        // A default gray color.
-                    side: THREE.DoubleSide,
-                    transparent: true,
-                    opacity: 0.4,           // Lower opacity for a more subtle fallback.
-                    depthWrite: false
-                });
-            }
+    _followBody(body) {
+        followedBody = body;
+        body.mesh.getWorldPosition(lastFollowedPosition);
+        this._updateCameraLimits(); // The zoom limits follow the size of the followed body.
+        this._updateFollowIndicator();
+        this._updateFocusTextures();
+        console.log(`Camera Follow: Following ${body.name}.`);
+    }
 
-            // Create the ring mesh by combining the geometry and material.
-            const ringMesh = new THREE.Mesh(ringGeometry, ringMaterial);
-            // Rotate the rings to be flat on the XZ plane, aligning with Saturn's equatorial plane.
-            ringMesh.rotation.x = Math.PI / 2; // Rotate by 90 degrees (PI/2 radians) around the X-axis.
-            // Add the rings as a child of Saturn's mesh.
-            // This ensures the rings move and rotate along with Saturn itself.
-            saturnMesh.add(ringMesh);
-            console.log('Saturn Rings: Rings mesh successfully added to Saturn.');
-        } catch (error) {
-            console.error('Error creating Saturn rings:', error);
-            this._showMessageBox('Ring Creation Error', `Failed to create Saturn's rings: ${error.message}.`, 'error');
+    /**
+     * @private
+     * @method _getLightSourceBody
+     * @description Describes the central star (the light source) in the same shape as a `planets` entry, so it can
+     * be focused, followed and shown in the info panel like any other body.
+     * @returns {object|null} An object with `name`, `data`, `mesh` and `parent`, or `null` if there is no star.
+     */
+    _getLightSourceBody() {
+        const data = activeSystemBodies.find(bodyData => bodyData.isLightSource);
+        if (!sunMesh || !data) return null;
+        if (!lightSourceBody || lightSourceBody.mesh !== sunMesh) {
+            lightSourceBody = { name: data.name, data: data, mesh: sunMesh, parent: null, isSatellite: false, type: 'star' };
         }
+        return lightSourceBody;
     }
 
     /**
      * @private
-     * @method _setupUI
-     * @description Gets references to all necessary HTML UI elements from the DOM and initializes their
-     * display values. This method ensures that the JavaScript can effectively interact with and update
-     * the HTML controls and information displays.
+     * @method _stopFollowing
+     * @description Releases the camera from follow mode. The camera stays where it is and the view no longer
+     * tracks the previously locked body.
      */
-    _setupUI() {
-        console.log('UI Setup: Getting references to UI elements and initializing displays...');
-        try {
-            // Get reference to the animation toggle button.
-            toggleAnimationBtn = document.getElementById('toggle-animation-btn');
-            if (!toggleAnimationBtn) console.warn("UI Setup: 'toggle-animation-btn' element not found in DOM.");
-
-            // Get references to the global speed slider and its value display span.
-            globalSpeedSlider = document.getElementById('global-speed-slider');
-            globalSpeedValueSpan = document.getElementById('global-speed-value');
-            if (!globalSpeedSlider) console.warn("UI Setup: 'global-speed-slider' element not found.");
-            if (!globalSpeedValueSpan) console.warn("UI Setup: 'global-speed-value' element not found.");
-
-            // Initialize global speed display if elements are found.
-            if (globalSpeedSlider && globalSpeedValueSpan) {
-                globalSpeedValueSpan.textContent = `${parseFloat(globalSpeedSlider.value).toFixed(2)}x`;
-                console.log('UI Setup: Global speed slider display initialized.');
-            }
-
-            // Get references for individual planet speed sliders and their value displays.
-            // Iterate through celestial bodies data, excluding the Sun, to find corresponding UI elements.
-            CELESTIAL_BODIES_DATA.filter(body => body.name !== 'Sun').forEach(body => {
-                const sliderId = `${body.name.toLowerCase()}-speed-slider`;
-                const valueSpanId = `${body.name.toLowerCase()}-speed-value`;
-
-                const slider = document.getElementById(sliderId);
-                const valueSpan = document.getElementById(valueSpanId);
-
-                if (slider && valueSpan) {
-                    // Store references in the respective objects for easy access later.
-                    planetSpeedSliders[body.name] = slider;
-                    planetSpeedValueSpans[body.name] = valueSpan;
-                    // Initialize display for individual planet speed based on its default slider value.
-                    valueSpan.textContent = `${parseFloat(slider.value).toFixed(2)}x`;
-                    console.log(`UI Setup: Slider and value span for ${body.name} initialized.`);
-                } else {
-                    console.warn(`UI Setup: Could not find slider or value span for ${body.name}. Expected IDs: ${sliderId}, ${valueSpanId}`);
-                }
-            });
-
-            // Get reference to the planet label element for hover display.
-            planetLabelElement = document.getElementById('planet-label');
-            if (!planetLabelElement) console.warn("UI Setup: 'planet-label' element not found.");
-
-            // Get reference to the reset camera button.
-            resetCameraButton = document.getElementById('reset-camera-btn');
-            if (!resetCameraButton) console.warn("UI Setup: 'reset-camera-btn' element not found.");
+    _stopFollowing() {
+        if (!followedBody) return;
+        console.log(`Camera Follow: Stopped following ${followedBody.name}.`);
+        followedBody = null;
+        this._updateCameraLimits();
+        this._updateFollowIndicator();
+        this._updateFocusTextures();
+    }
 
-            // Get references for the custom message box elements.
-            messageBoxElement = document.getElementById('custom-message-box');
-            messageBoxTextElement = document.getElementById('message-box-text');
-            messageBoxCloseButton = document.getElementById('message-box-close');
-            if (!messageBoxElement || !messageBoxTextElement || !messageBoxCloseButton) {
-                console.warn("UI Setup: One or more custom message box elements not found. Custom alerts will not function.");
-            } else {
-                console.log('UI Setup: Custom message box elements found.');
+    /**
+     * @private
+     * @method _updateCameraFollow
+     * @description Keeps the followed body centred. The body's movement since the last frame is added to both the
+     * camera and the OrbitControls target, so the user's chosen offset (rotation and zoom) is preserved while
+     * OrbitControls remains fully usable around the moving body. Any running focus transition is shifted as well.
+     */
+    _updateCameraFollow() {
+        if (!followedBody) return;
+        try {
+            const currentPosition = new THREE.Vector3();
+            followedBody.mesh.getWorldPosition(currentPosition);
+            const movement = currentPosition.clone().sub(lastFollowedPosition);
+
+            camera.position.add(movement);
+            orbitControls.target.add(movement);
+            if (isCameraFocusing) {
+                cameraTargetPosition.add(movement);
+                cameraTargetLookAt.add(movement);
             }
+            lastFollowedPosition.copy(currentPosition);
+        } catch (error) {
+            console.error('Error during _updateCameraFollow:', error);
+            // No message box here to avoid spamming for frequent updates.
+            followedBody = null; // Stop following on error.
+            this._updateFollowIndicator();
+        }
+    }
 
-            // Get references for debug information display elements.
-            fpsDisplay = document.getElementById('fps-display');
-            objectCountDisplay = document.getElementById('object-count');
-            cameraPosXDisplay = document.getElementById('camera-pos-x');
-            cameraPosYDisplay = document.getElementById('camera-pos-y');
-            cameraPosZDisplay = document.getElementById('camera-pos-z');
-            mouseNDCXDisplay = document.getElementById('mouse-ndc-x');
-            mouseNDCYDisplay = document.getElementById('mouse-ndc-y');
-            animationStatusDisplay = document.getElementById('animation-status');
-            focusStatusDisplay = document.getElementById('focus-status');
-
-            // Log warnings if any debug elements are missing.
-            if (!fpsDisplay || !objectCountDisplay || !cameraPosXDisplay || !cameraPosYDisplay || !cameraPosZDisplay ||
-                !mouseNDCXDisplay || !mouseNDCYDisplay || !animationStatusDisplay || !focusStatusDisplay) {
-                console.warn("UI Setup: One or more debug display elements not found. Debug info will be incomplete.");
-            } else {
-                console.log('UI Setup: All debug display elements found.');
-            }
+    /**
+     * @private
+     * @method _updateFollowIndicator
+     * @description Shows or hides the on-screen badge naming the body the camera is locked onto.
+     */
+    _updateFollowIndicator() {
+        if (!followIndicatorElement) return;
+        if (followedBody) {
+            if (followIndicatorNameElement) followIndicatorNameElement.textContent = followedBody.name;
+            followIndicatorElement.style.display = 'flex';
+            followIndicatorElement.setAttribute('aria-hidden', 'false');
+        } else {
+            followIndicatorElement.style.display = 'none';
+            followIndicatorElement.setAttribute('aria-hidden', 'true');
+        }
+        if (focusStatusDisplay) focusStatusDisplay.textContent = this._getFocusStatusText();
+    }
 
-            console.log('UI Setup: All UI elements processed and initialized.');
-        } catch (error) {
-            console.error('Error during _setupUI:', error);
-            this._showMessageBox('UI Setup Error', `Failed to set up user interface elements: ${error.message}. Some controls may not work.`, 'error');
+    /**
+     * @private
+     * @method _getFocusStatusText
+     * @description Describes the current camera state for the "Camera Focusing" debug field.
+     * @returns {string} "Following <name>" in follow mode, otherwise "Yes" while a focus transition runs, or "No".
+     */
+    _getFocusStatusText() {
+        if (followedBody) {
+            return isCameraFocusing ? `Following ${followedBody.name} (moving)` : `Following ${followedBody.name}`;
         }
+        return isCameraFocusing ? 'Yes' : 'No';
+    }
+
+    /**
+     * @private
+     * @method _captureViewState
+     * @description Collects everything needed to reproduce the current view: camera position and target, followed
+     * body, open info panel, global and individual speeds, pause state, scale blend and simulation time. Bodies
+     * whose own speed has moved them away from their position on the date are recorded with the angle (in degrees,
+     * within ±180) by which their mean anomaly leads the ephemeris, since restoring the date alone would move them back.
+     * @returns {object} The view state, ready for `serializeViewState`.
+     */
+    _captureViewState() {
+        const bodySpeedFactors = {};
+        const bodyPhaseOffsets = {};
+        planets.forEach(planet => {
+            bodySpeedFactors[planet.name] = planet.orbitalSpeedFactor;
+            if (!planet.meanMotion) return; // Spacecraft follow their trajectory and always keep to the date.
+            const offset = planet.meanAnomaly - meanAnomalyAtJulianDate(planet.elements, planet.meanMotion, simulationJulianDate);
+            bodyPhaseOffsets[planet.name] = THREE.MathUtils.radToDeg(Math.atan2(Math.sin(offset), Math.cos(offset)));
+        });
+        return {
+            cameraPosition: camera.position.toArray(),
+            target: orbitControls.target.toArray(),
+            followedBody: followedBody ? followedBody.name : null,
+            infoBody: infoPanelBody ? infoPanelBody.name : null,
+            globalSpeedFactor: globalSpeedFactor,
+            spinSpeedFactor: spinSpeedFactor,
+            bodySpeedFactors: bodySpeedFactors,
+            bodyPhaseOffsets: bodyPhaseOffsets,
+            paused: isPaused,
+            scaleBlend: scaleBlend,
+            julianDate: simulationJulianDate
+        };
     }
 
     /**
-     * @private
-     * @method _addEventListeners
-     * @description Attaches event listeners to various UI elements and the window object.
-     * This enables user interaction with the simulation, including resizing, button clicks,
-     * slider adjustments, and mouse interactions for camera control and planet hovering/clicking.
+     * @method restoreViewState
+     * @description Restores a view decoded by `parseViewState`. Camera, speed, pause state and time are applied
+     * at once; the parts that refer to bodies (followed body, info panel, individual speeds) are applied as soon as
+     * the bodies exist, since they are created asynchronously after their textures load.
+     * @param {object|null} state - The (possibly partial) view state; `null` does nothing.
      */
-    _addEventListeners() {
-        console.log('Event Listeners: Attaching all event listeners...');
+    restoreViewState(state) {
+        if (!state) return;
         try {
-            // Event listener for window resize, to make the canvas and UI responsive.
-            // Using `bind(this)` ensures that `this` inside `_handleResize` refers to the SolarSystemSimulation instance.
-            window.addEventListener('resize', this._handleResize.bind(this));
-            console.log('Event Listener: Window resize listener added.');
-
-            // Event listener for the animation toggle button (Pause/Resume).
-            if (toggleAnimationBtn) {
-                toggleAnimationBtn.addEventListener('click', this._toggleAnimation.bind(this));
-                console.log('Event Listener: Toggle animation button listener added.');
-            }
-
-            // Event listener for the global speed slider.
-            if (globalSpeedSlider && globalSpeedValueSpan) {
-                globalSpeedSlider.addEventListener('input', (event) => {
-                    // Update the global speed factor based on the slider's current value.
-                    globalSpeedFactor = parseFloat(event.target.value);
-                    // Update the displayed value in the UI, formatted to two decimal places.
-                    globalSpeedValueSpan.textContent = `${globalSpeedFactor.toFixed(2)}x`;
-                    console.log(`Global Speed: Updated to ${globalSpeedFactor.toFixed(2)}x`);
-                });
-                console.log('Event Listener: Global speed slider listener added.');
+            if (state.julianDate !== undefined) this._setSimulationDate(state.julianDate);
+
+            if (state.globalSpeedFactor !== undefined) this._setGlobalSpeedFactor(state.globalSpeedFactor);
+            if (state.spinSpeedFactor !== undefined) this._setSpinSpeedFactor(state.spinSpeedFactor);
+
+            if (state.scaleBlend !== undefined) this._setScaleBlend(state.scaleBlend);
+
+            if (state.cameraPosition || state.target) {
+                isCameraFocusing = false; // A restored camera replaces any running focus transition.
+                this._stopFollowing();
+                // The followed body may not exist yet, but the zoom limits must already suit its size, or
+                // OrbitControls would pull a close-up camera back to the limits for the whole system.
+                const followedData = state.followedBody ? this._findBodyData(state.followedBody) : null;
+                if (followedData) this._updateCameraLimits(followedData);
+                if (state.cameraPosition) camera.position.fromArray(state.cameraPosition);
+                if (state.target) orbitControls.target.fromArray(state.target);
+                camera.lookAt(orbitControls.target);
+                orbitControls.update();
             }
 
-            // Event listeners for individual planet speed sliders.
-            // Iterate through each planet object in the `planets` array.
-            planets.forEach(planet => {
-                const slider = planetSpeedSliders[planet.name];
-                const valueSpan = planetSpeedValueSpans[planet.name];
-
-                if (slider && valueSpan) {
-                    slider.addEventListener('input', (event) => {
-                        // Update the planet's individual orbital speed factor.
-                        // This factor is then applied multiplicatively with the global speed factor in the animation loop.
-                        const newFactor = parseFloat(event.target.value);
-                        planet.orbitalSpeedFactor = newFactor; // Store this factor directly on the planet object.
-                        // Update the displayed value for the individual planet, formatted.
-                        valueSpan.textContent = `${newFactor.toFixed(2)}x`;
-                        console.log(`Event Listener: ${planet.name} Speed updated to ${newFactor.toFixed(2)}x`);
-                    });
-                    // Initialize the individual speed factor for each planet based on its default slider value.
-                    // This ensures correct speed even if the slider is not explicitly touched initially.
-                    planet.orbitalSpeedFactor = parseFloat(slider.value);
-                    console.log(`Event Listener: Individual speed slider for ${planet.name} added and initialized.`);
-                }
-            });
+            if (state.paused !== undefined && state.paused !== isPaused) this._toggleAnimation();
 
-            // Event listener for mouse movement on the renderer's canvas for raycasting (hover effect).
-            if (renderer && renderer.domElement) {
-                renderer.domElement.addEventListener('mousemove', this._onMouseMove.bind(this));
-                console.log('Event Listener: Mousemove listener added for raycasting (planet hover).');
-            }
+            pendingBodyViewState = state;
+            if (planets.length > 0) this._applyPendingBodyViewState();
+            console.log('View Link: View state restored.');
+        } catch (error) {
+            console.error('Error during restoreViewState:', error);
+            this._showMessageBox('View Link Error', `Failed to restore the linked view: ${error.message}.`, 'warning');
+        }
+    }
 
-            // Event listener for mouse click on the renderer's canvas for camera focus.
-            if (renderer && renderer.domElement) {
-                renderer.domElement.addEventListener('click', this._onMouseClick.bind(this));
-                console.log('Event Listener: Click listener added for camera focus on planets.');
-            }
+    /**
+     * @private
+     * @method _findBodyData
+     * @description Looks up a body's data entry in the current system by name, including satellites.
+     * @param {string} name - The body name.
+     * @returns {object|null} The data entry, or `null` if the system has no body of that name.
+     */
+    _findBodyData(name) {
+        for (const bodyData of activeSystemBodies) {
+            if (bodyData.name === name) return bodyData;
+            const satelliteData = (bodyData.satellites || []).find(satellite => satellite.name === name);
+            if (satelliteData) return satelliteData;
+        }
+        return null;
+    }
 
-            // Event listener for the reset camera button.
-            if (resetCameraButton) {
-                resetCameraButton.addEventListener('click', this._resetCamera.bind(this));
-                console.log('Event Listener: Reset camera button listener added.');
+    /**
+     * @private
+     * @method _applyPendingBodyViewState
+     * @description Applies the body-related parts of a restored view state once the bodies exist. Bodies named in
+     * the link that are not part of the current system are skipped with a console warning.
+     */
+    _applyPendingBodyViewState() {
+        if (!pendingBodyViewState) return;
+        const state = pendingBodyViewState;
+        pendingBodyViewState = null;
+        const lightSource = this._getLightSourceBody();
+        const findBody = name => {
+            const body = lightSource && lightSource.name === name ? lightSource : planets.find(planet => planet.name === name);
+            if (!body) console.warn(`View Link: Body '${name}' from the link does not exist in the current system.`);
+            return body;
+        };
+
+        Object.entries(state.bodySpeedFactors || {}).forEach(([name, factor]) => {
+            const body = findBody(name);
+            if (!body) return;
+            body.orbitalSpeedFactor = factor;
+            // Keep an already generated slider in sync; sliders generated later read the factor themselves.
+            const slider = planetSpeedSliders[name];
+            if (slider) {
+                slider.value = String(factor);
+                slider.setAttribute('aria-valuenow', String(factor));
             }
+            if (planetSpeedValueSpans[name]) planetSpeedValueSpans[name].textContent = `${factor.toFixed(2)}x`;
+        });
 
-            // Event listener for the custom message box close button.
-            if (messageBoxCloseButton) {
-                messageBoxCloseButton.addEventListener('click', this._closeMessageBox.bind(this));
-                console.log('Event Listener: Custom message box close button listener added.');
+        // Put drifted bodies back where they were when the link was made; the restored date placed them on the
+        // ephemeris. This must happen before following, which records the followed body's position.
+        Object.entries(state.bodyPhaseOffsets || {}).forEach(([name, degrees]) => {
+            const body = findBody(name);
+            if (!body || !body.meanMotion) return;
+            const twoPi = Math.PI * 2;
+            const meanAnomaly = meanAnomalyAtJulianDate(body.elements, body.meanMotion, simulationJulianDate) + THREE.MathUtils.degToRad(degrees);
+            body.meanAnomaly = ((meanAnomaly % twoPi) + twoPi) % twoPi;
+            this._placeBody(body);
+        });
+        if (isPaused && renderer && Object.keys(state.bodyPhaseOffsets || {}).length > 0) renderer.render(scene, camera);
+
+        if (state.followedBody) {
+            const body = findBody(state.followedBody);
+            if (body) {
+                // The camera was restored relative to the body's position at the linked time, so lock on without flying.
+                this._followBody(body);
+                this._showBodyInfo(body);
             }
-
-            console.log('Event Listeners: All event listeners successfully attached.');
-        } catch (error) {
-            console.error('Error during _addEventListeners:', error);
-            this._showMessageBox('Event Listener Error', `Failed to attach some event listeners: ${error.message}. Some interactions may not work.`, 'error');
+        }
+        if (state.infoBody) {
+            const body = findBody(state.infoBody);
+            if (body) this._showBodyInfo(body);
         }
     }
 
     /**
      * @private
-     * @method _handleResize
-     * @description Adjusts the camera's aspect ratio and the renderer's size whenever the browser window
-     * is resized. This ensures the 3D simulation remains responsive and fills the screen correctly,
-     * preventing distortion and maintaining visual integrity.
+     * @method _writeViewStateToUrl
+     * @description Replaces the URL hash with the current view state without adding a history entry.
+     * @returns {string} The full URL of the current view.
      */
-    _handleResize() {
-        try {
-            // Update the camera's aspect ratio to match the new window dimensions.
-            // This is crucial to prevent distortion of the 3D scene when the window size changes.
-            camera.aspect = window.innerWidth / window.innerHeight;
-            // After changing the aspect ratio, the camera's projection matrix needs to be recalculated.
-            camera.updateProjectionMatrix();
-            console.log('Camera: Aspect ratio updated on window resize.');
+    _writeViewStateToUrl() {
+        const hash = serializeViewState(this._captureViewState());
+        const url = `${window.location.href.split('#')[0]}#${hash}`;
+        history.replaceState(null, '', url);
+        return url;
+    }
 
-            // Update the renderer's size to match the new window dimensions.
-            // This ensures the rendered 3D scene fills the entire available canvas area.
-            renderer.setSize(window.innerWidth, window.innerHeight);
-            // Re-apply the pixel ratio to ensure crisp rendering on high-DPI (Retina) displays.
-            renderer.setPixelRatio(window.devicePixelRatio);
-            console.log(`Renderer: Size updated to ${window.innerWidth}x${window.innerHeight} on resize.`);
+    /**
+     * @private
+     * @method _copyViewLink
+     * @description Writes the current view into the URL and copies that link to the clipboard. If the clipboard is
+     * unavailable (e.g. on insecure origins), the link is shown in the message box for manual copying.
+     */
+    _copyViewLink() {
+        try {
+            const url = this._writeViewStateToUrl();
+            const showLink = () => this._showMessageBox('Link to This View', `Copy this link to share the current view:\n${url}`, 'info');
+            if (!navigator.clipboard || !navigator.clipboard.writeText) {
+                showLink();
+                return;
+            }
+            navigator.clipboard.writeText(url)
+                .then(() => {
+                    console.log(`View Link: Copied ${url} to the clipboard.`);
+                    const buttonText = copyViewLinkButton && copyViewLinkButton.querySelector('.button-text');
+                    if (!buttonText) return;
+                    buttonText.textContent = 'Link Copied!';
+                    setTimeout(() => { buttonText.textContent = 'Copy Link to This View'; }, 2000);
+                })
+                .catch(error => {
+                    console.warn('View Link: Clipboard write failed, showing the link instead:', error);
+                    showLink();
+                });
         } catch (error) {
-            console.error('Error during _handleResize:', error);
-            this._showMessageBox('Resize Error', `Failed to adjust simulation for window resize: ${error.message}. Display may be distorted.`, 'error');
+            console.error('Error during _copyViewLink:', error);
+            this._showMessageBox('View Link Error', `Failed to create a link to this view: ${error.message}.`, 'error');
         }
     }
 
     /**
      * @private
-     * @method _toggleAnimation
-     * @description Toggles the animation state between paused and resumed.
-     * It stops or starts the `requestAnimationFrame` loop and updates the button text
-     * and icon to reflect the current simulation state.
+     * @method _onKeyDown
+     * @description Handles the keyboard shortcuts (listed in the shortcut help overlay, opened with "?"):
+     * Space pauses/resumes, 1–8 focus the planets in order from the central star and 0 focuses the star itself,
+     * +/- change the global speed, R resets the camera, F toggles follow mode, the arrow keys and WASD orbit the
+     * camera (pan with Shift held) and Escape closes the help overlay. Nothing fires while a slider, text field or
+     * other form control has focus, so typing and slider keyboard control keep working.
+     * @param {KeyboardEvent} event - The keydown event.
      */
-    _toggleAnimation() {
+    _onKeyDown(event) {
         try {
-            isPaused = !isPaused; // Invert the boolean state of the `isPaused` flag.
-            const playIcon = document.getElementById('play-icon');
-            const pauseIcon = document.getElementById('pause-icon');
-
-            if (isPaused) {
-                // If the simulation is now paused:
-                if (animationFrameId) {
-                    cancelAnimationFrame(animationFrameId); // Cancel the ongoing animation frame request.
-                    animationFrameId = null; // Clear the stored animation frame ID.
+            const target = event.target;
+            const tagName = target && target.tagName ? target.tagName.toLowerCase() : '';
+            if (['input', 'textarea', 'select'].includes(tagName) || (target && target.isContentEditable)) return;
+            if (event.ctrlKey || event.metaKey || event.altKey) return; // Leave browser shortcuts alone.
+            // A focused button already reacts to Space and Enter itself.
+            if ((tagName === 'button' || tagName === 'a') && (event.key === ' ' || event.key === 'Enter')) return;
+
+            const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+            if (key === 'Escape') {
+                this._toggleShortcutHelp(false);
+                return;
+            }
+            if (key === '?') {
+                this._toggleShortcutHelp();
+                event.preventDefault();
+                return;
+            }
+            // While the help overlay is open, the other shortcuts stay disabled.
+            if (shortcutHelpElement && shortcutHelpElement.getAttribute('aria-hidden') === 'false') return;
+
+            let handled = true;
+            if (key === ' ') {
+                this._toggleAnimation();
+            } else if (/^[0-9]$/.test(key)) {
+                const body = key === '0' ? this._getLightSourceBody() : planets.filter(planet => planet.type === 'planet')[Number(key) - 1];
+                if (body) this._focusOnBody(body);
+            } else if (key === '+' || key === '=') {
+                this._setGlobalSpeedFactor(globalSpeedFactor + SCENE_CONSTANTS.KEYBOARD_SPEED_STEP);
+            } else if (key === '-' || key === '_') {
+                this._setGlobalSpeedFactor(globalSpeedFactor - SCENE_CONSTANTS.KEYBOARD_SPEED_STEP);
+            } else if (key === 'r') {
+                this._resetCamera();
+            } else if (key === 'f') {
+                this._toggleFollow();
+            } else if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'w', 'a', 's', 'd'].includes(key)) {
+                const horizontal = (key === 'ArrowLeft' || key === 'a') ? -1 : (key === 'ArrowRight' || key === 'd') ? 1 : 0;
+                const vertical = (key === 'ArrowUp' || key === 'w') ? 1 : (key === 'ArrowDown' || key === 's') ? -1 : 0;
+                if (event.shiftKey) {
+                    this._panCameraByKeyboard(horizontal, vertical);
+                } else {
+                    this._orbitCameraByKeyboard(horizontal, vertical);
                 }
-                // Update the button text and icons to indicate the 'Resume' state.
-                toggleAnimationBtn.querySelector('.button-text').textContent = 'Resume Simulation';
-                if (playIcon) playIcon.style.display = 'inline-block';
-                if (pauseIcon) pauseIcon.style.display = 'none';
-                if (animationStatusDisplay) animationStatusDisplay.textContent = 'Yes';
-                console.log('Simulation: Animation paused.');
             } else {
-                // If the simulation is now resumed:
-                this.animate(); // Restart the main animation loop.
-                // Update the button text and icons to indicate the 'Pause' state.
-                toggleAnimationBtn.querySelector('.button-text').textContent = 'Pause Simulation';
-                if (playIcon) playIcon.style.display = 'none';
-                if (pauseIcon) pauseIcon.style.display = 'inline-block';
-                if (animationStatusDisplay) animationStatusDisplay.textContent = 'No';
-                console.log('Simulation: Animation resumed.');
+                handled = false;
             }
+            if (handled) event.preventDefault(); // E.g. keep Space and the arrow keys from scrolling the panel.
         } catch (error) {
-            console.error('Error during _toggleAnimation:', error);
-            this._showMessageBox('Animation Control Error', `Failed to toggle animation: ${error.message}.`, 'error');
+            console.error('Error during _onKeyDown:', error);
         }
     }
 
     /**
      * @private
-     * @method _onMouseMove
-     * @description Event handler for mouse movement on the renderer's canvas.
-     * It updates the `mouse` vector with normalized device coordinates and triggers raycasting
-     * to detect which planets are currently being hovered over, updating the planet label.
-     * @param {MouseEvent} event - The native mousemove event object.
+     * @method _orbitCameraByKeyboard
+     * @description Rotates the camera around the OrbitControls target by one keyboard step, respecting the
+     * controls' polar angle limits.
+     * @param {number} horizontal - -1 to orbit left, 1 to orbit right, 0 for none.
+     * @param {number} vertical - 1 to orbit up, -1 to orbit down, 0 for none.
      */
-    _onMouseMove(event) {
-        try {
-            // Calculate mouse position in normalized device coordinates (NDC).
-            // NDC range from -1 to +1, where (-1,-1) is bottom-left and (1,1) is top-right.
-            mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-            mouse.y = -(event.clientY / window.innerHeight) * 2 + 1; // Y-axis is inverted in Three.js.
-
-            // Update debug info for mouse coordinates.
-            if (mouseNDCXDisplay) mouseNDCXDisplay.textContent = mouse.x.toFixed(3);
-            if (mouseNDCYDisplay) mouseNDCYDisplay.textContent = mouse.y.toFixed(3);
-        } catch (error) {
-            console.error('Error during _onMouseMove:', error);
-            // No message box here to avoid spamming for frequent events.
-        }
+    _orbitCameraByKeyboard(horizontal, vertical) {
+        isCameraFocusing = false; // Manual movement takes over from a running focus transition.
+        const offset = camera.position.clone().sub(orbitControls.target);
+        const spherical = new THREE.Spherical().setFromVector3(offset);
+        spherical.theta -= horizontal * SCENE_CONSTANTS.KEYBOARD_ORBIT_STEP;
+        spherical.phi = THREE.MathUtils.clamp(
+            spherical.phi - vertical * SCENE_CONSTANTS.KEYBOARD_ORBIT_STEP,
+            Math.max(orbitControls.minPolarAngle, 0.01), // Avoid the pole, where the view direction flips.
+            orbitControls.maxPolarAngle
+        );
+        camera.position.copy(orbitControls.target).add(offset.setFromSpherical(spherical));
+        camera.lookAt(orbitControls.target);
     }
 
     /**
      * @private
-     * @method _onMouseClick
-     * @description Event handler for mouse clicks on the renderer's canvas.
-     * It uses raycasting to determine if a planet was clicked. If a planet is detected,
-     * it initiates a smooth camera focusing animation towards that planet.
-     * @param {MouseEvent} event - The native click event object.
+     * @method _panCameraByKeyboard
+     * @description Moves the camera and its target sideways or up/down in screen space by one keyboard step, which is
+     * proportional to the current viewing distance.
+     * @param {number} horizontal - -1 to pan left, 1 to pan right, 0 for none.
+     * @param {number} vertical - 1 to pan up, -1 to pan down, 0 for none.
      */
-    _onMouseClick(event) {
-        try {
-            // Prevent OrbitControls from interfering if we handle the click.
-            // This is a common pattern, but OrbitControls might need to be temporarily disabled.
-            // For now, we let OrbitControls handle its own logic and just perform our raycast.
-
-            // Update the raycaster with the current camera and mouse position.
-            raycaster.setFromCamera(mouse, camera);
-
-            // Find all objects that intersect with the ray.
-            // We specifically look for objects that have the `isPlanet` custom property set to true.
-            const intersects = raycaster.intersectObjects(
-                planets.map(p => p.mesh), // Create an array of all actual planet meshes for intersection testing.
-                false // `false` means don't recursively check children of children (we only care about the planet mesh itself).
-            );
+    _panCameraByKeyboard(horizontal, vertical) {
+        isCameraFocusing = false;
+        this._stopFollowing(); // Panning away from a followed body would be undone by follow mode.
+        const step = camera.position.distanceTo(orbitControls.target) * SCENE_CONSTANTS.KEYBOARD_PAN_STEP;
+        const right = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 1);
+        const movement = right.multiplyScalar(horizontal * step).add(up.multiplyScalar(vertical * step));
+        camera.position.add(movement);
+        orbitControls.target.add(movement);
+    }
 
-            if (intersects.length > 0) {
-                // An object was clicked. Get the first intersected object (which is the closest one).
-                const clickedObject = intersects[0].object;
-                console.log('Click: Object clicked:', clickedObject.name);
-
-                // Ensure the clicked object is indeed a planet mesh (double-check custom property).
-                if (clickedObject.isPlanet) {
-                    // Get the world position of the clicked planet.
-                    const targetPlanetPosition = new THREE.Vector3();
-                    clickedObject.getWorldPosition(targetPlanetPosition);
-
-                    // Determine the new camera position for focusing.
-                    // We want the camera to be slightly behind and above the planet for a good view.
-                    // The offset is proportional to the planet's radius to ensure consistent framing regardless of planet size.
-                    cameraTargetPosition.copy(targetPlanetPosition);
-                    cameraTargetPosition.add(new THREE.Vector3(
-                        clickedObject.geometry.parameters.radius * 2, // Offset X (can be 0 if only Y/Z offset is desired)
-                        clickedObject.geometry.parameters.radius * 3, // Offset Y (above the planet)
-                        clickedObject.geometry.parameters.radius * 5  // Offset Z (behind the planet)
-                    ));
-
-                    // The camera should look directly at the center of the clicked planet.
-                    cameraTargetLookAt.copy(targetPlanetPosition);
-
-                    isCameraFocusing = true; // Set the flag to true to start the camera focusing animation.
-                    console.log(`Camera Focus: Initiating smooth focus on ${clickedObject.name}.`);
-                } else {
-                    console.log('Click: Clicked object is not a planet mesh. No camera focus initiated.');
-                }
-            } else {
-                // If no object was clicked or the clicked object was not a planet.
-                if (isCameraFocusing) {
-                    // If the camera was previously focusing, stop the focus if the user clicks elsewhere.
-                    isCameraFocusing = false;
-                    console.log('Camera Focus: No planet clicked, stopping active camera focus.');
-                }
-            }
-        } catch (error) {
-            console.error('Error during _onMouseClick:', error);
-            this._showMessageBox('Interaction Error', `An error occurred during mouse click handling: ${error.message}.`, 'error');
+    /**
+     * @private
+     * @method _toggleFollow
+     * @description Stops follow mode, or, if the camera is not following anything, locks it onto the body shown in
+     * the info panel without moving the camera.
+     */
+    _toggleFollow() {
+        if (followedBody) {
+            this._stopFollowing();
+        } else if (infoPanelBody) {
+            this._followBody(infoPanelBody);
+        } else {
+            console.log('Camera Follow: Nothing selected to follow. Click a planet or press 1-8 first.');
         }
     }
 
+    /**
+     * @private
+     * @method _toggleShortcutHelp
+     * @description Shows or hides the keyboard shortcut help overlay.
+     * @param {boolean} [show] - `true` to show, `false` to hide; toggles when omitted.
+     */
+    _toggleShortcutHelp(show) {
+        if (!shortcutHelpElement) return;
+        const isVisible = shortcutHelpElement.getAttribute('aria-hidden') === 'false';
+        const shouldShow = show === undefined ? !isVisible : show;
+        if (shouldShow === isVisible) return;
+        shortcutHelpElement.setAttribute('aria-hidden', shouldShow ? 'false' : 'true');
+        if (shouldShow && shortcutHelpCloseButton) shortcutHelpCloseButton.focus();
+    }
+
     /**
      * @private
      * @method _resetCamera
@@ -1181,6 +6316,9 @@ class SolarSystemSimulation {
             // Set the target point for the camera to look at back to the origin (0,0,0), which is where the Sun is.
             cameraTargetLookAt.set(0, 0, 0);
 
+            // Returning to the overview releases any body the camera was locked onto.
+            this._stopFollowing();
+
             isCameraFocusing = true; // Activate the camera focusing flag to trigger a smooth transition.
             console.log('Camera: Smooth transition to initial view initiated.');
         } catch (error) {
@@ -1200,7 +6338,7 @@ class SolarSystemSimulation {
     _updateCameraFocus() {
         // If camera focusing is not active, there's nothing to do.
         if (!isCameraFocusing) {
-            if (focusStatusDisplay) focusStatusDisplay.textContent = 'No';
+            if (focusStatusDisplay) focusStatusDisplay.textContent = this._getFocusStatusText();
             return;
         }
 
@@ -1222,8 +6360,9 @@ class SolarSystemSimulation {
             const distanceToTargetPosition = camera.position.distanceTo(cameraTargetPosition);
             const distanceToTargetLookAt = orbitControls.target.distanceTo(cameraTargetLookAt);
 
-            // Define a small threshold for considering the camera "at" its target.
-            const threshold = 0.1;
+            // Define a small threshold for considering the camera "at" its target. It shrinks with the zoom limits,
+            // so the final snap stays invisible when the bodies are tiny (true scale).
+            const threshold = orbitControls.minDistance * SCENE_CONSTANTS.FOCUS_ARRIVAL_DISTANCE_FACTOR;
 
             if (distanceToTargetPosition < threshold && distanceToTargetLookAt < threshold) {
                 isCameraFocusing = false; // Deactivate focusing once targets are reached.
@@ -1233,10 +6372,8 @@ class SolarSystemSimulation {
                 orbitControls.target.copy(cameraTargetLookAt);
                 camera.lookAt(orbitControls.target);
                 orbitControls.update(); // Final update to ensure controls are aligned.
-                if (focusStatusDisplay) focusStatusDisplay.textContent = 'No';
-            } else {
-                if (focusStatusDisplay) focusStatusDisplay.textContent = 'Yes';
             }
+            if (focusStatusDisplay) focusStatusDisplay.textContent = this._getFocusStatusText();
         } catch (error) {
             console.error('Error during _updateCameraFocus:', error);
             this._showMessageBox('Camera Focus Error', `An error occurred during camera focus update: ${error.message}.`, 'error');
@@ -1247,7 +6384,8 @@ class SolarSystemSimulation {
     /**
      * @private
      * @method _updatePlanetPositions
-     * @description Updates the orbital and rotational positions of all planets and the Sun for the current frame.
+     * @description Advances the simulation clock and updates the orbital and rotational positions of all planets
+     * and the Sun for the current frame.
      * It uses `deltaTime` to ensure animations are consistent across different frame rates, preventing
      * faster or slower motion on machines with varying performance.
      * @param {number} deltaTime - The time elapsed since the last animation frame, in seconds.
@@ -1259,33 +6397,34 @@ class SolarSystemSimulation {
         }
 
         try {
-            // Update the Sun's self-rotation on its axis.
-            // The rotation speed is influenced by its base rotation speed and the global speed factor.
-            const sunData = CELESTIAL_BODIES_DATA.find(body => body.name === 'Sun');
-            if (sunMesh && sunData) {
-                sunMesh.rotation.y += sunData.rotationSpeed * deltaTime * globalSpeedFactor;
-            }
+            // Advance the simulation clock. At 1.00x, SIMULATION_DAYS_PER_SECOND simulated days pass per real second.
+            const deltaDays = deltaTime * SCENE_CONSTANTS.SIMULATION_DAYS_PER_SECOND * globalSpeedFactor;
+            simulationJulianDate += deltaDays;
+
+            // Update the Sun's (the light source's) self-rotation on its tilted axis.
+            if (sunMesh && sunSpin) this._applySpin(sunMesh, sunSpin, deltaDays);
 
             // Iterate through each planet to update its orbital and self-rotation.
             planets.forEach(planet => {
-                // Calculate the effective orbital speed for the current planet.
-                // This combines its base orbital speed, its individual slider factor, and the global speed factor.
-                const effectiveOrbitalSpeed = planet.orbitalSpeed * (planet.orbitalSpeedFactor || 1) * globalSpeedFactor;
-
-                // Update the planet's current orbital angle.
-                // The angle increases over time, causing the planet to move in a circle around the Sun.
-                planet.currentAngle += effectiveOrbitalSpeed * deltaTime;
-
-                // Set the position of the planet's orbit group based on the current angle and its distance from the Sun.
-                // This moves the entire orbit group (and thus the planet within it) around the scene's origin.
-                planet.orbitGroup.position.x = Math.cos(planet.currentAngle) * planet.orbitGroup.distance;
-                planet.orbitGroup.position.z = Math.sin(planet.currentAngle) * planet.orbitGroup.distance;
-
-                // Calculate the effective self-rotation speed for the planet.
-                // This combines its base rotation speed, its individual slider factor, and the global speed factor.
-                const effectiveRotationSpeed = planet.rotationSpeed * (planet.orbitalSpeedFactor || 1) * globalSpeedFactor;
-                // Rotate the planet mesh on its own axis (typically the Y-axis for celestial rotation).
-                planet.mesh.rotation.y += effectiveRotationSpeed * deltaTime;
+                // Advance the planet's mean anomaly by its mean motion over the elapsed simulated days.
+                // The individual slider factor lets a planet run ahead of (or behind) the calendar; jumping to a date
+                // re-synchronises every planet with the ephemeris. Solving Kepler's equation turns the uniformly
+                // growing mean anomaly into the true position, so the planet speeds up near perihelion.
+                // (Spacecraft have no mean motion; they follow their trajectory at the simulation date.)
+                // Bodies that would go round more than MAX_ORBITS_PER_SECOND times per second (fast moons at high
+                // speeds) are held to that pace, so their motion can still be followed instead of strobing. They fall
+                // behind the calendar meanwhile; setting the date puts them back on the ephemeris.
+                const maxStep = Math.PI * 2 * SCENE_CONSTANTS.MAX_ORBITS_PER_SECOND * deltaTime;
+                const step = Math.min(planet.meanMotion * deltaDays * planet.orbitalSpeedFactor, maxStep);
+                planet.meanAnomaly = (planet.meanAnomaly + step) % (Math.PI * 2);
+
+                // Place the orbit group (and thus the planet within it) on its inclined, elliptical orbit around the Sun.
+                this._placeBody(planet);
+
+                // Spin the planet on its tilted axis. Its day length follows the simulation clock and the rotation
+                // speed slider only, so changing its orbital speed does not change how fast it turns.
+                this._applySpin(planet.mesh, planet.spin, deltaDays);
+                if (planet.clouds) this._applySpin(planet.clouds.mesh, planet.clouds.spin, deltaDays);
             });
         } catch (error) {
             console.error('Error during _updatePlanetPositions:', error);
@@ -1296,59 +6435,61 @@ class SolarSystemSimulation {
     /**
      * @private
      * @method _updatePlanetLabels
-     * @description Updates the visibility and position of the HTML planet label on mouse hover.
-     * This function is called in the animation loop to constantly check for intersections
-     * between the mouse ray and planet meshes.
+     * @description Updates the visibility and position of the HTML planet label.
+     * This function is called in the animation loop. A label pinned by a tap (touch screens) stays on its body as
+     * it moves; otherwise the body under the mouse pointer is labelled, next to the cursor.
      */
     _updatePlanetLabels() {
         try {
-            // Update the raycaster to reflect the current mouse position and camera view.
-            raycaster.setFromCamera(mouse, camera);
-
-            // Find all objects that intersect with the ray.
-            // We are only interested in the actual planet meshes for hovering.
-            const intersects = raycaster.intersectObjects(
-                planets.map(p => p.mesh), // Create an array of all planet meshes to check for intersection.
-                false // `false` means don't recursively check children of children.
-            );
-
-            if (intersects.length > 0) {
-                // An object is currently intersected. Get the first (closest) intersected object.
-                const firstIntersected = intersects[0].object;
-
-                // Check if the intersected object is a planet and if it's a new intersection (different from previous).
-                if (firstIntersected.isPlanet && intersectedObject !== firstIntersected) {
-                    intersectedObject = firstIntersected; // Store the newly intersected object.
-                    // Set the text content of the planet label, removing "Planet_" prefix if present.
-                    planetLabelElement.textContent = intersectedObject.name.replace('Planet_', '');
+            if (!planetLabelElement) return;
+            const rect = renderer.domElement.getBoundingClientRect();
+            let labelledBody;
+            const labelPosition = new THREE.Vector2();
+            if (pinnedLabelBody && planets.includes(pinnedLabelBody)) {
+                // Project the pinned body's centre onto the canvas; hide the label while the body is behind the camera.
+                const projected = pinnedLabelBody.mesh.getWorldPosition(new THREE.Vector3()).project(camera);
+                labelledBody = projected.z < 1 ? pinnedLabelBody : null;
+                labelPosition.set(projected.x, projected.y);
+            } else {
+                // Raycast from the mouse position; `planets` also holds every satellite, so moons get labels too.
+                labelledBody = isMouseHovering ? this._pickBodyAt(mouse) : null;
+                labelPosition.copy(mouse);
+            }
+            const labelledMesh = labelledBody ? labelledBody.mesh : null;
+
+            if (labelledMesh) {
+                // Check if this is a new intersection (different from the previous one).
+                if (intersectedObject !== labelledMesh) {
+                    intersectedObject = labelledMesh; // Store the newly intersected object.
+                    // The name plus a small type caption; `data-body-type` selects the type's style in style.css.
+                    const typeCaption = document.createElement('span');
+                    typeCaption.className = 'planet-label-type';
+                    typeCaption.textContent = BODY_TYPES[labelledBody.type].name;
+                    planetLabelElement.textContent = labelledBody.name;
+                    planetLabelElement.appendChild(typeCaption);
+                    planetLabelElement.dataset.bodyType = labelledBody.type;
                     planetLabelElement.style.display = 'block'; // Show the label.
                     planetLabelElement.style.opacity = '1'; // Ensure it's fully visible.
                     console.log(`Hover: Intersected ${intersectedObject.name}`);
                 }
-            } else {
-                // No object is currently intersected, or the mouse moved off the previous object.
-                if (intersectedObject) {
-                    // If there was a previously intersected object, hide the label.
-                    planetLabelElement.style.opacity = '0'; // Start fading out the label.
-                    // After a short delay (matching CSS transition), set display to 'none'.
-                    setTimeout(() => {
-                        if (planetLabelElement) planetLabelElement.style.display = 'none';
-                    }, 200); // Match or slightly exceed CSS transition duration for opacity.
-                    intersectedObject = null; // Clear the reference to the intersected object.
-                    console.log('Hover: No longer intersecting any planet.');
-                }
+            } else if (intersectedObject) {
+                // If there was a previously intersected object, hide the label.
+                planetLabelElement.style.opacity = '0'; // Start fading out the label.
+                // After a short delay (matching CSS transition), set display to 'none'.
+                setTimeout(() => {
+                    if (planetLabelElement && !intersectedObject) planetLabelElement.style.display = 'none';
+                }, 200); // Match or slightly exceed CSS transition duration for opacity.
+                intersectedObject = null; // Clear the reference to the intersected object.
+                console.log('Hover: No longer intersecting any planet.');
             }
 
-            // Update the position of the label to follow the mouse cursor.
-            // This makes the label appear dynamically next to the hovered planet.
-            // Convert normalized device coordinates to screen coordinates (pixels).
-            const labelX = (mouse.x + 1) / 2 * window.innerWidth;
-            const labelY = (-mouse.y + 1) / 2 * window.innerHeight;
+            // Convert the normalized device coordinates back to pixels within the canvas, so the label stays aligned
+            // with the scene even when the canvas does not start at the window's top-left corner.
+            const labelX = rect.left + (labelPosition.x + 1) / 2 * rect.width;
+            const labelY = rect.top + (-labelPosition.y + 1) / 2 * rect.height;
             // Apply position with a small offset to prevent the label from obscuring the cursor.
-            if (planetLabelElement) {
-                planetLabelElement.style.left = `${labelX + 10}px`; // Offset by 10px to the right.
-                planetLabelElement.style.top = `${labelY + 10}px`;  // Offset by 10px downwards.
-            }
+            planetLabelElement.style.left = `${labelX + 10}px`; // Offset by 10px to the right.
+            planetLabelElement.style.top = `${labelY + 10}px`;  // Offset by 10px downwards.
         } catch (error) {
             console.error('Error during _updatePlanetLabels:', error);
             // No message box here to avoid spamming for frequent events.
@@ -1363,17 +6504,25 @@ class SolarSystemSimulation {
      * and debugging the simulation in real-time.
      */
     _updateDebugInfo() {
+        if (!layerVisibility.debug) return; // The hidden panel needs no updates, in particular no scene traversal.
         try {
-            // Update FPS (Frames Per Second) display.
-            frameCount++;
-            const currentTime = performance.now(); // Get current high-resolution timestamp.
+            // Update FPS (Frames Per Second) display, measured once per second by `_measureFrameRate`.
+            if (fpsDisplay && currentFps > 0) fpsDisplay.textContent = currentFps.toFixed(1);
+
+            // Update the number of belt particles drawn, noting when the performance fallback has reduced it.
+            if (beltParticleCountDisplay) {
+                const drawn = smallBodyBelts.reduce((total, belt) => total + (belt.points.visible ? belt.drawCount : 0), 0);
+                beltParticleCountDisplay.textContent = beltDetailFactor < 1
+                    ? `${drawn} (reduced to ${Math.round(beltDetailFactor * 100)}%)`
+                    : String(drawn);
+            }
 
-            // Update FPS every second.
-            if (currentTime >= lastFpsUpdateTime + 1000) {
-                const fps = (frameCount * 1000) / (currentTime - lastFpsUpdateTime);
-                if (fpsDisplay) fpsDisplay.textContent = fps.toFixed(1); // Display FPS with one decimal place.
-                lastFpsUpdateTime = currentTime;
-                frameCount = 0;
+            // Update the texture streaming progress.
+            if (textureStreamDisplay) {
+                const waiting = textureStreamQueue.length + activeTextureStreams;
+                textureStreamDisplay.textContent = waiting > 0
+                    ? `${streamedTextureCount} loaded, ${waiting} to go`
+                    : `${streamedTextureCount} loaded`;
             }
 
             // Update rendered object count.
@@ -1397,8 +6546,8 @@ class SolarSystemSimulation {
             // Update animation status.
             if (animationStatusDisplay) animationStatusDisplay.textContent = isPaused ? 'Yes' : 'No';
 
-            // Update camera focus status.
-            if (focusStatusDisplay) focusStatusDisplay.textContent = isCameraFocusing ? 'Yes' : 'No';
+            // Update camera focus status, including which body the camera is following.
+            if (focusStatusDisplay) focusStatusDisplay.textContent = this._getFocusStatusText();
 
         } catch (error) {
             console.error('Error during _updateDebugInfo:', error);
@@ -1406,6 +6555,268 @@ class SolarSystemSimulation {
         }
     }
 
+    /**
+     * @private
+     * @method _measureFrameRate
+     * @description Counts rendered frames and computes the frame rate once per second. Runs every frame, also while
+     * the debug panel is hidden, since the belt performance fallback depends on it.
+     */
+    _measureFrameRate() {
+        frameCount++;
+        const currentTime = performance.now(); // Get current high-resolution timestamp.
+        if (currentTime < lastFpsUpdateTime + 1000) return;
+        const elapsed = currentTime - lastFpsUpdateTime;
+        currentFps = (frameCount * 1000) / elapsed;
+        lastFpsUpdateTime = currentTime;
+        frameCount = 0;
+        // A longer gap means no frames were requested (paused, or a background tab), not that rendering was slow.
+        // The belt fallback goes first; either one stepping restarts the other's patience.
+        if (elapsed < 2000) {
+            this._adaptBeltDetail(currentFps);
+            this._adaptQuality(currentFps);
+        }
+    }
+
+    /**
+     * @private
+     * @method _adaptBeltDetail
+     * @description Performance fallback for the belts: while the frame rate stays below BELT_LOW_FPS, the number of
+     * belt particles drawn is halved every few seconds (down to BELT_MIN_DETAIL); once it stays above
+     * BELT_RECOVERY_FPS again, it is doubled back step by step. The gap between both limits prevents flickering.
+     * Each step restarts the patience of automatic quality (see `_adaptQuality`), which reacts to the same frame
+     * rate: the cheaper belt fallback goes first, and a preset only changes if the frame rate still calls for it.
+     * @param {number} fps - The frame rate of the last second.
+     */
+    _adaptBeltDetail(fps) {
+        if (!smallBodyBelts.some(belt => belt.points.visible)) {
+            lowFpsSeconds = 0;
+            highFpsSeconds = 0;
+            return;
+        }
+        const patience = SCENE_CONSTANTS.BELT_FPS_PATIENCE_SECONDS;
+        if (fps < SCENE_CONSTANTS.BELT_LOW_FPS && beltDetailFactor > SCENE_CONSTANTS.BELT_MIN_DETAIL) {
+            highFpsSeconds = 0;
+            if (++lowFpsSeconds < patience) return;
+            beltDetailFactor = Math.max(SCENE_CONSTANTS.BELT_MIN_DETAIL, beltDetailFactor / 2);
+            console.warn(`Belts: Frame rate ${fps.toFixed(1)} FPS is low; drawing ${Math.round(beltDetailFactor * 100)}% of the belt particles.`);
+        } else if (fps > SCENE_CONSTANTS.BELT_RECOVERY_FPS && beltDetailFactor < 1) {
+            lowFpsSeconds = 0;
+            if (++highFpsSeconds < patience) return;
+            beltDetailFactor = Math.min(1, beltDetailFactor * 2);
+            console.log(`Belts: Frame rate recovered; drawing ${Math.round(beltDetailFactor * 100)}% of the belt particles.`);
+        } else {
+            lowFpsSeconds = 0;
+            highFpsSeconds = 0;
+            return;
+        }
+        lowFpsSeconds = 0;
+        highFpsSeconds = 0;
+        qualityLowFpsSeconds = 0; // One step per slow (or fast) spell; let the new belt detail show its effect first.
+        qualityHighFpsSeconds = 0;
+        this._applyBeltDrawCounts();
+    }
+
+    /**
+     * @private
+     * @method _adaptQuality
+     * @description Automatic graphics quality: while the frame rate stays below QUALITY_LOW_FPS, the next lower preset
+     * is used; once it stays above QUALITY_RECOVERY_FPS, the next higher one. Stepping up waits much longer than
+     * stepping down, and the gap between both limits keeps the preset from flipping back and forth. A step restarts
+     * the patience of the belt fallback (see `_adaptBeltDetail`), so both do not react to the same spell. Does nothing
+     * unless the quality is set to 'auto'.
+     * @param {number} fps - The frame rate of the last second.
+     */
+    _adaptQuality(fps) {
+        if (qualitySetting !== 'auto') return;
+        const index = QUALITY_LEVELS.indexOf(qualityLevel);
+        let step = 0;
+        if (fps < SCENE_CONSTANTS.QUALITY_LOW_FPS && index > 0) {
+            qualityHighFpsSeconds = 0;
+            if (++qualityLowFpsSeconds >= SCENE_CONSTANTS.QUALITY_DOWNGRADE_PATIENCE_SECONDS) step = -1;
+        } else if (fps > SCENE_CONSTANTS.QUALITY_RECOVERY_FPS && index < QUALITY_LEVELS.length - 1) {
+            qualityLowFpsSeconds = 0;
+            if (++qualityHighFpsSeconds >= SCENE_CONSTANTS.QUALITY_UPGRADE_PATIENCE_SECONDS) step = 1;
+        } else {
+            qualityLowFpsSeconds = 0;
+            qualityHighFpsSeconds = 0;
+        }
+        if (step === 0) return;
+        qualityLowFpsSeconds = 0;
+        qualityHighFpsSeconds = 0;
+        lowFpsSeconds = 0;
+        highFpsSeconds = 0;
+        this._setQualityLevel(QUALITY_LEVELS[index + step]);
+        const message = `Quality: Frame rate ${fps.toFixed(1)} FPS; switched to the ${QUALITY_PRESETS[qualityLevel].label} preset.`;
+        if (step < 0) console.warn(message);
+        else console.log(message);
+    }
+
+    /**
+     * @private
+     * @method _setQualitySetting
+     * @description Chooses a graphics quality preset, or automatic quality, and remembers the choice. Automatic
+     * quality continues from the preset currently in effect.
+     * @param {string} setting - 'auto' or a key of QUALITY_PRESETS.
+     */
+    _setQualitySetting(setting) {
+        if (setting !== 'auto' && !QUALITY_LEVELS.includes(setting)) {
+            console.warn(`Quality: Unknown graphics quality '${setting}'.`);
+            return;
+        }
+        qualitySetting = setting;
+        saveQualitySetting(setting);
+        if (qualitySelect) qualitySelect.value = setting;
+        qualityLowFpsSeconds = 0;
+        qualityHighFpsSeconds = 0;
+        if (setting === 'auto') this._updateQualityDisplay();
+        else this._setQualityLevel(setting);
+        console.log(`Quality: Graphics quality set to '${setting}'.`);
+    }
+
+    /**
+     * @private
+     * @method _setQualityLevel
+     * @description Puts a graphics quality preset into effect (see `_applyQuality`).
+     * @param {string} level - A key of QUALITY_PRESETS.
+     */
+    _setQualityLevel(level) {
+        if (level === qualityLevel) {
+            this._updateQualityDisplay();
+            return;
+        }
+        qualityLevel = level;
+        this._applyQuality();
+    }
+
+    /**
+     * @private
+     * @method _applyQuality
+     * @description Applies the preset in effect to the scene: the renderer's pixel ratio, the segment count of every
+     * sphere, the size of every loaded texture (the full images are kept, see `limitTextureSize`), the share of
+     * procedural stars drawn and the optional effects. Anti-aliasing stays as it was when the page loaded.
+     */
+    _applyQuality() {
+        try {
+            const preset = QUALITY_PRESETS[qualityLevel];
+            if (renderer) renderer.setPixelRatio(this._getQualityPixelRatio());
+
+            const setSphereSegments = (mesh) => {
+                const geometry = mesh.geometry;
+                if (!geometry || geometry.type !== 'SphereGeometry' || geometry.parameters.widthSegments === preset.sphereSegments) return;
+                mesh.geometry = new THREE.SphereGeometry(geometry.parameters.radius, preset.sphereSegments, preset.sphereSegments);
+                geometry.dispose();
+            };
+            if (sunMesh) setSphereSegments(sunMesh);
+            planets.forEach(planet => {
+                setSphereSegments(planet.mesh);
+                if (planet.clouds) setSphereSegments(planet.clouds.mesh);
+            });
+
+            this._collectSceneTextures().forEach(texture => limitTextureSize(texture, preset.maxTextureSize));
+
+            this._applyStarfieldDensity();
+            if (sunEffects && sunEffects.lensFlare) sunEffects.lensFlare.visible = layerVisibility.lensFlare && preset.lensFlare;
+            if (camera) {
+                this._updateSunEffects(0);
+                this._updateShadows();
+            }
+            this._updateFocusTextures();
+            this._updateQualityLayerToggles();
+            this._updateQualityDisplay();
+            if (isPaused && renderer) renderer.render(scene, camera);
+            console.log(`Quality: ${preset.label} preset applied.`);
+        } catch (error) {
+            console.error('Error during _applyQuality:', error);
+            this._showMessageBox('Graphics Quality Error', `Failed to apply the graphics quality: ${error.message}.`, 'error');
+        }
+    }
+
+    /**
+     * @private
+     * @method _updateQualityLayerToggles
+     * @description Disables the layer toggles of effects that cannot be shown: the lens flare where the browser lacks
+     * support for it, and the lens flare and shadows where the preset in effect leaves them out. The toggle's title
+     * says why; its checked state is kept, so the effect returns with a preset that allows it.
+     */
+    _updateQualityLayerToggles() {
+        const preset = QUALITY_PRESETS[qualityLevel];
+
+        const lensFlareToggle = layerToggles.lensFlare;
+        if (lensFlareToggle) {
+            const supported = !sunEffects || Boolean(sunEffects.lensFlare); // Only known once the Sun is created.
+            lensFlareToggle.disabled = !supported || !preset.lensFlare;
+            if (!supported) {
+                lensFlareToggle.parentElement.title = 'Lens flares are not supported by this browser.';
+            } else {
+                lensFlareToggle.parentElement.title = preset.lensFlare ? '' : `Lens flares need the ${describePresetsAllowing('lensFlare')} graphics quality.`;
+            }
+        }
+        const shadowsToggle = layerToggles.shadows;
+        if (shadowsToggle) {
+            shadowsToggle.disabled = !preset.shadows;
+            shadowsToggle.parentElement.title = preset.shadows ? '' : `Shadows need the ${describePresetsAllowing('shadows')} graphics quality.`;
+        }
+    }
+
+    /**
+     * @private
+     * @method _collectSceneTextures
+     * @description Gathers every texture on a material in the scene (including shader uniforms such as the Sun's
+     * surface) and the starfield texture.
+     * @returns {Set<THREE.Texture>} The textures.
+     */
+    _collectSceneTextures() {
+        const textures = new Set();
+        if (starfieldTexture) textures.add(starfieldTexture);
+        if (!scene) return textures;
+        scene.traverse(object => {
+            (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => {
+                if (!material) return;
+                ['map', 'alphaMap', 'normalMap', 'roughnessMap', 'emissiveMap'].forEach(key => {
+                    if (material[key]) textures.add(material[key]);
+                });
+                Object.values(material.uniforms || {}).forEach(uniform => {
+                    if (uniform.value && uniform.value.isTexture) textures.add(uniform.value);
+                });
+            });
+        });
+        return textures;
+    }
+
+    /**
+     * @private
+     * @method _getQualityPixelRatio
+     * @description Returns the renderer pixel ratio: the display's, capped by the graphics quality.
+     * @returns {number} The pixel ratio.
+     */
+    _getQualityPixelRatio() {
+        return Math.min(window.devicePixelRatio || 1, QUALITY_PRESETS[qualityLevel].maxPixelRatio);
+    }
+
+    /**
+     * @private
+     * @method _applyStarfieldDensity
+     * @description Draws the share of the procedural stars that the graphics quality allows. The catalogue stars come
+     * first in the buffer and are always drawn; the random stars after them are in no particular order, so drawing
+     * only the first of them thins them out evenly.
+     */
+    _applyStarfieldDensity() {
+        if (!proceduralStarfield) return;
+        const total = proceduralStarfield.geometry.attributes.position.count;
+        const catalogue = BRIGHT_STAR_CATALOGUE.length;
+        proceduralStarfield.geometry.setDrawRange(0, catalogue + Math.round((total - catalogue) * QUALITY_PRESETS[qualityLevel].starfieldDensity));
+    }
+
+    /**
+     * @private
+     * @method _updateQualityDisplay
+     * @description Shows the preset in effect in the debug panel, marked "(Auto)" while it is chosen automatically.
+     */
+    _updateQualityDisplay() {
+        if (!qualityDisplay) return;
+        qualityDisplay.textContent = `${QUALITY_PRESETS[qualityLevel].label}${qualitySetting === 'auto' ? ' (Auto)' : ''}`;
+    }
+
     /**
      * @private
      * @method _showMessageBox
@@ -1434,8 +6845,11 @@ class SolarSystemSimulation {
             // Set the aria-hidden attribute to false to make it accessible to screen readers.
             messageBoxElement.setAttribute('aria-hidden', 'false');
 
-            // Make the message box visible.
+            // Make the message box visible. Clear the inline styles left behind by `_closeMessageBox`,
+            // otherwise every message after the first one would stay invisible.
             messageBoxElement.style.display = 'flex'; // Ensure flex display for centering.
+            messageBoxElement.style.opacity = '';
+            messageBoxElement.style.pointerEvents = '';
             // The opacity transition is handled by CSS, setting display to flex makes it visible.
             console.log(`Message Box Displayed: Type='${type}', Message='${message}'`);
         } catch (error) {
@@ -1472,6 +6886,23 @@ class SolarSystemSimulation {
         }
     }
 
+    /**
+     * @private
+     * @method _startAnimationLoop
+     * @description Starts the animation loop unless it is already running or the simulation is paused. The loading
+     * manager calls this after every batch of assets (e.g. when another star system is loaded), so it must not
+     * start a second loop.
+     */
+    _startAnimationLoop() {
+        if (animationFrameId !== null) return;
+        if (isPaused) {
+            // Paused (e.g. restored from a link): show the loaded scene without starting the loop.
+            if (renderer) renderer.render(scene, camera);
+            return;
+        }
+        this.animate();
+    }
+
     /**
      * @method animate
      * @description The main animation loop for the Three.js scene.
@@ -1485,7 +6916,8 @@ class SolarSystemSimulation {
 
         // Get the delta time (time elapsed since the last frame) from the clock.
         // Using delta time makes animations frame-rate independent, ensuring consistent speed on all devices.
-        const deltaTime = clock.getDelta();
+        // It is capped, so a long gap between frames (e.g. a background tab) does not throw the calendar ahead.
+        const deltaTime = Math.min(clock.getDelta(), SCENE_CONSTANTS.MAX_FRAME_DELTA_SECONDS);
 
         // Update OrbitControls. This processes user input for camera movement (pan, zoom, rotate).
         // It must be called in the animation loop if `enableDamping` is true.
@@ -1495,12 +6927,36 @@ class SolarSystemSimulation {
         // This function contains the core logic for celestial body movement.
         this._updatePlanetPositions(deltaTime);
 
+        // Append the bodies' new positions to their orbit trails (if shown).
+        this._recordOrbitTrails();
+
+        // Move the asteroid and Kuiper belt particles to the current simulation time.
+        this._updateSmallBodyBelts();
+
+        // Carry the camera along with the followed body (if any), preserving the user's chosen offset.
+        this._updateCameraFollow();
+
+        // Keep the simulation calendar readout in step with the clock.
+        this._updateSimulationDateDisplay();
+
+        // Refresh the live distance readout of the info panel (if open).
+        this._updateBodyInfo();
+
         // Update the planet labels on hover, checking for mouse intersections.
         this._updatePlanetLabels();
 
+        // Move the always-on name labels along with their bodies (if the labels layer is shown).
+        this._updateBodyLabels();
+
         // Smoothly move the camera if a focus target is set (e.g., after clicking a planet).
         this._updateCameraFocus();
 
+        // Animate the Sun's surface and keep its corona and lens flare in step with the camera.
+        this._updateSunEffects(deltaTime);
+
+        // Measure the frame rate and, if it stays too low, thin out the belts.
+        this._measureFrameRate();
+
         // Update real-time debug information displayed in the UI.
         this._updateDebugInfo();
 
@@ -1532,6 +6988,8 @@ function initializeSimulationWhenReady() {
             // This effectively starts the entire application, triggering its constructor.
             window.solarSystemApp = new SolarSystemSimulation();
             console.log('Initialization: SolarSystemSimulation instance successfully created.');
+            // Restore the view encoded in the URL hash (from a shared link or before a reload), if any.
+            window.solarSystemApp.restoreViewState(parseViewState(window.location.hash));
         } catch (error) {
             console.error('Initialization: Failed to create SolarSystemSimulation instance:', error);
             // Display a user-friendly error message if initialization fails.